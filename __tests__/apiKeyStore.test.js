@@ -0,0 +1,130 @@
+/**
+ * API Key Store Tests
+ * Scopes, verification, expiry and revocation of stored keys
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Constants
+const ORIGINAL_CWD = process.cwd();
+
+// Module state
+let workDir;
+let apiKeyStore;
+
+beforeAll(() => {
+  // The store keeps data/api_keys.json under the working directory
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  apiKeyStore = require('../utils/apiKeyStore');
+});
+
+afterAll(() => {
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Reads the stored records as another process would
+ */
+function readKeyFile() {
+  return JSON.parse(fs.readFileSync(path.join(workDir, 'data', 'api_keys.json'), 'utf8'));
+}
+
+describe('isValidScopes', () => {
+  test.each([
+    [['post'], true],
+    [['post', 'reply', 'auth-admin', 'monitoring-read'], true],
+    [[], false],
+    [['post', 'everything'], false],
+    ['post', false]
+  ])('%j is %s', (scopes, valid) => {
+    expect(apiKeyStore.isValidScopes(scopes)).toBe(valid);
+  });
+});
+
+describe('issueKey and verifyKey', () => {
+  test('stores only the hash and verifies the issued value', async () => {
+    const { key, record } = await apiKeyStore.issueKey({ name: 'poster', scopes: ['post', 'post'], account: 'main' });
+
+    expect(record.hash).toBeUndefined();
+    expect(record.scopes).toEqual(['post']);
+    expect(JSON.stringify(readKeyFile())).not.toContain(key);
+    await expect(apiKeyStore.verifyKey(key)).resolves.toEqual({ id: record.id, name: 'poster', scopes: ['post'], account: 'main' });
+    await expect(apiKeyStore.verifyKey(`${key}x`)).resolves.toBeNull();
+  });
+
+  test('rejects invalid scopes', async () => {
+    await expect(apiKeyStore.issueKey({ name: 'bad', scopes: ['root'] })).rejects.toThrow('Invalid scopes');
+  });
+
+  test('does not verify an expired key', async () => {
+    const { key } = await apiKeyStore.issueKey({ name: 'expired', scopes: ['post'], expiresAt: new Date(Date.now() - 1000).toISOString() });
+
+    await expect(apiKeyStore.verifyKey(key)).resolves.toBeNull();
+  });
+
+  test('records lastUsedAt at most once per minute', async () => {
+    const { key, record } = await apiKeyStore.issueKey({ name: 'busy', scopes: ['post'] });
+
+    await apiKeyStore.verifyKey(key);
+    const firstUse = readKeyFile().find(k => k.id === record.id).lastUsedAt;
+    await apiKeyStore.verifyKey(key);
+
+    expect(firstUse).not.toBeNull();
+    expect(readKeyFile().find(k => k.id === record.id).lastUsedAt).toBe(firstUse);
+  });
+
+  test('accepts the environment bootstrap keys', async () => {
+    process.env.API_TOKEN = 'bootstrap-token';
+    try {
+      await expect(apiKeyStore.verifyKey('bootstrap-token')).resolves.toMatchObject({ id: 'env:api', account: null });
+    } finally {
+      delete process.env.API_TOKEN;
+    }
+  });
+});
+
+describe('revokeKey', () => {
+  test('a revoked key stays revoked when verified concurrently', async () => {
+    const { key, record } = await apiKeyStore.issueKey({ name: 'revoked', scopes: ['post'] });
+
+    await Promise.all([
+      apiKeyStore.verifyKey(key),
+      apiKeyStore.revokeKey(record.id),
+      apiKeyStore.verifyKey(key)
+    ]);
+
+    expect(readKeyFile().find(k => k.id === record.id).revokedAt).not.toBeNull();
+    await expect(apiKeyStore.verifyKey(key)).resolves.toBeNull();
+  });
+
+  test('concurrent issues are all kept', async () => {
+    const issued = await Promise.all([1, 2, 3].map(n => apiKeyStore.issueKey({ name: `batch-${n}`, scopes: ['reply'] })));
+
+    const stored = readKeyFile().map(k => k.id);
+    expect(issued.every(({ record }) => stored.includes(record.id))).toBe(true);
+  });
+
+  test('returns null for an unknown key', async () => {
+    await expect(apiKeyStore.revokeKey('missing')).resolves.toBeNull();
+  });
+});
+
+describe('changes made by another process', () => {
+  test('a key revoked in the file is no longer verified', async () => {
+    const { key, record } = await apiKeyStore.issueKey({ name: 'revoked-offline', scopes: ['post'] });
+    await apiKeyStore.verifyKey(key);
+
+    const keys = readKeyFile();
+    keys.find(k => k.id === record.id).revokedAt = new Date().toISOString();
+    const filePath = path.join(workDir, 'data', 'api_keys.json');
+    fs.writeFileSync(filePath, JSON.stringify(keys));
+    const future = new Date(Date.now() + 5000);
+    fs.utimesSync(filePath, future, future);
+
+    await expect(apiKeyStore.verifyKey(key)).resolves.toBeNull();
+  });
+});
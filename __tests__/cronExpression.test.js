@@ -0,0 +1,64 @@
+/**
+ * Cron Expression Tests
+ * Parsing 5-field expressions and finding the next run time in UTC
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const { parseCron, isValidCron, getNextRun } = require('../utils/cronExpression');
+
+describe('parseCron', () => {
+  test('expands lists, ranges and steps', () => {
+    const cron = parseCron('0,30 9-11 */10 1 1-5/2');
+
+    expect(Array.from(cron.minutes)).toEqual([0, 30]);
+    expect(Array.from(cron.hours)).toEqual([9, 10, 11]);
+    expect(Array.from(cron.daysOfMonth)).toEqual([1, 11, 21, 31]);
+    expect(Array.from(cron.months)).toEqual([1]);
+    expect(Array.from(cron.daysOfWeek)).toEqual([1, 3, 5]);
+  });
+
+  test('treats 7 as Sunday', () => {
+    expect(parseCron('0 0 * * 7').daysOfWeek.has(0)).toBe(true);
+  });
+});
+
+describe('isValidCron', () => {
+  test.each([
+    ['0 9 * * 1-5', true],
+    ['*/15 * * * *', true],
+    ['0 0 29 2 *', true],
+    ['0 9 * *', false],
+    ['60 * * * *', false],
+    ['0 24 * * *', false],
+    ['5-1 * * * *', false],
+    ['*/0 * * * *', false],
+    ['a * * * *', false],
+    ['0 0 31 2 *', false],
+    ['0 0 30 2 *', false],
+    ['', false]
+  ])('%p is %s', (expression, valid) => {
+    expect(isValidCron(expression)).toBe(valid);
+  });
+});
+
+describe('getNextRun', () => {
+  test.each([
+    ['every minute', '* * * * *', '2026-03-04T10:15:30Z', '2026-03-04T10:16:00.000Z'],
+    ['later the same day', '30 14 * * *', '2026-03-04T10:15:00Z', '2026-03-04T14:30:00.000Z'],
+    ['the next day once today has passed', '0 9 * * *', '2026-03-04T09:00:00Z', '2026-03-05T09:00:00.000Z'],
+    ['weekdays only, skipping the weekend', '0 9 * * 1-5', '2026-03-06T10:00:00Z', '2026-03-09T09:00:00.000Z'],
+    ['the next month with that day', '0 0 31 * *', '2026-04-01T00:00:00Z', '2026-05-31T00:00:00.000Z'],
+    ['the next leap day', '0 0 29 2 *', '2026-01-01T00:00:00Z', '2028-02-29T00:00:00.000Z'],
+    ['across the year end', '0 0 1 1 *', '2026-12-31T23:59:00Z', '2027-01-01T00:00:00.000Z']
+  ])('finds %s', (_, expression, from, expected) => {
+    expect(getNextRun(expression, new Date(from)).toISOString()).toBe(expected);
+  });
+
+  test('matches either day field when both are restricted', () => {
+    // The 13th, or any Friday: 2026-03-06 is a Friday, before the 13th
+    expect(getNextRun('0 0 13 * 5', new Date('2026-03-01T00:00:00Z')).toISOString()).toBe('2026-03-06T00:00:00.000Z');
+  });
+
+  test('throws for an invalid expression', () => {
+    expect(() => getNextRun('not a cron')).toThrow('5 fields');
+  });
+});
@@ -0,0 +1,126 @@
+/**
+ * Health Checks Tests
+ * Readiness checks against the mock X server, with Chromium stubbed out
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createMockXServer } = require('../mock/mockXServer');
+
+// Constants
+const ORIGINAL_CWD = process.cwd();
+
+// Module state
+const mock = createMockXServer();
+let workDir;
+let proxy;
+let probeBrowser;
+let healthChecks;
+
+/**
+ * Reads ct0 from the mock's cookie handshake, standing in for the browser step
+ */
+async function fetchMockCt0() {
+  const response = await axios.get(`${mock.baseUrl()}/home`);
+  const cookie = response.headers['set-cookie'].find(value => value.startsWith('ct0='));
+  return cookie.split(';')[0].slice('ct0='.length);
+}
+
+beforeAll(async () => {
+  await mock.start(0);
+  proxy = net.createServer(socket => socket.end());
+  await new Promise(resolve => proxy.listen(0, '127.0.0.1', resolve));
+
+  // Modules read X_BASE_URL at load and keep data/ under the working directory
+  process.env.X_BASE_URL = mock.baseUrl();
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  fs.mkdirSync('data');
+  fs.writeFileSync(path.join('data', 'auth_token.txt'), 'mock-auth-token');
+  fs.writeFileSync(path.join('data', 'guest_id.txt'), 'v1%3A170000000000000000');
+
+  // healthChecks keeps its own reference to probeBrowser, so the stub goes in first
+  jest.spyOn(require('../utils/goCt0Manager'), 'getCT0Cookie').mockImplementation(fetchMockCt0);
+  probeBrowser = jest.spyOn(require('../services/browserPool'), 'probeBrowser')
+    .mockResolvedValue({ version: 'HeadlessChrome/120.0', launched: false });
+  healthChecks = require('../utils/healthChecks');
+});
+
+afterAll(async () => {
+  delete process.env.PROXY_SERVER;
+  await new Promise(resolve => proxy.close(resolve));
+  await mock.stop();
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('getReadiness', () => {
+  test('is ready when every check passes', async () => {
+    const report = await healthChecks.getReadiness();
+
+    expect(report).toMatchObject({ ready: true, cached: false });
+    expect(report.checks.chromium).toMatchObject({ ok: true, version: 'HeadlessChrome/120.0' });
+    expect(report.checks.credentials.accounts).toEqual([expect.objectContaining({ account: null, ok: true, username: 'mock_user' })]);
+    expect(report.checks.proxy).toMatchObject({ ok: true, configured: false });
+    expect(report.checks.data_dir).toMatchObject({ ok: true, path: 'data' });
+    expect(fs.readdirSync(path.join(workDir, 'data'))).not.toContainEqual(expect.stringMatching(/^\.readyz-/));
+  });
+
+  test('reuses a recent report unless a fresh one is asked for', async () => {
+    const calls = probeBrowser.mock.calls.length;
+
+    await expect(healthChecks.getReadiness()).resolves.toMatchObject({ cached: true });
+    expect(probeBrowser.mock.calls.length).toBe(calls);
+
+    await expect(healthChecks.getReadiness({ fresh: true })).resolves.toMatchObject({ cached: false });
+    expect(probeBrowser.mock.calls.length).toBe(calls + 1);
+  });
+
+  test('checks that the proxy accepts connections', async () => {
+    process.env.PROXY_SERVER = `http://127.0.0.1:${proxy.address().port}`;
+    const reachable = await healthChecks.getReadiness({ fresh: true });
+
+    const closed = net.createServer();
+    await new Promise(resolve => closed.listen(0, '127.0.0.1', resolve));
+    const closedPort = closed.address().port;
+    await new Promise(resolve => closed.close(resolve));
+    process.env.PROXY_SERVER = `127.0.0.1:${closedPort}`;
+    const unreachable = await healthChecks.getReadiness({ fresh: true });
+    delete process.env.PROXY_SERVER;
+
+    expect(reachable.checks.proxy).toMatchObject({ ok: true, configured: true, server: `127.0.0.1:${proxy.address().port}` });
+    expect(unreachable.ready).toBe(false);
+    expect(unreachable.checks.proxy.error).toMatch(`Proxy 127.0.0.1:${closedPort} unreachable`);
+  });
+
+  test('reports each account whose credentials fail', async () => {
+    await require('../utils/accountRegistry').saveAccount({ handle: 'nocreds' });
+
+    const report = await healthChecks.getReadiness({ fresh: true });
+
+    expect(report.ready).toBe(false);
+    expect(report.checks.credentials.accounts.map(({ account, ok }) => ({ account, ok })))
+      .toEqual([{ account: null, ok: true }, { account: 'nocreds', ok: false }]);
+  });
+
+  test('reports a failing Chromium without failing the other checks', async () => {
+    probeBrowser.mockRejectedValueOnce(new Error('Failed to launch the browser process'));
+
+    const report = await healthChecks.getReadiness({ fresh: true });
+
+    expect(report.checks.chromium).toMatchObject({ ok: false, error: 'Failed to launch the browser process' });
+    expect(report.checks.data_dir.ok).toBe(true);
+  });
+});
+
+describe('getSessionStatus', () => {
+  test('reuses the Viewer result of the last readiness run', async () => {
+    const status = await healthChecks.getSessionStatus(null);
+
+    expect(status).toMatchObject({ account: null, ok: true, username: 'mock_user' });
+    expect(Date.now() - new Date(status.checked_at).getTime()).toBeLessThan(15000);
+  });
+});
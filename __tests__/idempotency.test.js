@@ -0,0 +1,103 @@
+/**
+ * Idempotency Tests
+ * Replays, mismatches and the release of keys whose request never reached X
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const express = require('express');
+const request = require('supertest');
+
+// Constants
+const ORIGINAL_CWD = process.cwd();
+
+// Module state
+let workDir;
+let app;
+let calls;
+let nextResponse;
+
+beforeAll(() => {
+  // idempotencyStore keeps data/ under the working directory
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+
+  const { idempotency } = require('../middleware/idempotency');
+  app = express();
+  app.use(express.json());
+  app.post('/post', idempotency, (req, res) => {
+    calls++;
+    const { status, requestSent } = nextResponse;
+    res.locals.requestSent = requestSent;
+    res.status(status).json({ status: status < 400 ? 'success' : 'error', data: { call: calls, tweetId: status < 400 ? `${calls}` : null } });
+  });
+});
+
+afterAll(() => {
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  calls = 0;
+  nextResponse = { status: 200, requestSent: true };
+});
+
+/**
+ * Sends a POST with an Idempotency-Key
+ */
+function post(key, body = { content: 'Hello' }) {
+  return request(app).post('/post').set('Idempotency-Key', key).send(body);
+}
+
+describe('idempotency middleware', () => {
+  test('replays the recorded response for a repeated key', async () => {
+    const first = await post('replay');
+    const second = await post('replay');
+
+    expect(calls).toBe(1);
+    expect(second.status).toBe(200);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+    expect(second.body).toEqual(first.body);
+  });
+
+  test('rejects a key reused with a different body', async () => {
+    await post('mismatch', { content: 'One' });
+    const second = await post('mismatch', { content: 'Two' });
+
+    expect(second.status).toBe(422);
+    expect(calls).toBe(1);
+  });
+
+  test('replays a 5xx when the request may have reached X', async () => {
+    nextResponse = { status: 502, requestSent: true };
+    await post('sent');
+    nextResponse = { status: 200, requestSent: true };
+    const second = await post('sent');
+
+    expect(calls).toBe(1);
+    expect(second.status).toBe(502);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('replays a 5xx when the route does not say whether X was contacted', async () => {
+    nextResponse = { status: 500 };
+    await post('unknown');
+    const second = await post('unknown');
+
+    expect(calls).toBe(1);
+    expect(second.status).toBe(500);
+  });
+
+  test('releases the key when the request never reached X', async () => {
+    nextResponse = { status: 502, requestSent: false };
+    await post('pre-send');
+    nextResponse = { status: 200, requestSent: true };
+    const second = await post('pre-send');
+
+    expect(calls).toBe(2);
+    expect(second.status).toBe(200);
+    expect(second.headers['idempotent-replayed']).toBeUndefined();
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Job Queue Tests
+ * Loading, restart recovery and running queued jobs through their handlers
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Constants
+const ORIGINAL_CWD = process.cwd();
+const JOB_TIMEOUT_MS = 5000;
+
+// Module state
+let workDir;
+let jobsPath;
+let jobQueue;
+
+/**
+ * Builds a stored job
+ */
+function storedJob(id, status) {
+  const now = new Date().toISOString();
+  return { id, type: 'post', status, payload: { content: id }, result: null, error: null, attempts: 0, runAfter: null, createdAt: now, updatedAt: now, startedAt: null, finishedAt: null };
+}
+
+/**
+ * Polls a job until it has finished
+ */
+async function waitForJob(jobId) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const job = await jobQueue.getJob(jobId);
+    if (['succeeded', 'failed'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS}ms`);
+}
+
+beforeAll(() => {
+  // The queue keeps data/jobs.json under the working directory
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  fs.mkdirSync('data');
+  jobsPath = path.join(workDir, 'data', 'jobs.json');
+  fs.writeFileSync(jobsPath, JSON.stringify([storedJob('done', 'succeeded'), storedJob('waiting', 'queued')]));
+
+  jobQueue = require('../utils/jobQueue');
+  jobQueue.registerHandler('post', async ({ content }) => (
+    content === 'reject'
+      ? { success: false, message: 'Rejected', errorCode: 'DUPLICATE_CONTENT' }
+      : { success: true, tweetId: '1' }
+  ));
+});
+
+afterAll(() => {
+  jobQueue.stopWorker();
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('loading the queue', () => {
+  test('callers racing the first load share it, so no stored job is lost', async () => {
+    const [, job] = await Promise.all([
+      jobQueue.listJobs(),
+      jobQueue.enqueueJob('post', { content: 'first' })
+    ]);
+
+    const stored = JSON.parse(fs.readFileSync(jobsPath, 'utf8')).map(j => j.id);
+    expect(stored).toEqual(expect.arrayContaining(['done', 'waiting', job.id]));
+  });
+
+  test('jobs that were running at a restart are marked failed, not re-run', async () => {
+    fs.writeFileSync(jobsPath, JSON.stringify([storedJob('interrupted', 'running')]));
+    let restarted;
+    jest.isolateModules(() => {
+      restarted = require('../utils/jobQueue');
+    });
+
+    const job = await restarted.getJob('interrupted');
+
+    expect(job.status).toBe('failed');
+    expect(job.error.message).toMatch('interrupted by service restart');
+    expect(JSON.parse(fs.readFileSync(jobsPath, 'utf8'))[0].status).toBe('failed');
+  });
+});
+
+describe('running jobs', () => {
+  test('records the handler\'s result and error code', async () => {
+    await jobQueue.startWorker();
+    const accepted = await jobQueue.enqueueJob('post', { content: 'accepted' });
+    const rejected = await jobQueue.enqueueJob('post', { content: 'reject' });
+
+    await expect(waitForJob(accepted.id)).resolves.toMatchObject({ status: 'succeeded', result: { tweetId: '1' } });
+    await expect(waitForJob(rejected.id)).resolves.toMatchObject({ status: 'failed', error: { code: 'DUPLICATE_CONTENT' } });
+  });
+
+  test('rejects job types without a handler', async () => {
+    await expect(jobQueue.enqueueJob('unknown', {})).rejects.toThrow('No handler registered');
+  });
+});
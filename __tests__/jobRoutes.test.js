@@ -0,0 +1,74 @@
+/**
+ * Job Routes Tests
+ * Listing jobs with limits and account-restricted keys
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Constants
+const ADMIN_TOKEN = 'test-admin-token';
+const ORIGINAL_CWD = process.cwd();
+
+// Module state
+let workDir;
+let app;
+let mainJob;
+let restrictedKey;
+
+beforeAll(async () => {
+  // Stores keep data/ under the working directory, so it is set before the app is required
+  process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+
+  app = require('../index');
+  const jobQueue = require('../utils/jobQueue');
+  const { issueKey } = require('../utils/apiKeyStore');
+  restrictedKey = (await issueKey({ name: 'main-reader', scopes: ['monitoring-read'], account: 'main' })).key;
+
+  // The worker is not started, so the jobs stay queued
+  mainJob = await jobQueue.enqueueJob('post', { content: 'Main', account: 'main' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  for (const content of ['Other 1', 'Other 2', 'Other 3']) {
+    await jobQueue.enqueueJob('post', { content, account: 'other' });
+  }
+});
+
+afterAll(() => {
+  delete process.env.ADMIN_API_TOKEN;
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Lists jobs with a Bearer key
+ */
+function listJobs(token, query) {
+  return request(app).get('/api/v1/jobs').query(query).set('Authorization', `Bearer ${token}`);
+}
+
+describe('GET /api/v1/jobs', () => {
+  test('applies the limit', async () => {
+    const response = await listJobs(ADMIN_TOKEN, { limit: 2 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.count).toBe(2);
+  });
+
+  test.each(['abc', '0', '1001'])('rejects limit=%s', async (limit) => {
+    const response = await listJobs(ADMIN_TOKEN, { limit });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation failed');
+  });
+
+  test('a restricted key gets its account\'s jobs even when newer jobs of others fill the limit', async () => {
+    const response = await listJobs(restrictedKey, { limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.jobs.map(job => job.id)).toEqual([mainJob.id]);
+  });
+});
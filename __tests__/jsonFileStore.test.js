@@ -0,0 +1,57 @@
+/**
+ * JSON File Store Tests
+ * Fallbacks, damaged files and atomic writes
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { readJson, writeJson } = require('../utils/jsonFileStore');
+
+// Module state
+let workDir;
+
+beforeEach(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+});
+
+afterEach(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('readJson', () => {
+  test('returns the fallback when the file does not exist', async () => {
+    await expect(readJson(path.join(workDir, 'missing.json'), [])).resolves.toEqual([]);
+  });
+
+  test('throws on a damaged file instead of returning the fallback', async () => {
+    const filePath = path.join(workDir, 'accounts.json');
+    fs.writeFileSync(filePath, '[{"handle": "main"');
+
+    await expect(readJson(filePath, [])).rejects.toThrow('accounts.json is not valid JSON');
+    expect(fs.readFileSync(filePath, 'utf8')).toBe('[{"handle": "main"');
+  });
+
+  test('throws when the path cannot be read', async () => {
+    await expect(readJson(workDir, [])).rejects.toMatchObject({ code: 'EISDIR' });
+  });
+});
+
+describe('writeJson', () => {
+  test('writes through a temp file and creates the directory', async () => {
+    const filePath = path.join(workDir, 'data', 'jobs.json');
+
+    await writeJson(filePath, [{ id: 'a' }]);
+
+    await expect(readJson(filePath, null)).resolves.toEqual([{ id: 'a' }]);
+    expect(fs.existsSync(`${filePath}.tmp`)).toBe(false);
+  });
+
+  test('keeps concurrent writes in call order', async () => {
+    const filePath = path.join(workDir, 'jobs.json');
+
+    await Promise.all([1, 2, 3].map(count => writeJson(filePath, { count })));
+
+    await expect(readJson(filePath, null)).resolves.toEqual({ count: 3 });
+  });
+});
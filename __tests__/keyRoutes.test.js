@@ -0,0 +1,98 @@
+/**
+ * API Key Routes Tests
+ * Issuing, listing and revoking keys, with account-restricted admin keys
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Constants
+const ADMIN_TOKEN = 'test-admin-token';
+const ORIGINAL_CWD = process.cwd();
+
+// Module state
+let workDir;
+let app;
+let apiKeyStore;
+let restrictedKey;
+
+beforeAll(async () => {
+  // Stores keep data/ under the working directory, so it is set before the app is required
+  process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+
+  app = require('../index');
+  apiKeyStore = require('../utils/apiKeyStore');
+  const { saveAccount } = require('../utils/accountRegistry');
+  await saveAccount({ handle: 'main' });
+  await saveAccount({ handle: 'other' });
+  restrictedKey = (await apiKeyStore.issueKey({ name: 'main-admin', scopes: ['auth-admin'], account: 'main' })).key;
+});
+
+afterAll(() => {
+  delete process.env.ADMIN_API_TOKEN;
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Sends a request with a Bearer key
+ */
+function withKey(token, method, url) {
+  return request(app)[method](url).set('Authorization', `Bearer ${token}`);
+}
+
+describe('POST /api/v1/keys', () => {
+  test('issues a key whose value is returned once', async () => {
+    const response = await withKey(ADMIN_TOKEN, 'post', '/api/v1/keys').send({ name: 'poster', scopes: ['post'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.key).toMatch(/^xpb_/);
+    expect(response.body.data.hash).toBeUndefined();
+    expect(response.body.data).toMatchObject({ name: 'poster', scopes: ['post'], account: null });
+  });
+
+  test('rejects unknown scopes', async () => {
+    const response = await withKey(ADMIN_TOKEN, 'post', '/api/v1/keys').send({ name: 'bad', scopes: ['everything'] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('restricts keys issued by a restricted admin key to its account', async () => {
+    const response = await withKey(restrictedKey, 'post', '/api/v1/keys').send({ name: 'main-poster', scopes: ['post', 'auth-admin'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.account).toBe('main');
+  });
+
+  test('does not let a restricted admin key issue keys for another account', async () => {
+    const response = await withKey(restrictedKey, 'post', '/api/v1/keys').send({ name: 'escape', scopes: ['post'], account: 'other' });
+
+    expect(response.status).toBe(403);
+  });
+});
+
+describe('GET and DELETE /api/v1/keys', () => {
+  test('a restricted admin key only lists and revokes keys of its account', async () => {
+    const { record: otherKey } = await apiKeyStore.issueKey({ name: 'other-poster', scopes: ['post'], account: 'other' });
+
+    const list = await withKey(restrictedKey, 'get', '/api/v1/keys');
+    expect(list.status).toBe(200);
+    expect(list.body.data.keys.every(key => key.account === 'main')).toBe(true);
+
+    const revoke = await withKey(restrictedKey, 'delete', `/api/v1/keys/${otherKey.id}`);
+    expect(revoke.status).toBe(404);
+  });
+
+  test('a revoked key can no longer authenticate', async () => {
+    const issued = await withKey(ADMIN_TOKEN, 'post', '/api/v1/keys').send({ name: 'short-lived', scopes: ['monitoring-read'] });
+    const revoke = await withKey(ADMIN_TOKEN, 'delete', `/api/v1/keys/${issued.body.data.id}`);
+    expect(revoke.status).toBe(200);
+
+    const response = await withKey(issued.body.data.key, 'get', '/api/v1/keys');
+    expect(response.status).toBe(403);
+  });
+});
@@ -0,0 +1,99 @@
+/**
+ * Media Upload Tests
+ * Chunked uploads against the mock X server and X's per-type size limits
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createMockXServer } = require('../mock/mockXServer');
+
+// Constants
+const AUTH_TOKEN = 'mock-auth-token';
+const CT0 = 'mock-ct0';
+
+// Module state
+const mock = createMockXServer();
+let workDir;
+let mediaUpload;
+
+beforeAll(async () => {
+  await mock.start(0);
+  // xEndpoints reads X_BASE_URL when it is loaded
+  process.env.X_BASE_URL = mock.baseUrl();
+  mediaUpload = require('../utils/mediaUpload');
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+});
+
+afterAll(async () => {
+  await mock.stop();
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+/**
+ * Writes a file of the given size
+ */
+function writeFile(name, size) {
+  const filePath = path.join(workDir, name);
+  fs.writeFileSync(filePath, Buffer.alloc(size, 7));
+  return filePath;
+}
+
+describe('getMaxMediaBytes', () => {
+  test.each([
+    ['image/png', 5 * 1024 * 1024],
+    ['image/gif', 15 * 1024 * 1024],
+    ['video/mp4', 512 * 1024 * 1024],
+    ['application/pdf', null]
+  ])('%s allows %p bytes', (mimeType, limit) => {
+    expect(mediaUpload.getMaxMediaBytes(mimeType)).toBe(limit);
+  });
+});
+
+describe('uploadMedia', () => {
+  test('appends a file larger than one chunk in full', async () => {
+    const size = Math.round(2.5 * 1024 * 1024);
+    const filePath = writeFile('clip.mp4', size);
+
+    const mediaId = await mediaUpload.uploadMedia({ path: filePath, mimetype: 'video/mp4', altText: 'A clip' }, AUTH_TOKEN, CT0);
+
+    const stored = mock.state.media.get(mediaId);
+    expect(stored.totalBytes).toBe(size);
+    expect(stored.receivedBytes).toBe(size);
+    expect(stored.altText).toBe('A clip');
+  });
+
+  test('refuses an image over X\'s limit before contacting X', async () => {
+    const filePath = writeFile('large.png', 5 * 1024 * 1024 + 1);
+
+    await expect(mediaUpload.uploadMedia({ path: filePath, mimetype: 'image/png' }, AUTH_TOKEN, CT0))
+      .rejects.toThrow('X accepts up to 5242880 bytes');
+    expect(mock.state.media.size).toBe(0);
+  });
+
+  test('reuses media IDs of attachments uploaded by an earlier attempt', async () => {
+    const media = { path: writeFile('photo.png', 1024), mimetype: 'image/png' };
+    const uploads = new Map();
+
+    const first = await mediaUpload.buildMediaVariables(AUTH_TOKEN, CT0, [media], false, uploads);
+    const second = await mediaUpload.buildMediaVariables(AUTH_TOKEN, CT0, [media], true, uploads);
+
+    expect(second.media_entities).toEqual(first.media_entities);
+    expect(second.possibly_sensitive).toBe(true);
+    expect(mock.state.media.size).toBe(1);
+  });
+});
+
+describe('removeMediaFiles', () => {
+  test('deletes the files and ignores ones already gone', async () => {
+    const filePath = writeFile('done.png', 16);
+
+    await mediaUpload.removeMediaFiles([{ path: filePath }, { path: path.join(workDir, 'missing.png') }]);
+
+    expect(fs.existsSync(filePath)).toBe(false);
+  });
+});
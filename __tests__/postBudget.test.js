@@ -0,0 +1,99 @@
+/**
+ * Post Budget Tests
+ * Taking, reserving and giving back posts, alone and for whole threads
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+
+// Constants
+const HOURLY_LIMIT = 3;
+const SECONDS_PER_POST = 3600 / HOURLY_LIMIT;
+
+// Module state
+let postBudget;
+
+beforeAll(() => {
+  // The limits are read when the module is loaded
+  process.env.POST_LIMIT_PER_HOUR = String(HOURLY_LIMIT);
+  process.env.POST_LIMIT_PER_DAY = '0';
+  postBudget = require('../utils/postBudget');
+});
+
+afterAll(() => {
+  delete process.env.POST_LIMIT_PER_HOUR;
+  delete process.env.POST_LIMIT_PER_DAY;
+});
+
+describe('takePost', () => {
+  test('refuses a post once the hourly bucket is empty, with the seconds until a token frees up', () => {
+    for (let i = 0; i < HOURLY_LIMIT; i++) {
+      expect(postBudget.takePost('single').granted).toBe(true);
+    }
+
+    const refused = postBudget.takePost('single');
+
+    expect(refused.granted).toBe(false);
+    expect(refused.retryAfter).toBeGreaterThan(SECONDS_PER_POST - 5);
+    expect(refused.retryAfter).toBeLessThanOrEqual(SECONDS_PER_POST);
+    expect(postBudget.getBudgetStatus('single').hourly).toEqual({ limit: HOURLY_LIMIT, remaining: 0 });
+  });
+
+  test('reserves a post within maxWaitMs instead of refusing it', () => {
+    for (let i = 0; i < HOURLY_LIMIT; i++) {
+      postBudget.takePost('patient');
+    }
+
+    const reserved = postBudget.takePost('patient', { maxWaitMs: SECONDS_PER_POST * 1000 });
+
+    expect(reserved.granted).toBe(true);
+    expect(reserved.waitMs).toBeGreaterThan(0);
+  });
+
+  test('takes several posts all or none', () => {
+    postBudget.takePost('thread');
+
+    const refused = postBudget.takePost('thread', { count: HOURLY_LIMIT });
+    expect(refused.granted).toBe(false);
+    expect(refused.retryAfter).toBeGreaterThan(0);
+    expect(postBudget.getBudgetStatus('thread').hourly.remaining).toBe(HOURLY_LIMIT - 1);
+
+    expect(postBudget.takePost('thread', { count: HOURLY_LIMIT - 1 }).granted).toBe(true);
+    expect(postBudget.getBudgetStatus('thread').hourly.remaining).toBe(0);
+  });
+
+  test('does not ask a bucket for more posts than it holds', () => {
+    expect(postBudget.takePost('long-thread', { count: HOURLY_LIMIT + 2 }).granted).toBe(true);
+    expect(postBudget.takePost('long-thread').granted).toBe(false);
+  });
+
+  test('keeps within the budget X reports', () => {
+    const reset = Math.floor(Date.now() / 1000) + 600;
+    postBudget.recordXRateLimit('reported', { limit: 50, remaining: 1, reset });
+
+    const refused = postBudget.takePost('reported', { count: 2 });
+
+    expect(refused.granted).toBe(false);
+    expect(refused.retryAfter).toBeGreaterThan(590);
+    expect(postBudget.takePost('reported').granted).toBe(true);
+    expect(postBudget.getBudgetStatus('reported').x).toMatchObject({ limit: 50, remaining: 0 });
+  });
+});
+
+describe('returnPost', () => {
+  test('gives back posts that never reached X, up to the capacity', () => {
+    postBudget.takePost('returned', { count: HOURLY_LIMIT });
+
+    postBudget.returnPost('returned', 2);
+    expect(postBudget.getBudgetStatus('returned').hourly.remaining).toBe(2);
+
+    postBudget.returnPost('returned', HOURLY_LIMIT);
+    expect(postBudget.getBudgetStatus('returned').hourly.remaining).toBe(HOURLY_LIMIT);
+  });
+});
+
+describe('listBudgetStatuses', () => {
+  test('lists every account that has used its budget', () => {
+    const accounts = postBudget.listBudgetStatuses().map(status => status.account);
+
+    expect(accounts).toEqual(expect.arrayContaining(['single', 'thread', 'reported']));
+  });
+});
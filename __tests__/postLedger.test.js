@@ -0,0 +1,107 @@
+/**
+ * Post Ledger Tests
+ * Recording, looking up, deleting and pruning the posts the service created
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Constants
+const ORIGINAL_CWD = process.cwd();
+const RETENTION_COUNT = 4;
+
+// Module state
+let workDir;
+let ledgerPath;
+let postLedger;
+
+beforeAll(() => {
+  // The ledger keeps data/posts.json under the working directory and reads its retention at load
+  process.env.POST_LEDGER_RETENTION_COUNT = String(RETENTION_COUNT);
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  fs.mkdirSync('data');
+  ledgerPath = path.join(workDir, 'data', 'posts.json');
+  fs.writeFileSync(ledgerPath, JSON.stringify([{
+    tweetId: '100',
+    account: null,
+    action: 'post',
+    contentHash: 'stored-hash',
+    mode: 'graphql',
+    targetTweetId: null,
+    jobId: null,
+    status: 'live',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    deletedAt: null
+  }]));
+
+  postLedger = require('../utils/postLedger');
+});
+
+afterAll(() => {
+  delete process.env.POST_LEDGER_RETENTION_COUNT;
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Reads the ledger file as another process would
+ */
+function readLedger() {
+  return JSON.parse(fs.readFileSync(ledgerPath, 'utf8'));
+}
+
+describe('recordPost', () => {
+  test('keeps stored entries when the first load is raced and stores only a hash of the content', async () => {
+    await Promise.all([
+      postLedger.getPost('100'),
+      postLedger.recordPost({ tweetId: '101', account: 'main', action: 'post', content: 'Secret launch plans', mode: 'graphql', jobId: 'job-1' })
+    ]);
+
+    const stored = readLedger();
+    expect(stored.map(entry => entry.tweetId)).toEqual(expect.arrayContaining(['100', '101']));
+    expect(JSON.stringify(stored)).not.toContain('Secret launch plans');
+    expect(stored.find(entry => entry.tweetId === '101').contentHash)
+      .toBe(crypto.createHash('sha256').update('Secret launch plans').digest('hex'));
+  });
+});
+
+describe('listPosts', () => {
+  test('filters by account, action, job and content, newest first', async () => {
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await postLedger.recordPost({ tweetId: '102', account: 'main', action: 'reply', content: 'A reply', targetTweetId: '101' });
+
+    expect((await postLedger.listPosts({ account: 'main' })).map(entry => entry.tweetId)).toEqual(['102', '101']);
+    expect((await postLedger.listPosts({ account: null })).map(entry => entry.tweetId)).toEqual(['100']);
+    expect((await postLedger.listPosts({ action: 'reply' })).map(entry => entry.tweetId)).toEqual(['102']);
+    expect((await postLedger.listPosts({ jobId: 'job-1' })).map(entry => entry.tweetId)).toEqual(['101']);
+    expect((await postLedger.listPosts({ contentHash: postLedger.hashContent('A reply') })).map(entry => entry.tweetId)).toEqual(['102']);
+    expect(await postLedger.listPosts({ limit: 1 })).toHaveLength(1);
+  });
+});
+
+describe('markDeleted', () => {
+  test('marks a post deleted once and returns null for unknown posts', async () => {
+    const deleted = await postLedger.markDeleted('101');
+    const again = await postLedger.markDeleted('101');
+
+    expect(deleted).toMatchObject({ status: 'deleted' });
+    expect(again.deletedAt).toBe(deleted.deletedAt);
+    expect((await postLedger.listPosts({ status: 'deleted' })).map(entry => entry.tweetId)).toEqual(['101']);
+    await expect(postLedger.markDeleted('999')).resolves.toBeNull();
+  });
+});
+
+describe('retention', () => {
+  test('drops the oldest entries beyond POST_LEDGER_RETENTION_COUNT', async () => {
+    for (const tweetId of ['103', '104']) {
+      await postLedger.recordPost({ tweetId, action: 'post', content: tweetId });
+    }
+
+    expect(readLedger()).toHaveLength(RETENTION_COUNT);
+    await expect(postLedger.getPost('100')).resolves.toBeNull();
+    await expect(postLedger.getPost('104')).resolves.not.toBeNull();
+  });
+});
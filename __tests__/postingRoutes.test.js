@@ -0,0 +1,251 @@
+/**
+ * Posting Routes Tests
+ * Runs the route -> posting engine -> GraphQL flow against the mock X server
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const request = require('supertest');
+const { createMockXServer } = require('../mock/mockXServer');
+
+// Constants
+const API_TOKEN = 'test-api-token';
+const JOB_TIMEOUT_MS = 10000;
+const ORIGINAL_CWD = process.cwd();
+
+// Module state
+const mock = createMockXServer();
+let workDir;
+let app;
+let jobQueue;
+
+/**
+ * Reads ct0 from the mock's cookie handshake. Stands in for the Chromium
+ * step of goCt0Manager, which loads the same page in a browser.
+ */
+async function fetchMockCt0() {
+  const response = await axios.get(`${mock.baseUrl()}/home`);
+  const cookie = response.headers['set-cookie'].find(value => value.startsWith('ct0='));
+  return cookie.split(';')[0].slice('ct0='.length);
+}
+
+/**
+ * Polls a queued job until the worker has finished it
+ */
+async function waitForJob(jobId) {
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const job = await jobQueue.getJob(jobId);
+    if (['succeeded', 'failed'].includes(job.status)) {
+      return job;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error(`Job ${jobId} did not finish within ${JOB_TIMEOUT_MS}ms`);
+}
+
+/**
+ * Waits until every stored upload has been deleted
+ * @returns {Promise<Array<string>>} Files still in data/uploads
+ */
+async function waitForUploadsRemoved() {
+  const uploadsDir = path.join(workDir, 'data', 'uploads');
+  const deadline = Date.now() + JOB_TIMEOUT_MS;
+  let files = [];
+  while (Date.now() < deadline) {
+    files = fs.existsSync(uploadsDir) ? fs.readdirSync(uploadsDir) : [];
+    if (files.length === 0) {
+      break;
+    }
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  return files;
+}
+
+/**
+ * Sends an authenticated multipart POST with one image attached
+ */
+function postWithImage(url, fields) {
+  const req = request(app).post(url).set('Authorization', `Bearer ${API_TOKEN}`);
+  for (const [name, value] of Object.entries(fields)) {
+    req.field(name, value);
+  }
+  return req.attach('media', Buffer.alloc(2048, 1), { filename: 'image.png', contentType: 'image/png' });
+}
+
+/**
+ * Sends an authenticated POST
+ */
+function post(url, body) {
+  return request(app)
+    .post(url)
+    .set('Authorization', `Bearer ${API_TOKEN}`)
+    .send(body);
+}
+
+beforeAll(async () => {
+  await mock.start(0);
+
+  // Modules read X_BASE_URL at load and keep data/ and logs/ under the
+  // working directory, so both are set before the app is required
+  process.env.X_BASE_URL = mock.baseUrl();
+  process.env.API_TOKEN = API_TOKEN;
+  process.env.RETRY_BASE_DELAY_MS = '10';
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  fs.mkdirSync('data');
+  fs.writeFileSync(path.join('data', 'auth_token.txt'), 'mock-auth-token');
+  fs.writeFileSync(path.join('data', 'guest_id.txt'), 'v1%3A170000000000000000');
+
+  jest.spyOn(require('../utils/goCt0Manager'), 'getCT0Cookie').mockImplementation(fetchMockCt0);
+  app = require('../index');
+  jobQueue = require('../utils/jobQueue');
+  await jobQueue.startWorker();
+});
+
+afterAll(async () => {
+  jobQueue.stopWorker();
+  await mock.stop();
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+describe('POST /api/direct/post', () => {
+  test('publishes through GraphQL and returns the tweet', async () => {
+    const response = await post('/api/direct/post', { content: 'Hello from the route tests' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.status).toBe('success');
+    expect(response.body.request_id).toBe(response.headers['x-request-id']);
+    expect(response.body.data).toMatchObject({ success: true, action: 'post', mode: 'graphql' });
+    expect(mock.state.tweets).toHaveLength(1);
+    expect(response.body.data.tweetId).toBe(mock.state.tweets[0].id);
+    expect(mock.state.tweets[0].text).toBe('Hello from the route tests\n');
+  });
+
+  test('rejects requests without an API key', async () => {
+    const response = await request(app).post('/api/direct/post').send({ content: 'No key' });
+
+    expect(response.status).toBe(401);
+    expect(mock.state.tweets).toHaveLength(0);
+  });
+
+  test('rejects empty content', async () => {
+    const response = await post('/api/direct/post', { content: '' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.message).toBe('Validation failed');
+  });
+
+  test('uploads attachments once when a CSRF mismatch is retried', async () => {
+    mock.queueError({ status: 403, code: 353, message: 'This request requires a matching csrf cookie and header.' });
+
+    const response = await postWithImage('/api/direct/post', { content: 'Retried with an image' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.retries).toBe(1);
+    expect(mock.state.media.size).toBe(1);
+    expect(mock.state.tweets[0].media).toEqual(Array.from(mock.state.media.keys()));
+    expect(await waitForUploadsRemoved()).toEqual([]);
+  });
+
+  test('rejects an image over X\'s 5MB limit', async () => {
+    const response = await request(app)
+      .post('/api/direct/post')
+      .set('Authorization', `Bearer ${API_TOKEN}`)
+      .field('content', 'Too large')
+      .attach('media', Buffer.alloc(5 * 1024 * 1024 + 1, 1), { filename: 'large.png', contentType: 'image/png' });
+
+    expect(response.status).toBe(413);
+    expect(response.body.error_code).toBe('PAYLOAD_TOO_LARGE');
+    expect(mock.state.media.size).toBe(0);
+    expect(await waitForUploadsRemoved()).toEqual([]);
+  });
+
+  test.each([
+    ['fails validation', { content: '' }, 400],
+    ['selects an unknown account', { content: 'Unknown account', account: 'nobody' }, 404],
+    ['is a dry run', { content: 'Dry run', dry_run: 'true' }, 200]
+  ])('deletes attachments of a request that %s', async (_, fields, httpStatus) => {
+    const response = await postWithImage('/api/direct/post', fields);
+
+    expect(response.status).toBe(httpStatus);
+    expect(mock.state.tweets).toHaveLength(0);
+    expect(await waitForUploadsRemoved()).toEqual([]);
+  });
+
+  test.each([
+    [{ status: 200, code: 187, message: 'Status is a duplicate.' }, 409, 'DUPLICATE_CONTENT'],
+    [{ status: 200, code: 186, message: 'Tweet needs to be a bit shorter.' }, 400, 'TEXT_TOO_LONG'],
+    [{ status: 200, code: 326, message: 'To protect our users from spam...' }, 502, 'ACCOUNT_LOCKED'],
+    [{ status: 401, code: 32, message: 'Could not authenticate you.' }, 502, 'AUTH_EXPIRED'],
+    [{ status: 403, code: 999, message: 'Forbidden.' }, 502, 'X_REJECTED']
+  ])('maps X error %o to HTTP %i %s', async (xError, httpStatus, errorCode) => {
+    mock.queueError(xError);
+
+    const response = await post('/api/direct/post', { content: `Rejected with ${errorCode}` });
+
+    expect(response.status).toBe(httpStatus);
+    expect(response.body.status).toBe('error');
+    expect(response.body.error_code).toBe(errorCode);
+    expect(response.body.data.success).toBe(false);
+    expect(mock.state.tweets).toHaveLength(0);
+  });
+});
+
+describe('POST /api/v1/post', () => {
+  test('queues the post and the worker publishes it', async () => {
+    const response = await post('/api/v1/post', { content: 'Queued post', mode: 'graphql' });
+
+    expect(response.status).toBe(202);
+    expect(response.body.status).toBe('accepted');
+    expect(response.body.data.status_url).toBe(`/api/v1/jobs/${response.body.data.job_id}`);
+
+    const job = await waitForJob(response.body.data.job_id);
+    expect(job.status).toBe('succeeded');
+    expect(job.requestId).toBe(response.body.request_id);
+    expect(mock.state.tweets).toHaveLength(1);
+    expect(job.result.tweetId).toBe(mock.state.tweets[0].id);
+  });
+
+  test('deletes the attachments once the job has posted them', async () => {
+    const response = await postWithImage('/api/v1/post', { content: 'Queued with an image', mode: 'graphql' });
+    const job = await waitForJob(response.body.data.job_id);
+
+    expect(job.status).toBe('succeeded');
+    expect(mock.state.tweets[0].media).toHaveLength(1);
+    expect(await waitForUploadsRemoved()).toEqual([]);
+  });
+
+  test('records the error code of a rejected post on the job', async () => {
+    mock.queueError({ status: 200, code: 187, message: 'Status is a duplicate.' });
+
+    const response = await post('/api/v1/post', { content: 'Queued duplicate', mode: 'graphql' });
+    const job = await waitForJob(response.body.data.job_id);
+
+    expect(job.status).toBe('failed');
+    expect(job.error.code).toBe('DUPLICATE_CONTENT');
+    expect(mock.state.tweets).toHaveLength(0);
+  });
+});
+
+// Runs last: X's rate limit also exhausts the account's post budget
+describe('X rate limits', () => {
+  test('reports a rate limit with its reset time', async () => {
+    const reset = Math.floor(Date.now() / 1000) + 3600;
+    mock.queueError({ status: 429, code: 88, message: 'Rate limit exceeded.', headers: { 'x-rate-limit-reset': String(reset) } });
+
+    const response = await post('/api/direct/post', { content: 'Rate limited' });
+
+    expect(response.status).toBe(429);
+    expect(response.body.error_code).toBe('RATE_LIMITED');
+    expect(Number(response.headers['retry-after'])).toBeGreaterThan(3500);
+    expect(response.body.retry_after).toBe(Number(response.headers['retry-after']));
+  });
+});
@@ -0,0 +1,96 @@
+/**
+ * Schedule Routes Tests
+ * Editing pending post, reply and thread schedules
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Constants
+const ADMIN_TOKEN = 'test-admin-token';
+const ORIGINAL_CWD = process.cwd();
+const LATER = new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString();
+
+// Module state
+let workDir;
+let app;
+let scheduler;
+
+beforeAll(() => {
+  // Stores keep data/ under the working directory, so it is set before the app is required
+  process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+
+  app = require('../index');
+  scheduler = require('../utils/scheduler');
+});
+
+afterAll(() => {
+  scheduler.stopScheduler();
+  delete process.env.ADMIN_API_TOKEN;
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Sends an authenticated PATCH for a schedule
+ */
+function patchSchedule(id, body) {
+  return request(app)
+    .patch(`/api/v1/schedules/${id}`)
+    .set('Authorization', `Bearer ${ADMIN_TOKEN}`)
+    .send(body);
+}
+
+describe('PATCH /api/v1/schedules/:id', () => {
+  test('replaces the content of a post schedule', async () => {
+    const schedule = await scheduler.createSchedule({ jobType: 'post', payload: { content: 'Before' }, scheduledAt: LATER });
+
+    const response = await patchSchedule(schedule.id, { content: 'After' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.payload.content).toBe('After');
+  });
+
+  test('splits new content of a thread schedule into its parts', async () => {
+    const schedule = await scheduler.createSchedule({ jobType: 'thread', payload: { parts: ['One', 'Two'] }, scheduledAt: LATER });
+    const content = `${'First paragraph. '.repeat(12)}\n\n${'Second paragraph. '.repeat(12)}`;
+
+    const response = await patchSchedule(schedule.id, { content });
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.payload.content).toBeUndefined();
+    expect(response.body.data.payload.parts).toHaveLength(2);
+    expect(response.body.data.payload.parts[0]).toMatch(/^First paragraph\..* 1\/2$/s);
+    expect((await scheduler.getSchedule(schedule.id)).payload.parts).toEqual(response.body.data.payload.parts);
+  });
+
+  test('rejects thread content longer than a thread can be', async () => {
+    const schedule = await scheduler.createSchedule({ jobType: 'thread', payload: { parts: ['One', 'Two'] }, scheduledAt: LATER });
+
+    const response = await patchSchedule(schedule.id, { content: 'word '.repeat(26 * 60) });
+
+    expect(response.status).toBe(400);
+    expect((await scheduler.getSchedule(schedule.id)).payload.parts).toEqual(['One', 'Two']);
+  });
+
+  test('only accepts post URLs on X as the reply target', async () => {
+    const schedule = await scheduler.createSchedule({ jobType: 'reply', payload: { content: 'Reply', url: 'https://x.com/jack/status/20' }, scheduledAt: LATER });
+
+    const rejected = await patchSchedule(schedule.id, { url: 'https://example.com/jack/status/21' });
+    const accepted = await patchSchedule(schedule.id, { url: 'https://twitter.com/jack/status/21' });
+
+    expect(rejected.status).toBe(400);
+    expect(accepted.status).toBe(200);
+    expect(accepted.body.data.payload.url).toBe('https://twitter.com/jack/status/21');
+  });
+
+  test('returns 404 for an unknown schedule', async () => {
+    const response = await patchSchedule('missing', { content: 'Anything' });
+
+    expect(response.status).toBe(404);
+  });
+});
@@ -0,0 +1,134 @@
+/**
+ * Scheduler Tests
+ * Creating, editing and cancelling schedules and dispatching due ones to the job queue
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Constants
+const ORIGINAL_CWD = process.cwd();
+const PAST = '2026-01-01T09:00:00.000Z';
+const WAIT_TIMEOUT_MS = 5000;
+
+// Module state
+let workDir;
+let scheduler;
+let jobQueue;
+
+/**
+ * Builds a stored schedule that is due
+ */
+function storedSchedule(id, cron = null) {
+  return {
+    id,
+    jobType: 'post',
+    payload: { content: id },
+    scheduledAt: cron ? null : PAST,
+    cron,
+    status: 'pending',
+    nextRunAt: PAST,
+    lastRunAt: null,
+    lastJobId: null,
+    runCount: 0,
+    createdAt: PAST,
+    updatedAt: PAST
+  };
+}
+
+/**
+ * Polls a schedule until the scheduler has dispatched it
+ */
+async function waitForDispatch(id) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const schedule = await scheduler.getSchedule(id);
+    if (schedule.lastJobId) {
+      return schedule;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Schedule ${id} was not dispatched within ${WAIT_TIMEOUT_MS}ms`);
+}
+
+beforeAll(() => {
+  // The scheduler keeps data/schedules.json under the working directory
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  fs.mkdirSync('data');
+  fs.writeFileSync(path.join('data', 'schedules.json'), JSON.stringify([storedSchedule('once'), storedSchedule('daily', '0 9 * * *')]));
+
+  scheduler = require('../utils/scheduler');
+  jobQueue = require('../utils/jobQueue');
+  // The worker is not started, so dispatched jobs stay queued
+  jobQueue.registerHandler('post', async () => ({ success: true }));
+});
+
+afterAll(() => {
+  scheduler.stopScheduler();
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+describe('dispatching due schedules', () => {
+  test('queues a due one-off schedule once and marks it dispatched', async () => {
+    await scheduler.startScheduler();
+    const schedule = await waitForDispatch('once');
+
+    expect(schedule).toMatchObject({ status: 'dispatched', nextRunAt: null, runCount: 1 });
+    await expect(jobQueue.getJob(schedule.lastJobId)).resolves.toMatchObject({ type: 'post', payload: { content: 'once' }, keepMedia: false });
+  });
+
+  test('queues a due recurring schedule and moves it to its next run', async () => {
+    const schedule = await waitForDispatch('daily');
+
+    expect(schedule.status).toBe('pending');
+    expect(schedule.runCount).toBe(1);
+    expect(new Date(schedule.nextRunAt).getTime()).toBeGreaterThan(Date.now());
+    expect(schedule.nextRunAt).toMatch(/T09:00:00\.000Z$/);
+    await expect(jobQueue.getJob(schedule.lastJobId)).resolves.toMatchObject({ keepMedia: true });
+  });
+});
+
+describe('createSchedule', () => {
+  test('starts a recurring schedule on or after its start time', async () => {
+    const schedule = await scheduler.createSchedule({ jobType: 'post', payload: { content: 'Later' }, scheduledAt: '2030-01-01T09:00:00Z', cron: '0 9 * * *' });
+
+    expect(schedule.nextRunAt).toBe('2030-01-01T09:00:00.000Z');
+  });
+
+  test('requires a time or a cron expression', async () => {
+    await expect(scheduler.createSchedule({ jobType: 'post', payload: {} })).rejects.toThrow('Either scheduled_at or cron is required');
+  });
+});
+
+describe('updateSchedule and cancelSchedule', () => {
+  test('edits a pending schedule and recomputes its next run', async () => {
+    const { id } = await scheduler.createSchedule({ jobType: 'post', payload: { content: 'Draft', mode: 'graphql' }, scheduledAt: '2030-01-01T09:00:00Z' });
+
+    const updated = await scheduler.updateSchedule(id, { payload: { content: 'Final' }, scheduledAt: '2030-02-01T09:00:00Z' });
+
+    expect(updated.payload).toEqual({ content: 'Final', mode: 'graphql' });
+    expect(updated.nextRunAt).toBe('2030-02-01T09:00:00.000Z');
+  });
+
+  test('cancels a pending schedule and refuses to change it afterwards', async () => {
+    const { id } = await scheduler.createSchedule({ jobType: 'post', payload: { content: 'Cancelled' }, scheduledAt: '2030-01-01T09:00:00Z' });
+
+    await expect(scheduler.cancelSchedule(id)).resolves.toMatchObject({ status: 'cancelled', nextRunAt: null });
+    await expect(scheduler.updateSchedule(id, { payload: { content: 'Again' } })).rejects.toThrow('Only pending schedules can be edited');
+    await expect(scheduler.cancelSchedule(id)).rejects.toThrow('Only pending schedules can be cancelled');
+  });
+
+  test('returns null for an unknown schedule', async () => {
+    await expect(scheduler.updateSchedule('missing', {})).resolves.toBeNull();
+    await expect(scheduler.cancelSchedule('missing')).resolves.toBeNull();
+  });
+
+  test('lists schedules by status', async () => {
+    const dispatched = await scheduler.listSchedules({ status: 'dispatched' });
+
+    expect(dispatched.map(schedule => schedule.id)).toEqual(['once']);
+  });
+});
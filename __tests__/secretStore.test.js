@@ -0,0 +1,102 @@
+/**
+ * Secret Store Tests
+ * Encrypting values and files at rest and rotating them to a new key
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const secretStore = require('../utils/secretStore');
+
+// Constants
+const OLD_KEY = 'old-secrets-key';
+const NEW_KEY = 'new-secrets-key';
+
+// Module state
+let workDir;
+
+beforeAll(() => {
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+});
+
+afterAll(() => {
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  process.env.SECRETS_KEY = OLD_KEY;
+  delete process.env.SECRETS_PREVIOUS_KEYS;
+});
+
+afterEach(() => {
+  delete process.env.SECRETS_KEY;
+  delete process.env.SECRETS_PREVIOUS_KEYS;
+});
+
+describe('encryptValue and decryptValue', () => {
+  test('round-trip a value without storing the plaintext', () => {
+    const stored = secretStore.encryptValue('auth-token-value');
+
+    expect(secretStore.isEncrypted(stored)).toBe(true);
+    expect(stored).not.toContain('auth-token-value');
+    expect(secretStore.encryptValue('auth-token-value')).not.toBe(stored);
+    expect(secretStore.decryptValue(stored)).toBe('auth-token-value');
+  });
+
+  test('leave values alone without SECRETS_KEY and read legacy plaintext', () => {
+    delete process.env.SECRETS_KEY;
+
+    expect(secretStore.isEncryptionEnabled()).toBe(false);
+    expect(secretStore.encryptValue('plain')).toBe('plain');
+    expect(secretStore.decryptValue('plain')).toBe('plain');
+  });
+
+  test('reject a tampered ciphertext', () => {
+    const parts = secretStore.encryptValue('auth-token-value').split(':');
+    const data = Buffer.from(parts[5], 'base64');
+    data[0] ^= 1;
+    parts[5] = data.toString('base64');
+
+    expect(() => secretStore.decryptValue(parts.join(':'))).toThrow();
+  });
+});
+
+describe('key rotation', () => {
+  test('values written with a previous key stay readable and are rotated to the current one', () => {
+    const stored = secretStore.encryptValue('rotated-token');
+    process.env.SECRETS_KEY = NEW_KEY;
+
+    expect(() => secretStore.decryptValue(stored)).toThrow('No secrets key available');
+
+    process.env.SECRETS_PREVIOUS_KEYS = `unrelated, ${OLD_KEY}`;
+    expect(secretStore.decryptValue(stored)).toBe('rotated-token');
+
+    const rotated = secretStore.rotateValue(stored);
+    delete process.env.SECRETS_PREVIOUS_KEYS;
+    expect(secretStore.decryptValue(rotated)).toBe('rotated-token');
+  });
+
+  test('rotates a secret file in place and skips missing files', async () => {
+    const filePath = path.join(workDir, 'cookies.json');
+    await secretStore.writeSecretJson(filePath, [{ name: 'ct0', value: 'abc' }]);
+
+    process.env.SECRETS_KEY = NEW_KEY;
+    process.env.SECRETS_PREVIOUS_KEYS = OLD_KEY;
+    await expect(secretStore.rotateSecretFile(filePath)).resolves.toBe(true);
+    await expect(secretStore.rotateSecretFile(path.join(workDir, 'missing.txt'))).resolves.toBe(false);
+
+    delete process.env.SECRETS_PREVIOUS_KEYS;
+    await expect(secretStore.readSecretJson(filePath)).resolves.toEqual([{ name: 'ct0', value: 'abc' }]);
+    expect(fs.statSync(filePath).mode & 0o777).toBe(0o600);
+  });
+
+  test('encrypts a legacy plaintext file when rotated', async () => {
+    const filePath = path.join(workDir, 'auth_token.txt');
+    fs.writeFileSync(filePath, 'legacy-token\n');
+
+    await secretStore.rotateSecretFile(filePath);
+
+    expect(secretStore.isEncrypted(fs.readFileSync(filePath, 'utf8'))).toBe(true);
+    await expect(secretStore.readSecret(filePath)).resolves.toBe('legacy-token');
+  });
+});
@@ -0,0 +1,32 @@
+/**
+ * Status URL Tests
+ * Parsing the post URLs that replies, quotes, reposts and likes target
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const { parseStatusUrl, isStatusUrl } = require('../utils/goStyleDirectApiFix');
+
+describe('parseStatusUrl', () => {
+  test.each([
+    ['https://x.com/jack/status/20', { tweetId: '20', username: 'jack' }],
+    ['https://twitter.com/jack/status/20?s=20', { tweetId: '20', username: 'jack' }],
+    ['https://mobile.twitter.com/jack/status/20/photo/1', { tweetId: '20', username: 'jack' }],
+    ['https://www.x.com/i/web/status/20', { tweetId: '20', username: null }],
+    ['https://x.com/i/status/20', { tweetId: '20', username: null }]
+  ])('parses %s', (url, expected) => {
+    expect(parseStatusUrl(url)).toEqual(expected);
+  });
+
+  test.each([
+    'https://example.com/jack/status/20',
+    'https://x.com.example.com/jack/status/20',
+    'https://example.com/?next=https://x.com/jack/status/20',
+    'ftp://x.com/jack/status/20',
+    'https://x.com/jack',
+    'https://x.com/jack/status/abc',
+    'x.com/jack/status/20',
+    null
+  ])('rejects %p', (url) => {
+    expect(parseStatusUrl(url)).toBeNull();
+    expect(isStatusUrl(url)).toBe(false);
+  });
+});
@@ -0,0 +1,124 @@
+/**
+ * Thread Service Tests
+ * Posting threads against the mock X server within the account's post budget
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const axios = require('axios');
+const { createMockXServer } = require('../mock/mockXServer');
+
+// Constants
+const HOURLY_LIMIT = 4;
+const JOB_TIMEOUT_MS = 5000;
+const ORIGINAL_CWD = process.cwd();
+
+// Module state
+const mock = createMockXServer();
+let workDir;
+let postThread;
+let postBudget;
+let jobQueue;
+
+/**
+ * Reads ct0 from the mock's cookie handshake, standing in for the browser step
+ */
+async function fetchMockCt0() {
+  const response = await axios.get(`${mock.baseUrl()}/home`);
+  const cookie = response.headers['set-cookie'].find(value => value.startsWith('ct0='));
+  return cookie.split(';')[0].slice('ct0='.length);
+}
+
+/**
+ * Hourly posts left for the default account
+ */
+function remainingPosts() {
+  return postBudget.getBudgetStatus(null).hourly.remaining;
+}
+
+beforeAll(async () => {
+  await mock.start(0);
+
+  // Modules read X_BASE_URL and the limits at load and keep data/ under the
+  // working directory, so all are set before they are required
+  process.env.X_BASE_URL = mock.baseUrl();
+  process.env.POST_LIMIT_PER_HOUR = String(HOURLY_LIMIT);
+  process.env.POST_LIMIT_PER_DAY = '0';
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  fs.mkdirSync('data');
+  fs.writeFileSync(path.join('data', 'auth_token.txt'), 'mock-auth-token');
+  fs.writeFileSync(path.join('data', 'guest_id.txt'), 'v1%3A170000000000000000');
+
+  jest.spyOn(require('../utils/goCt0Manager'), 'getCT0Cookie').mockImplementation(fetchMockCt0);
+  ({ postThread } = require('../services/threadService'));
+  postBudget = require('../utils/postBudget');
+  jobQueue = require('../utils/jobQueue');
+  jobQueue.registerHandler('thread', ({ parts }, job) => postThread(parts, { jobId: job.id }));
+});
+
+afterAll(async () => {
+  jobQueue.stopWorker();
+  await mock.stop();
+  delete process.env.POST_LIMIT_PER_HOUR;
+  delete process.env.POST_LIMIT_PER_DAY;
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+  mock.reset();
+});
+
+describe('postThread', () => {
+  test('refuses a thread the budget cannot cover before posting any part', async () => {
+    postBudget.takePost(null);
+
+    const result = await postThread(['one', 'two', 'three', 'four']);
+
+    expect(result).toMatchObject({ success: false, errorCode: 'POST_BUDGET_EXCEEDED', requestSent: false, postedCount: 0 });
+    expect(result.retryAfter).toBeGreaterThan(0);
+    expect(result.parts.every(part => part.status === 'skipped')).toBe(true);
+    expect(mock.state.tweets).toHaveLength(0);
+    expect(remainingPosts()).toBe(HOURLY_LIMIT - 1);
+    postBudget.returnPost(null);
+  });
+
+  test('gives back the budget of parts skipped after a failure', async () => {
+    mock.queueError({ status: 200, code: 187, message: 'Status is a duplicate.' });
+
+    const result = await postThread(['first', 'second', 'third']);
+
+    expect(result.parts.map(part => part.status)).toEqual(['failed', 'skipped', 'skipped']);
+    expect(remainingPosts()).toBe(HOURLY_LIMIT - 1);
+  });
+
+  test('posts every part as a reply to the previous one', async () => {
+    const result = await postThread(['head', 'tail']);
+
+    expect(result).toMatchObject({ success: true, postedCount: 2, retryAfter: null });
+    expect(mock.state.tweets.map(tweet => tweet.text.trim())).toEqual(['head', 'tail']);
+    expect(mock.state.tweets[1].inReplyTo).toBe(mock.state.tweets[0].id);
+    expect(remainingPosts()).toBe(HOURLY_LIMIT - 3);
+  });
+});
+
+describe('queued threads', () => {
+  test('a thread over the budget is deferred, not failed', async () => {
+    await jobQueue.startWorker();
+    const job = await jobQueue.enqueueJob('thread', { parts: ['a', 'b', 'c'] });
+
+    const deadline = Date.now() + JOB_TIMEOUT_MS;
+    let stored = await jobQueue.getJob(job.id);
+    while (!stored.runAfter && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      stored = await jobQueue.getJob(job.id);
+    }
+
+    expect(stored.status).toBe('queued');
+    expect(stored.error.code).toBe('POST_BUDGET_EXCEEDED');
+    expect(new Date(stored.runAfter).getTime()).toBeGreaterThan(Date.now());
+    expect(mock.state.tweets).toHaveLength(0);
+  });
+});
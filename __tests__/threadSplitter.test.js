@@ -0,0 +1,66 @@
+/**
+ * Thread Splitter Tests
+ * Splitting long content into numbered parts that each fit X's weighted length
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const { splitIntoThread } = require('../utils/threadSplitter');
+const { weightedLength } = require('../utils/tweetText');
+
+/**
+ * Removes the " i/N" suffix of a part
+ */
+function withoutNumber(part) {
+  return part.replace(/ \d+\/\d+$/, '');
+}
+
+describe('splitIntoThread', () => {
+  test('returns content that fits as a single, unnumbered part', () => {
+    expect(splitIntoThread('  Short post  ', 280)).toEqual(['Short post']);
+  });
+
+  test('numbers the parts and keeps each within the limit', () => {
+    const parts = splitIntoThread('word '.repeat(200), 100);
+
+    expect(parts.length).toBeGreaterThan(1);
+    parts.forEach((part, index) => {
+      expect(part.endsWith(` ${index + 1}/${parts.length}`)).toBe(true);
+      expect(weightedLength(part)).toBeLessThanOrEqual(100);
+    });
+  });
+
+  test('prefers paragraph boundaries', () => {
+    const first = 'First paragraph. '.repeat(3).trim();
+    const second = 'Second paragraph. '.repeat(3).trim();
+
+    expect(splitIntoThread(`${first}\n\n${second}`, 80).map(withoutNumber)).toEqual([first, second]);
+  });
+
+  test('cuts at sentences before words', () => {
+    const parts = splitIntoThread('One sentence here. Another one follows it. And a third sentence ends.', 50);
+
+    expect(parts.map(withoutNumber)).toEqual(['One sentence here. Another one follows it.', 'And a third sentence ends.']);
+  });
+
+  test('never splits a URL', () => {
+    const url = 'https://example.com/some/long/path/to/a/page';
+    const parts = splitIntoThread(`${'filler text '.repeat(8)}${url} ${'more words '.repeat(8)}`, 60);
+
+    expect(parts.some(part => part.includes(url))).toBe(true);
+    parts.forEach(part => expect(weightedLength(part)).toBeLessThanOrEqual(60));
+  });
+
+  test('counts heavy characters and keeps emoji whole when cutting a long word', () => {
+    const parts = splitIntoThread('😀'.repeat(100), 50);
+
+    parts.forEach(part => expect(weightedLength(part)).toBeLessThanOrEqual(50));
+    expect(parts.map(withoutNumber).join('')).toBe('😀'.repeat(100));
+  });
+
+  test('reserves room for two-digit part numbers', () => {
+    const parts = splitIntoThread('word '.repeat(300), 40);
+
+    expect(parts.length).toBeGreaterThanOrEqual(10);
+    expect(parts[parts.length - 1]).toMatch(new RegExp(` ${parts.length}/${parts.length}$`));
+    parts.forEach(part => expect(weightedLength(part)).toBeLessThanOrEqual(40));
+  });
+});
@@ -0,0 +1,52 @@
+/**
+ * Tweet Text Tests
+ * Weighted post length and entity extraction, counted the way X counts them
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const { weightedLength, parseTweet, assertTweetLength } = require('../utils/tweetText');
+
+describe('weightedLength', () => {
+  test.each([
+    ['Latin text counts once per character', 'Hello, world!', 13],
+    ['accented Latin counts once', 'café déjà vu', 12],
+    ['decomposed accents are normalized first', 'cafe\u0301', 4],
+    ['CJK counts twice', '日本語', 6],
+    ['an emoji counts twice', '👍', 2],
+    ['a skin-toned, joined emoji counts twice', '👩🏽‍💻', 2],
+    ['a flag counts twice', '🇫🇷', 2],
+    ['a keycap counts twice', '1️⃣', 2],
+    ['a URL counts as 23', 'https://example.com/a/very/long/path?with=query', 23],
+    ['a bare domain counts as 23', 'see example.com', 4 + 23],
+    ['trailing punctuation is not part of the URL', 'Read https://example.com.', 5 + 23 + 1],
+    ['empty text', '', 0]
+  ])('%s', (_, text, expected) => {
+    expect(weightedLength(text)).toBe(expected);
+  });
+});
+
+describe('parseTweet', () => {
+  test('extracts mentions, hashtags and URLs, ignoring ones inside URLs', () => {
+    const parsed = parseTweet('Hi @jack, #launch day! https://example.com/#anchor?u=@nobody', 280);
+
+    expect(parsed.mentions).toEqual(['jack']);
+    expect(parsed.hashtags).toEqual(['launch']);
+    expect(parsed.urls).toEqual(['https://example.com/#anchor?u=@nobody']);
+  });
+
+  test('reports the remaining length against the limit', () => {
+    const parsed = parseTweet('日本語', 5);
+
+    expect(parsed).toMatchObject({ weightedLength: 6, maxLength: 5, remaining: -1, valid: false });
+  });
+
+  test('blank text is not valid', () => {
+    expect(parseTweet('   ').valid).toBe(false);
+  });
+});
+
+describe('assertTweetLength', () => {
+  test('accepts text at the limit and rejects text over it', () => {
+    expect(assertTweetLength('a'.repeat(280), 280)).toBe(true);
+    expect(() => assertTweetLength(`${'a'.repeat(279)}👍`, 280)).toThrow('Text is 281 characters as counted by X, the limit is 280');
+  });
+});
@@ -0,0 +1,93 @@
+/**
+ * Webhook Routes Tests
+ * Registering, listing and deleting webhooks with account-restricted admin keys
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const request = require('supertest');
+
+// Constants
+const ADMIN_TOKEN = 'test-admin-token';
+const ORIGINAL_CWD = process.cwd();
+const RECEIVER_URL = 'http://localhost:9/hooks';
+
+// Module state
+let workDir;
+let app;
+let webhooks;
+let restrictedKey;
+let otherWebhook;
+
+beforeAll(async () => {
+  // Stores keep data/ under the working directory, so it is set before the app is required
+  process.env.ADMIN_API_TOKEN = ADMIN_TOKEN;
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+
+  app = require('../index');
+  webhooks = require('../utils/webhooks');
+  const { saveAccount } = require('../utils/accountRegistry');
+  const { issueKey } = require('../utils/apiKeyStore');
+  await saveAccount({ handle: 'main' });
+  await saveAccount({ handle: 'other' });
+  restrictedKey = (await issueKey({ name: 'main-admin', scopes: ['auth-admin'], account: 'main' })).key;
+  otherWebhook = (await webhooks.createWebhook({ url: RECEIVER_URL, events: ['*'], account: 'other' })).record;
+});
+
+afterAll(() => {
+  delete process.env.ADMIN_API_TOKEN;
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Sends a request with a Bearer key
+ */
+function withKey(token, method, url) {
+  return request(app)[method](url).set('Authorization', `Bearer ${token}`);
+}
+
+describe('webhook routes with an account-restricted key', () => {
+  test('registers webhooks for the key\'s account', async () => {
+    const response = await withKey(restrictedKey, 'post', '/api/v1/webhooks').send({ url: RECEIVER_URL, events: ['job.failed'] });
+
+    expect(response.status).toBe(201);
+    expect(response.body.data.account).toBe('main');
+    expect(response.body.data.secret).toMatch(/^whsec_/);
+  });
+
+  test('cannot register a webhook for another account', async () => {
+    const response = await withKey(restrictedKey, 'post', '/api/v1/webhooks').send({ url: RECEIVER_URL, events: ['*'], account: 'other' });
+
+    expect(response.status).toBe(403);
+  });
+
+  test('only lists webhooks of its account', async () => {
+    const response = await withKey(restrictedKey, 'get', '/api/v1/webhooks');
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.webhooks.length).toBeGreaterThan(0);
+    expect(response.body.data.webhooks.every(webhook => webhook.account === 'main')).toBe(true);
+  });
+
+  test.each([
+    ['get', ''],
+    ['delete', ''],
+    ['get', '/deliveries']
+  ])('cannot %s another account\'s webhook%s', async (method, suffix) => {
+    const response = await withKey(restrictedKey, method, `/api/v1/webhooks/${otherWebhook.id}${suffix}`);
+
+    expect(response.status).toBe(404);
+    expect(await webhooks.getWebhook(otherWebhook.id)).not.toBeNull();
+  });
+
+  test('an unrestricted key sees every webhook', async () => {
+    const response = await withKey(ADMIN_TOKEN, 'get', `/api/v1/webhooks/${otherWebhook.id}`);
+
+    expect(response.status).toBe(200);
+    expect(response.body.data.account).toBe('other');
+    expect(response.body.data.secret).toBeUndefined();
+  });
+});
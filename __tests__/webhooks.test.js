@@ -0,0 +1,140 @@
+/**
+ * Webhooks Tests
+ * Loading stored deliveries, signing and retrying failed deliveries with backoff
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+
+// Constants
+const ORIGINAL_CWD = process.cwd();
+const RETRY_BASE_MS = 200;
+const WAIT_TIMEOUT_MS = 5000;
+
+// Module state
+const received = [];
+const statusCodes = [];
+let receiver;
+let receiverUrl;
+let workDir;
+let webhooks;
+let eventBus;
+
+beforeAll(async () => {
+  // Both stores keep data/ under the working directory and the timings are read at load
+  process.env.WEBHOOK_RETRY_BASE_MS = String(RETRY_BASE_MS);
+  process.env.WEBHOOK_POLL_INTERVAL_MS = '50';
+  workDir = fs.mkdtempSync(path.join(os.tmpdir(), 'xposts-test-'));
+  process.chdir(workDir);
+  fs.mkdirSync('data');
+
+  receiver = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statusCodes.shift() || 200;
+      res.end();
+    });
+  });
+  await new Promise(resolve => receiver.listen(0, '127.0.0.1', resolve));
+  receiverUrl = `http://127.0.0.1:${receiver.address().port}/hooks`;
+
+  webhooks = require('../utils/webhooks');
+  eventBus = require('../utils/eventBus');
+});
+
+afterAll(async () => {
+  webhooks.stopWebhookWorker();
+  await new Promise(resolve => receiver.close(resolve));
+  delete process.env.WEBHOOK_RETRY_BASE_MS;
+  delete process.env.WEBHOOK_POLL_INTERVAL_MS;
+  process.chdir(ORIGINAL_CWD);
+  fs.rmSync(workDir, { recursive: true, force: true });
+});
+
+/**
+ * Polls a delivery until it has finished
+ */
+async function waitForDelivery(id) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (Date.now() < deadline) {
+    const delivery = await webhooks.getDelivery(id);
+    if (delivery && delivery.status !== 'pending') {
+      return delivery;
+    }
+    await new Promise(resolve => setTimeout(resolve, 20));
+  }
+  throw new Error(`Delivery ${id} did not finish within ${WAIT_TIMEOUT_MS}ms`);
+}
+
+describe('loading deliveries', () => {
+  test('callers racing the first load share it, so stored deliveries are found', async () => {
+    const { record } = await webhooks.createWebhook({ url: receiverUrl, events: ['*'] });
+    const now = new Date().toISOString();
+    fs.writeFileSync(path.join(workDir, 'data', 'webhook_deliveries.json'), JSON.stringify([{
+      id: 'stored',
+      webhookId: record.id,
+      url: receiverUrl,
+      event: { type: 'job.failed', data: {} },
+      status: 'failed',
+      attempts: [],
+      nextAttemptAt: null,
+      replayOf: null,
+      createdAt: now,
+      updatedAt: now,
+      finishedAt: now
+    }]));
+
+    const [, replay] = await Promise.all([
+      webhooks.listDeliveries(),
+      webhooks.replayDelivery('stored')
+    ]);
+
+    expect(replay).toMatchObject({ replayOf: 'stored', status: 'pending' });
+    await expect(waitForDelivery(replay.id)).resolves.toMatchObject({ status: 'succeeded' });
+    await webhooks.deleteWebhook(record.id);
+  });
+});
+
+describe('signPayload', () => {
+  test('is the HMAC-SHA256 of "<timestamp>.<body>"', () => {
+    const expected = crypto.createHmac('sha256', 'whsec_test').update('1700000000.{"a":1}').digest('hex');
+
+    expect(webhooks.signPayload('whsec_test', 1700000000, '{"a":1}')).toBe(expected);
+  });
+});
+
+describe('delivering events', () => {
+  test('signs each request and retries a failed one after a backoff delay', async () => {
+    const secret = 'whsec_retry-test';
+    const { record } = await webhooks.createWebhook({ url: receiverUrl, events: ['job.succeeded'], secret });
+    await webhooks.startWebhookWorker();
+    received.length = 0;
+    statusCodes.push(500);
+
+    eventBus.publishEvent('job.succeeded', { jobId: 'job-1' });
+    let pending = [];
+    const deadline = Date.now() + WAIT_TIMEOUT_MS;
+    while (pending.length === 0 && Date.now() < deadline) {
+      await new Promise(resolve => setTimeout(resolve, 20));
+      pending = await webhooks.listDeliveries({ webhookId: record.id });
+    }
+    const delivery = await waitForDelivery(pending[0].id);
+
+    expect(delivery.status).toBe('succeeded');
+    expect(delivery.attempts.map(attempt => attempt.error)).toEqual(['HTTP 500', null]);
+    const delay = new Date(delivery.attempts[1].at) - new Date(delivery.attempts[0].at);
+    expect(delay).toBeGreaterThanOrEqual(RETRY_BASE_MS / 2);
+
+    const deliveriesToHook = received.filter(({ headers }) => headers['x-webhook-id'] === record.id);
+    expect(deliveriesToHook).toHaveLength(2);
+    for (const { headers, body } of deliveriesToHook) {
+      const signature = webhooks.signPayload(secret, headers['x-webhook-timestamp'], body);
+      expect(headers['x-webhook-signature']).toBe(`sha256=${signature}`);
+    }
+  });
+});
@@ -8,26 +8,47 @@ const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { authMiddleware } = require('./middleware/auth');
+const { errorCodes } = require('./middleware/errorCodes');
+const { requestId, keepRequestContext } = require('./middleware/requestId');
 const authRoutes = require('./routes/authRoutes');
 const postingRoutes = require('./routes/postingRoutes');
 const monitoringRoutes = require('./routes/monitoringRoutes');
+const jobRoutes = require('./routes/jobRoutes');
+const scheduleRoutes = require('./routes/scheduleRoutes');
+const accountRoutes = require('./routes/accountRoutes');
+const keyRoutes = require('./routes/keyRoutes');
+const postRoutes = require('./routes/postRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const healthRoutes = require('./routes/healthRoutes');
+const postingEngine = require('./services/postingEngine');
+const { postThread } = require('./services/threadService');
+const jobQueue = require('./utils/jobQueue');
+const scheduler = require('./utils/scheduler');
+const webhooks = require('./utils/webhooks');
 const logger = require('./utils/logger');
 
 // Create Express app
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Request IDs first, so every log line of a request carries its ID
+app.use(requestId);
+
 // Apply security middleware
 app.use(helmet());
 app.use(cors());
-app.use(express.json());
+app.use(errorCodes);
+app.use(keepRequestContext(express.json()));
 
 // Rate limiting
+const PROBE_PATHS = ['/metrics', '/healthz', '/readyz'];
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // limit each IP to 100 requests per window
   standardHeaders: true,
-  message: 'Too many requests from this IP, please try again later',
+  message: { status: 'error', message: 'Too many requests from this IP, please try again later' },
+  skip: (req) => PROBE_PATHS.includes(req.path), // Probes and Prometheus call far more often than API clients
 });
 app.use(limiter);
 
@@ -41,10 +62,25 @@ app.get('/', (req, res) => {
   });
 });
 
-// Protected routes with auth middleware
-app.use('/api', authMiddleware, authRoutes);        // Authentication endpoints
-app.use('/api', authMiddleware, postingRoutes);     // Posting and reply endpoints
-app.use('/api', authMiddleware, monitoringRoutes);  // System monitoring endpoints
+// Protected routes: the API key is verified once per request
+app.use('/api', authMiddleware);
+app.use('/api', authRoutes);                        // Authentication endpoints
+app.use('/api', postingRoutes);                     // Posting and reply endpoints
+app.use('/api', monitoringRoutes);                  // System monitoring endpoints
+app.use('/api', jobRoutes);                         // Job status endpoints
+app.use('/api', scheduleRoutes);                    // Scheduled post endpoints
+app.use('/api', accountRoutes);                     // Account registry endpoints
+app.use('/api', keyRoutes);                         // API key management endpoints
+app.use('/api', postRoutes);                        // Post ledger and deletion endpoints
+app.use('/api', webhookRoutes);                     // Webhook subscription endpoints
+app.use('/metrics', authMiddleware, metricsRoutes); // Prometheus metrics
+app.use(healthRoutes);                              // Liveness and readiness probes
+
+// Job handlers - queued and scheduled posts run through the posting engine
+// and record the job ID of every post in the post ledger
+jobQueue.registerHandler('post', ({ content, ...options }, job) => postingEngine.createPost(content, { ...options, mode: options.mode || 'browser', jobId: job.id }));
+jobQueue.registerHandler('reply', ({ content, url, ...options }, job) => postingEngine.replyToPost(content, url, { ...options, mode: options.mode || 'browser', jobId: job.id }));
+jobQueue.registerHandler('thread', ({ parts, ...options }, job) => postThread(parts, { ...options, mode: options.mode || 'graphql', jobId: job.id }));
 
 // Error handling
 app.use((err, req, res, next) => {
@@ -56,23 +92,33 @@ app.use((err, req, res, next) => {
   });
 });
 
-// Start server
-app.listen(PORT, () => {
-  logger.info(`✅ Server running on port ${PORT}`);
-  logger.info(`🔐 API Authentication: Bearer Token`);
-  logger.info(`🔑 Expected API Token: ${process.env.API_TOKEN}`);
-  logger.info(`🤖 X Posts Bot service is ready`);
-});
+// Start the server when run directly; tests require the app without it
+if (require.main === module) {
+  app.listen(PORT, async () => {
+    logger.info(`✅ Server running on port ${PORT}`);
+    logger.info(`🔐 API Authentication: Bearer API keys`);
+    logger.info(`🤖 X Posts Bot service is ready`);
+    // Webhooks subscribe first so events of jobs recovered at startup are delivered
+    await webhooks.startWebhookWorker();
+    jobQueue.startWorker();
+    scheduler.startScheduler();
+  });
 
-// Handle unhandled promise rejections
-process.on('unhandledRejection', (err) => {
-  logger.error('UNHANDLED REJECTION! 💥 Shutting down...');
-  logger.error(err.name, err.message);
-  process.exit(1);
-});
+  // Handle unhandled promise rejections
+  process.on('unhandledRejection', (err) => {
+    logger.error('UNHANDLED REJECTION! 💥 Shutting down...');
+    logger.error(err.name, err.message);
+    process.exit(1);
+  });
 
-// Handle SIGTERM
-process.on('SIGTERM', () => {
-  logger.info('👋 SIGTERM RECEIVED. Shutting down gracefully');
-  process.exit(0);
-});
+  // Handle SIGTERM
+  process.on('SIGTERM', () => {
+    logger.info('👋 SIGTERM RECEIVED. Shutting down gracefully');
+    jobQueue.stopWorker();
+    scheduler.stopScheduler();
+    webhooks.stopWebhookWorker();
+    process.exit(0);
+  });
+}
+
+module.exports = app;
@@ -0,0 +1,61 @@
+/**
+ * Account Selection Middleware
+ * Resolves the `account` body/query parameter to a registered handle
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const logger = require('../utils/logger');
+const { isValidHandle, resolveHandle, accountExists } = require('../utils/accountRegistry');
+
+/**
+ * Checks whether the request's API key may act on an account.
+ * Keys without an account restriction may use any account.
+ * @param {Object} req - Express request after authMiddleware
+ * @param {string|null} account - Account handle
+ * @returns {boolean} True when allowed
+ */
+exports.canAccessAccount = (req, account) => {
+  const restriction = req.apiKey && req.apiKey.account;
+  return !restriction || restriction === (account || null);
+};
+
+/**
+ * Middleware that sets req.account to the selected handle, or null for the
+ * default account. Unknown handles are rejected before any work is done.
+ * Keys restricted to an account default to it and may not select another.
+ */
+exports.accountParam = async (req, res, next) => {
+  try {
+    const requested = (req.body && req.body.account) || req.query.account || (req.apiKey && req.apiKey.account) || null;
+
+    if (requested && !isValidHandle(requested)) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Invalid account handle: ${requested}`
+      });
+    }
+
+    const handle = resolveHandle(requested);
+    if (!exports.canAccessAccount(req, handle)) {
+      return res.status(403).json({
+        status: 'error',
+        message: `This API key is restricted to account @${req.apiKey.account}.`
+      });
+    }
+
+    if (!(await accountExists(handle))) {
+      return res.status(404).json({
+        status: 'error',
+        message: `Unknown account: @${handle}. Register it with POST /api/v1/accounts first.`
+      });
+    }
+
+    req.account = handle;
+    next();
+  } catch (error) {
+    logger.error(`Account resolution error: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to resolve account.'
+    });
+  }
+};
@@ -3,15 +3,17 @@
  * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
  */
 const logger = require('../utils/logger');
+const { verifyKey } = require('../utils/apiKeyStore');
 
 /**
- * Middleware to authenticate API requests using Bearer token
+ * Middleware to authenticate API requests using a Bearer API key.
+ * Sets req.apiKey ({ id, name, scopes, account }) and req.scopes.
  */
-exports.authMiddleware = (req, res, next) => {
+exports.authMiddleware = async (req, res, next) => {
   try {
     // Get auth header
     const authHeader = req.headers.authorization;
-    
+
     // Check if auth header exists and has correct format
     if (!authHeader || !authHeader.startsWith('Bearer ')) {
       logger.warn(`Authentication failed: No Bearer token provided - IP: ${req.ip}`);
@@ -20,27 +22,24 @@ exports.authMiddleware = (req, res, next) => {
         message: 'Authentication required. Please provide a valid Bearer token.'
       });
     }
-    
+
     // Extract token
     const token = authHeader.split(' ')[1];
-    
-    // Debug logging to help identify the issue
-    logger.debug(`Received token: ${token}`);
-    logger.debug(`Expected token: ${process.env.API_TOKEN}`);
-    logger.debug(`Token match: ${token === process.env.API_TOKEN}`);
-    
-    // Validate token against the one stored in environment variables
-    if (token !== process.env.API_TOKEN) {
-      logger.warn(`Authentication failed: Invalid token provided - IP: ${req.ip}`);
-      logger.warn(`Received: '${token}', Expected: '${process.env.API_TOKEN}'`);
+
+    // Validate token against the issued keys (and the bootstrap tokens in the environment)
+    const apiKey = await verifyKey(token);
+    if (!apiKey) {
+      logger.warn(`Authentication failed: Invalid, revoked or expired API key - IP: ${req.ip}`);
       return res.status(403).json({
         status: 'error',
         message: 'Invalid authentication token.'
       });
     }
-    
+
     // Authentication successful, proceed to next middleware
-    logger.info(`Authentication successful - IP: ${req.ip}`);
+    req.apiKey = apiKey;
+    req.scopes = apiKey.scopes;
+    logger.info(`Authentication successful: ${apiKey.name} - IP: ${req.ip}`);
     next();
   } catch (error) {
     logger.error(`Authentication error: ${error.message}`);
@@ -50,3 +49,39 @@ exports.authMiddleware = (req, res, next) => {
     });
   }
 };
+
+/**
+ * Middleware for endpoints that are public but tell authenticated callers
+ * more: requests without an Authorization header pass through anonymously,
+ * requests with one are authenticated as usual (an invalid key is rejected).
+ */
+exports.optionalAuth = (req, res, next) => {
+  if (!req.headers.authorization) {
+    return next();
+  }
+  return exports.authMiddleware(req, res, next);
+};
+
+/**
+ * Checks whether the authenticated request carries a scope
+ * @param {Object} req - Express request after authMiddleware
+ * @param {string} scope - Scope name, e.g. 'auth-admin'
+ * @returns {boolean} True when the scope was granted
+ */
+exports.hasScope = (req, scope) => Array.isArray(req.scopes) && req.scopes.includes(scope);
+
+/**
+ * Middleware factory that requires at least one of the given scopes
+ * @param {...string} scopes - Accepted scopes
+ */
+exports.requireScope = (...scopes) => (req, res, next) => {
+  if (scopes.some(scope => exports.hasScope(req, scope))) {
+    return next();
+  }
+
+  logger.warn(`Authorization failed: ${req.apiKey ? req.apiKey.name : 'unknown key'} lacks scope ${scopes.join(' or ')} for ${req.method} ${req.originalUrl}`);
+  return res.status(403).json({
+    status: 'error',
+    message: `This API key requires the ${scopes.join(' or ')} scope.`
+  });
+};
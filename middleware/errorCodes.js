@@ -0,0 +1,43 @@
+/**
+ * Error Code Middleware
+ * Adds a stable `error_code` to every error response that does not already
+ * carry one, so clients can branch on a code instead of parsing messages
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+
+// HTTP status -> generic error code
+const STATUS_CODES = {
+  400: 'BAD_REQUEST',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  409: 'CONFLICT',
+  413: 'PAYLOAD_TOO_LARGE',
+  422: 'UNPROCESSABLE_REQUEST',
+  429: 'TOO_MANY_REQUESTS'
+};
+
+/**
+ * Picks the generic code for an error response
+ */
+function codeForResponse(statusCode, body) {
+  if (statusCode === 400 && body.message === 'Validation failed') {
+    return 'VALIDATION_FAILED';
+  }
+  return STATUS_CODES[statusCode] || (statusCode >= 500 ? 'INTERNAL_ERROR' : 'BAD_REQUEST');
+}
+
+/**
+ * Middleware that wraps res.json. Routes that know a more specific code
+ * (e.g. the X error taxonomy on posting routes) set `error_code` themselves.
+ */
+exports.errorCodes = (req, res, next) => {
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    if (body && typeof body === 'object' && body.status === 'error' && !body.error_code) {
+      body = { ...body, error_code: codeForResponse(res.statusCode, body) };
+    }
+    return originalJson(body);
+  };
+  next();
+};
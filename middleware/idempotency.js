@@ -0,0 +1,114 @@
+/**
+ * Idempotency Middleware
+ * Replays the stored response when a client retries with the same Idempotency-Key
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const logger = require('../utils/logger');
+const { beginRequest, completeRequest, releaseRequest } = require('../utils/idempotencyStore');
+
+// Constants
+const MAX_KEY_LENGTH = 255;
+
+/**
+ * Serializes a value with sorted object keys so equal bodies hash equally
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+/**
+ * Hashes what makes a request unique: route, account, body and attachments
+ */
+function fingerprintRequest(req) {
+  const files = (req.files || []).map(file => ({ name: file.originalname, size: file.size, type: file.mimetype }));
+  return crypto.createHash('sha256')
+    .update(stableStringify({
+      method: req.method,
+      path: `${req.baseUrl}${req.path}`,
+      account: req.account || null,
+      body: req.body || {},
+      files
+    }))
+    .digest('hex');
+}
+
+/**
+ * Middleware for the optional `Idempotency-Key` header on posting routes.
+ * The first request runs normally and its response is recorded; repeats
+ * within IDEMPOTENCY_TTL_HOURS get the recorded response back. 5xx responses
+ * are not recorded when the route sets res.locals.requestSent to false, so a
+ * request that never reached X can be retried.
+ */
+exports.idempotency = async (req, res, next) => {
+  const header = req.get('Idempotency-Key');
+  if (header === undefined) {
+    return next();
+  }
+
+  try {
+    if (!header || header.length > MAX_KEY_LENGTH) {
+      return res.status(400).json({
+        status: 'error',
+        message: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`
+      });
+    }
+
+    // Keys are scoped to the API key so clients cannot collide
+    const key = `${req.apiKey ? req.apiKey.id : 'anonymous'}:${header}`;
+    const { state, record } = await beginRequest(key, fingerprintRequest(req));
+
+    if (state === 'replay') {
+      logger.info(`Replaying idempotent response for key ${header}`, { tweetId: record.tweetId, jobId: record.jobId });
+      res.set('Idempotent-Replayed', 'true');
+      return res.status(record.statusCode).json(record.response);
+    }
+
+    if (state === 'mismatch') {
+      return res.status(422).json({
+        status: 'error',
+        message: 'Idempotency-Key was already used with a different request'
+      });
+    }
+
+    if (state === 'in_progress') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A request with this Idempotency-Key is still in progress'
+      });
+    }
+
+    if (state === 'interrupted') {
+      return res.status(409).json({
+        status: 'error',
+        message: 'A request with this Idempotency-Key was interrupted by a service restart - verify on X before retrying with a new key'
+      });
+    }
+
+    // Record the outcome when the route responds. A 5xx releases the key
+    // only when the route reports that X was never contacted; a timeout
+    // after the request was sent may have posted, so it is replayed too.
+    const originalJson = res.json.bind(res);
+    res.json = (body) => {
+      const settle = res.statusCode >= 500 && res.locals.requestSent === false
+        ? releaseRequest(key)
+        : completeRequest(key, res.statusCode, body);
+      settle.catch(error => logger.error(`Failed to record idempotent response: ${error.message}`));
+      return originalJson(body);
+    };
+
+    next();
+  } catch (error) {
+    logger.error(`Idempotency error: ${error.message}`);
+    return res.status(500).json({
+      status: 'error',
+      message: 'Failed to process Idempotency-Key.'
+    });
+  }
+};
@@ -0,0 +1,31 @@
+/**
+ * Request ID Middleware
+ * Accepts the caller's X-Request-Id (or generates one), exposes it as
+ * req.id, echoes it in the response header and binds it to the async
+ * context for every log line of the request
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const { v4: uuidv4 } = require('uuid');
+const { isValidRequestId, runWithRequestId } = require('../utils/requestContext');
+
+/**
+ * Middleware that assigns the request ID. An invalid X-Request-Id is
+ * replaced rather than rejected, so tracing never breaks a request.
+ */
+exports.requestId = (req, res, next) => {
+  const supplied = req.get('X-Request-Id');
+  req.id = isValidRequestId(supplied) ? supplied : uuidv4();
+  res.set('X-Request-Id', req.id);
+  runWithRequestId(req.id, next);
+};
+
+/**
+ * Wraps a middleware whose callback fires from stream events (body
+ * parsers, multipart uploads), where the async context is lost, and
+ * restores the request's context before moving on
+ * @param {Function} middleware - (req, res, next) middleware
+ * @returns {Function} The wrapped middleware
+ */
+exports.keepRequestContext = (middleware) => (req, res, next) => {
+  middleware(req, res, (...args) => runWithRequestId(req.id, () => next(...args)));
+};
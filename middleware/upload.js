@@ -0,0 +1,132 @@
+/**
+ * Media Upload Middleware
+ * Accepts multipart image/GIF/video attachments and stores them under data/uploads
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const multer = require('multer');
+const path = require('path');
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { runWithRequestId } = require('../utils/requestContext');
+const { isSupportedMediaType, getMaxMediaBytes, removeMediaFiles } = require('../utils/mediaUpload');
+
+// Constants
+const UPLOADS_DIR = path.join(process.cwd(), 'data', 'uploads');
+const MAX_MEDIA_FILES = 4; // X allows up to 4 attachments per post
+const MAX_MEDIA_BYTES = parseInt(process.env.MEDIA_MAX_BYTES || String(512 * 1024 * 1024), 10);
+
+// Files are kept on disk because queued and scheduled jobs upload them later
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(UPLOADS_DIR, { recursive: true }, (error) => cb(error, UPLOADS_DIR));
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname).toLowerCase()}`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: {
+    files: MAX_MEDIA_FILES,
+    fileSize: MAX_MEDIA_BYTES
+  },
+  fileFilter: (req, file, cb) => {
+    if (!isSupportedMediaType(file.mimetype)) {
+      return cb(new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname));
+    }
+    cb(null, true);
+  }
+}).array('media', MAX_MEDIA_FILES);
+
+/**
+ * Formats a byte count as whole megabytes
+ */
+function formatMegabytes(bytes) {
+  return `${Math.floor(bytes / (1024 * 1024))}MB`;
+}
+
+/**
+ * Middleware to accept optional `media` file fields on multipart requests.
+ * JSON requests pass straight through. Uploaded files are deleted once the
+ * response is done unless the route kept them (keepUploads / useUploads),
+ * so rejected and failed requests leave nothing behind.
+ */
+exports.mediaUpload = (req, res, next) => {
+  // Multer calls back from stream events, outside the request's async context
+  upload(req, res, (error) => runWithRequestId(req.id, () => {
+    res.once('close', () => {
+      if (!req.keepUploads) {
+        removeMediaFiles(req.files);
+      }
+    });
+
+    // Multer only enforces the largest limit; images and GIFs are smaller
+    const oversized = !error && (req.files || []).find(file => file.size > getMaxMediaBytes(file.mimetype));
+    if (oversized) {
+      logger.warn(`Media upload rejected: ${oversized.originalname} is ${oversized.size} bytes`);
+      return res.status(413).json({
+        status: 'error',
+        message: `${oversized.originalname} is too large: X accepts up to ${formatMegabytes(getMaxMediaBytes(oversized.mimetype))} for ${oversized.mimetype}`
+      });
+    }
+
+    if (!error) {
+      return next();
+    }
+
+    logger.warn(`Media upload rejected: ${error.message}`);
+    return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+      status: 'error',
+      message: error.code === 'LIMIT_UNEXPECTED_FILE'
+        ? `Unsupported media: send up to ${MAX_MEDIA_FILES} image/jpeg, image/png, image/webp, image/gif, video/mp4 or video/quicktime files in the "media" field`
+        : `Media upload failed: ${error.message}`
+    });
+  }));
+};
+
+/**
+ * Builds job/API media options from an uploaded request.
+ * Alt text is matched to files by position (`alt_text` may repeat).
+ * @param {Object} req - Express request after mediaUpload
+ * @returns {Object} { media, sensitive }
+ */
+exports.getMediaOptions = (req) => {
+  const files = req.files || [];
+  const altTexts = [].concat(req.body.alt_text || []);
+
+  return {
+    media: files.map((file, index) => ({
+      path: file.path,
+      mimetype: file.mimetype,
+      altText: altTexts[index] || null
+    })),
+    sensitive: req.body.sensitive === true || req.body.sensitive === 'true'
+  };
+};
+
+/**
+ * Hands the uploaded files over to a queued job or a schedule, which
+ * deletes them once they have been posted
+ * @param {Object} req - Express request after mediaUpload
+ */
+exports.keepUploads = (req) => {
+  req.keepUploads = true;
+};
+
+/**
+ * Posts with the uploaded files during the request and deletes them after,
+ * even when the client disconnects first
+ * @param {Object} req - Express request after mediaUpload
+ * @param {Function} fn - async () => result
+ * @returns {Promise<*>} The function's result
+ */
+exports.useUploads = async (req, fn) => {
+  req.keepUploads = true;
+  try {
+    return await fn();
+  } finally {
+    await removeMediaFiles(req.files);
+  }
+};
@@ -0,0 +1,417 @@
+/**
+ * Mock X Server
+ * Local stand-in for x.com used for offline end-to-end runs: serves the
+ * cookie / CT0 handshake, a minimal compose page with the data-testid
+ * selectors xService relies on, GraphQL CreateTweet (posts, replies and
+ * quotes), DeleteTweet, reposts, likes, the Viewer query and the media
+ * upload flow.
+ *
+ *   MOCK_X_PORT=4010 npm run mock:x
+ *   X_BASE_URL=http://localhost:4010 npm start
+ *
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const express = require('express');
+
+// Constants
+const DEFAULT_PORT = 4010;
+const MAX_TWEET_LENGTH = 280;
+const MOCK_USER = 'mock_user';
+const RATE_LIMIT = 300; // CreateTweet calls per window, reported in x-rate-limit-* headers
+const RATE_LIMIT_WINDOW_MS = 3 * 60 * 60 * 1000;
+
+/**
+ * Parses the Cookie header into a name -> value map
+ */
+function parseCookies(header = '') {
+  return header.split(';').reduce((cookies, part) => {
+    const index = part.indexOf('=');
+    if (index > 0) {
+      cookies[part.slice(0, index).trim()] = decodeURIComponent(part.slice(index + 1).trim());
+    }
+    return cookies;
+  }, {});
+}
+
+/**
+ * Sends an error body in the shape X uses
+ */
+function sendErrors(res, status, code, message) {
+  return res.status(status).json({ errors: [{ code, message }] });
+}
+
+/**
+ * Renders the compose page. The post button sends CreateTweet with the ct0
+ * cookie as CSRF token, then shows a toast like the real web app.
+ */
+function renderPage({ title, replyTo = null }) {
+  return `<!DOCTYPE html>
+<html>
+<head><meta charset="utf-8"><title>${title}</title></head>
+<body>
+  <nav>
+    <a data-testid="AppTabBar_Profile_Link" href="/${MOCK_USER}"><span>@${MOCK_USER}</span></a>
+    <a data-testid="SideNav_NewTweet_Button" href="#" onclick="openComposer(null); return false;">Post</a>
+  </nav>
+  <main>
+    ${replyTo ? `<article data-testid="tweet" data-tweet-id="${replyTo}">
+      <button data-testid="reply" type="button" onclick="openComposer('${replyTo}')">Reply</button>
+    </article>` : `<div data-testid="inlineComposer">
+      <div data-testid="tweetTextarea_0" aria-label="Post text" role="textbox" contenteditable="true"></div>
+      <button data-testid="tweetButtonInline" type="button" onclick="submitPost(this.parentNode, null)">Post</button>
+    </div>`}
+  </main>
+  <div id="layers"></div>
+  <script>
+    function getCsrfToken() {
+      const match = document.cookie.match(/(?:^|; )ct0=([^;]+)/);
+      return match ? decodeURIComponent(match[1]) : '';
+    }
+
+    function openComposer(replyTo) {
+      const layers = document.getElementById('layers');
+      layers.innerHTML =
+        '<div role="dialog">' +
+        '<button aria-label="Close" type="button" onclick="closeComposer()">Close</button>' +
+        '<div data-testid="tweetTextarea_0" aria-label="Post text" role="textbox" contenteditable="true"></div>' +
+        '<div data-testid="toolBar"><button data-testid="tweetButton" type="button">' + (replyTo ? 'Reply' : 'Post') + '</button></div>' +
+        '</div>';
+      const dialog = layers.querySelector('div[role="dialog"]');
+      dialog.querySelector('[data-testid="tweetButton"]').onclick = () => submitPost(dialog, replyTo);
+      dialog.querySelector('[data-testid="tweetTextarea_0"]').focus();
+    }
+
+    function closeComposer() {
+      document.getElementById('layers').innerHTML = '';
+    }
+
+    async function submitPost(container, replyTo) {
+      const textbox = container.querySelector('[data-testid="tweetTextarea_0"]');
+      const variables = { tweet_text: textbox.innerText.trim(), media: { media_entities: [], possibly_sensitive: false } };
+      if (replyTo) {
+        variables.reply = { in_reply_to_tweet_id: replyTo, exclude_reply_user_ids: [] };
+      }
+
+      const response = await fetch('/i/api/graphql/mock/CreateTweet', {
+        method: 'POST',
+        credentials: 'include',
+        headers: { 'Content-Type': 'application/json', 'X-Csrf-Token': getCsrfToken() },
+        body: JSON.stringify({ variables, queryId: 'mock' })
+      });
+      const body = await response.json();
+      const toast = document.createElement('div');
+      toast.setAttribute('data-testid', 'toast');
+      toast.textContent = body.errors ? body.errors[0].message : 'Your post was sent.';
+      document.body.appendChild(toast);
+      if (!body.errors) {
+        textbox.innerText = '';
+        closeComposer();
+      }
+    }
+  </script>
+</body>
+</html>`;
+}
+
+/**
+ * Creates a mock X server. State is kept in memory and exposed so callers
+ * can inspect created tweets or queue failures.
+ * @returns {Object} { app, state, start, stop, reset, queueError, baseUrl }
+ */
+function createMockXServer() {
+  const app = express();
+  const state = {
+    tweets: [],
+    media: new Map(),
+    queuedErrors: [],
+    reposts: new Set(),
+    likes: new Set(),
+    rateLimit: { remaining: RATE_LIMIT, resetAt: 0 },
+    nextTweetId: BigInt('1900000000000000000')
+  };
+  let server = null;
+
+  app.use(express.json({ limit: '1mb' }));
+  app.use(express.urlencoded({ extended: false, limit: '10mb' }));
+
+  // Cookie / CT0 handshake: every page hands out ct0 and guest_id like x.com
+  app.use((req, res, next) => {
+    req.cookies = parseCookies(req.headers.cookie);
+    if (req.method === 'GET' && !req.path.startsWith('/i/')) {
+      if (!req.cookies.ct0) {
+        res.cookie('ct0', crypto.randomBytes(16).toString('hex'), { path: '/' });
+      }
+      if (!req.cookies.guest_id) {
+        res.cookie('guest_id', `v1%3A${Date.now()}`, { path: '/' });
+      }
+    }
+    next();
+  });
+
+  /**
+   * Checks the session cookies and CSRF header the way X does
+   */
+  function requireSession(req, res, next) {
+    if (!req.cookies.auth_token) {
+      return sendErrors(res, 401, 32, 'Could not authenticate you.');
+    }
+    const csrfToken = req.get('X-Csrf-Token');
+    if (!req.cookies.ct0 || csrfToken !== req.cookies.ct0) {
+      return sendErrors(res, 403, 353, 'This request requires a matching csrf cookie and header.');
+    }
+    next();
+  }
+
+  app.get(['/', '/home'], (req, res) => {
+    res.type('html').send(renderPage({ title: 'Home / X' }));
+  });
+
+  app.get('/login', (req, res) => {
+    res.type('html').send(renderPage({ title: 'Log in to X / X' }));
+  });
+
+  app.get('/:user/status/:tweetId', (req, res) => {
+    res.type('html').send(renderPage({ title: 'Post / X', replyTo: req.params.tweetId }));
+  });
+
+  /**
+   * Counts a CreateTweet call against the window and sets the x-rate-limit-* headers
+   */
+  function rateLimitHeaders(req, res, next) {
+    const now = Date.now();
+    if (now >= state.rateLimit.resetAt) {
+      state.rateLimit = { remaining: RATE_LIMIT, resetAt: now + RATE_LIMIT_WINDOW_MS };
+    }
+    state.rateLimit.remaining = Math.max(0, state.rateLimit.remaining - 1);
+    res.set({
+      'x-rate-limit-limit': String(RATE_LIMIT),
+      'x-rate-limit-remaining': String(state.rateLimit.remaining),
+      'x-rate-limit-reset': String(Math.floor(state.rateLimit.resetAt / 1000))
+    });
+    next();
+  }
+
+  app.post('/i/api/graphql/:queryId/CreateTweet', requireSession, rateLimitHeaders, (req, res) => {
+    const queued = state.queuedErrors.shift();
+    if (queued) {
+      res.set(queued.headers);
+      return sendErrors(res, queued.status, queued.code, queued.message);
+    }
+
+    const variables = (req.body && req.body.variables) || {};
+    const text = variables.tweet_text || '';
+    const mediaEntities = (variables.media && variables.media.media_entities) || [];
+    const inReplyTo = variables.reply ? String(variables.reply.in_reply_to_tweet_id) : null;
+    const quoteMatch = variables.attachment_url && String(variables.attachment_url).match(/\/status\/(\d+)/);
+    const quoted = quoteMatch ? quoteMatch[1] : null;
+
+    if (!text && mediaEntities.length === 0) {
+      return sendErrors(res, 200, 170, 'Missing status.');
+    }
+    if (Array.from(text).length > MAX_TWEET_LENGTH) {
+      return sendErrors(res, 200, 186, 'Tweet needs to be a bit shorter.');
+    }
+    if (text && state.tweets.some(tweet => tweet.text === text)) {
+      return sendErrors(res, 200, 187, 'Status is a duplicate.');
+    }
+    const unknownMedia = mediaEntities.find(entity => !state.media.has(String(entity.media_id)));
+    if (unknownMedia) {
+      return sendErrors(res, 200, 324, `Invalid media id ${unknownMedia.media_id}.`);
+    }
+
+    const tweetId = (state.nextTweetId++).toString();
+    state.tweets.push({
+      id: tweetId,
+      text,
+      inReplyTo,
+      quoted,
+      media: mediaEntities.map(entity => String(entity.media_id)),
+      createdAt: new Date().toISOString()
+    });
+
+    res.json({
+      data: {
+        create_tweet: {
+          tweet_results: {
+            result: {
+              rest_id: tweetId,
+              legacy: {
+                full_text: text,
+                in_reply_to_status_id_str: inReplyTo,
+                quoted_status_id_str: quoted
+              }
+            }
+          }
+        }
+      }
+    });
+  });
+
+  app.get('/i/api/graphql/:queryId/Viewer', requireSession, (req, res) => {
+    res.json({ data: { viewer: { user_results: { result: { rest_id: '1', legacy: { screen_name: MOCK_USER } } } } } });
+  });
+
+  app.post('/i/api/graphql/:queryId/CreateRetweet', requireSession, (req, res) => {
+    const tweetId = String(req.body.variables.tweet_id);
+    if (state.reposts.has(tweetId)) {
+      return sendErrors(res, 200, 327, 'You have already retweeted this Tweet.');
+    }
+    state.reposts.add(tweetId);
+    res.json({ data: { create_retweet: { retweet_results: { result: { rest_id: (state.nextTweetId++).toString() } } } } });
+  });
+
+  app.post('/i/api/graphql/:queryId/DeleteRetweet', requireSession, (req, res) => {
+    const tweetId = String(req.body.variables.source_tweet_id);
+    state.reposts.delete(tweetId);
+    res.json({ data: { unretweet: { source_tweet_results: { result: { rest_id: tweetId } } } } });
+  });
+
+  app.post('/i/api/graphql/:queryId/FavoriteTweet', requireSession, (req, res) => {
+    const tweetId = String(req.body.variables.tweet_id);
+    if (state.likes.has(tweetId)) {
+      return sendErrors(res, 200, 139, 'You have already favorited this status.');
+    }
+    state.likes.add(tweetId);
+    res.json({ data: { favorite_tweet: 'Done' } });
+  });
+
+  app.post('/i/api/graphql/:queryId/UnfavoriteTweet', requireSession, (req, res) => {
+    state.likes.delete(String(req.body.variables.tweet_id));
+    res.json({ data: { unfavorite_tweet: 'Done' } });
+  });
+
+  app.post('/i/api/graphql/:queryId/DeleteTweet', requireSession, (req, res) => {
+    const tweetId = String(req.body.variables.tweet_id);
+    const index = state.tweets.findIndex(tweet => tweet.id === tweetId);
+    if (index === -1) {
+      return sendErrors(res, 200, 144, 'No status found with that ID.');
+    }
+    state.tweets.splice(index, 1);
+    res.json({ data: { delete_tweet: { tweet_results: {} } } });
+  });
+
+  // Chunked media upload: INIT / APPEND / FINALIZE / STATUS
+  app.all('/i/media/upload.json', requireSession, (req, res) => {
+    const params = req.method === 'GET' ? req.query : req.body;
+    const media = state.media.get(String(params.media_id));
+
+    switch (params.command) {
+      case 'INIT': {
+        const mediaId = crypto.randomInt(1e9, 1e10).toString();
+        state.media.set(mediaId, {
+          id: mediaId,
+          totalBytes: parseInt(params.total_bytes, 10),
+          mediaType: params.media_type,
+          receivedBytes: 0,
+          altText: null
+        });
+        return res.status(202).json({ media_id: Number(mediaId), media_id_string: mediaId, expires_after_secs: 86400 });
+      }
+      case 'APPEND':
+        if (!media) {
+          return sendErrors(res, 400, 324, 'Invalid media id.');
+        }
+        media.receivedBytes += Buffer.from(params.media_data || '', 'base64').length;
+        return res.status(204).end();
+      case 'FINALIZE':
+        if (!media) {
+          return sendErrors(res, 400, 324, 'Invalid media id.');
+        }
+        if (media.receivedBytes !== media.totalBytes) {
+          return sendErrors(res, 400, 324, 'Segments do not add up to provided total file size.');
+        }
+        return res.json({
+          media_id_string: media.id,
+          size: media.totalBytes,
+          processing_info: media.mediaType.startsWith('video/') ? { state: 'succeeded', progress_percent: 100 } : undefined
+        });
+      case 'STATUS':
+        if (!media) {
+          return sendErrors(res, 400, 324, 'Invalid media id.');
+        }
+        return res.json({ media_id_string: media.id, processing_info: { state: 'succeeded', progress_percent: 100 } });
+      default:
+        return sendErrors(res, 400, 38, 'command parameter is missing.');
+    }
+  });
+
+  app.post('/i/api/1.1/media/metadata/create.json', requireSession, (req, res) => {
+    const media = state.media.get(String(req.body.media_id));
+    if (!media) {
+      return sendErrors(res, 400, 324, 'Invalid media id.');
+    }
+    media.altText = req.body.alt_text ? req.body.alt_text.text : null;
+    res.status(200).end();
+  });
+
+  app.use((req, res) => sendErrors(res, 404, 34, 'Sorry, that page does not exist.'));
+
+  return {
+    app,
+    state,
+
+    /**
+     * Starts listening; port 0 picks a free port
+     * @param {number} port - Port to listen on
+     * @returns {Promise<string>} Base URL of the server
+     */
+    start(port = 0) {
+      return new Promise((resolve, reject) => {
+        server = app.listen(port, () => resolve(this.baseUrl()));
+        server.on('error', reject);
+      });
+    },
+
+    /**
+     * Stops the server
+     */
+    stop() {
+      return new Promise((resolve) => {
+        if (!server) {
+          return resolve();
+        }
+        server.close(() => resolve());
+        server = null;
+      });
+    },
+
+    /**
+     * Base URL to use as X_BASE_URL
+     */
+    baseUrl() {
+      return server ? `http://localhost:${server.address().port}` : null;
+    },
+
+    /**
+     * Clears created tweets, reposts, likes, uploaded media, queued errors and the rate limit window
+     */
+    reset() {
+      state.tweets.length = 0;
+      state.reposts.clear();
+      state.likes.clear();
+      state.rateLimit = { remaining: RATE_LIMIT, resetAt: 0 };
+      state.media.clear();
+      state.queuedErrors.length = 0;
+    },
+
+    /**
+     * Makes the next CreateTweet call fail with the given X error
+     * @param {Object} error - { status, code, message, headers } (e.g. x-rate-limit-reset)
+     */
+    queueError({ status = 200, code, message = 'Mock error', headers = {} }) {
+      state.queuedErrors.push({ status, code, message, headers });
+    }
+  };
+}
+
+if (require.main === module) {
+  const mock = createMockXServer();
+  mock.start(parseInt(process.env.MOCK_X_PORT || DEFAULT_PORT, 10)).then((baseUrl) => {
+    console.log(`Mock X server listening on ${baseUrl}`);
+  });
+}
+
+module.exports = {
+  createMockXServer
+};
@@ -0,0 +1,125 @@
+/**
+ * Account Routes
+ * Register, list and remove the X accounts this service can post as
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const accountRegistry = require('../utils/accountRegistry');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+
+// Validation middleware
+const validateAccount = [
+  body('handle').notEmpty().withMessage('Handle is required')
+    .custom(accountRegistry.isValidHandle).withMessage('Handle must be 1-15 letters, digits or underscores'),
+  body('username').optional().isString().withMessage('Username must be a string'),
+  body('password').optional().isString().withMessage('Password must be a string'),
+  body('max_tweet_length').optional({ values: 'null' }).isInt({ min: 1, max: 25000 })
+    .withMessage('max_tweet_length must be between 1 and 25000').toInt()
+];
+
+/**
+ * GET /api/v1/accounts
+ * List registered accounts (passwords are never returned)
+ */
+router.get('/v1/accounts', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const accounts = await accountRegistry.listAccounts();
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: {
+        count: accounts.length,
+        default_account: accountRegistry.resolveHandle(null),
+        accounts
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to list accounts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v1/accounts
+ * Register an account, or update the credentials of an existing one
+ */
+router.post('/v1/accounts', requireScope('auth-admin'), validateAccount, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { handle, username, password, max_tweet_length: maxTweetLength } = req.body;
+    const account = await accountRegistry.saveAccount({ handle, username, password, maxTweetLength });
+
+    res.status(201).json({
+      request_id: requestId,
+      status: 'success',
+      message: `Account @${account.handle} saved`,
+      data: account
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to save account',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/accounts/:handle
+ * Remove an account and its stored tokens and cookies
+ */
+router.delete('/v1/accounts/:handle', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const removed = await accountRegistry.removeAccount(req.params.handle);
+
+    if (!removed) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Account not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      message: `Account @${accountRegistry.normalizeHandle(req.params.handle)} removed`
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to remove account',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,30 +3,67 @@
  * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
  */
 const express = require('express');
-const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
 const authManager = require('../utils/authManager');
+const { accountParam } = require('../middleware/account');
+const { hasScope, requireScope } = require('../middleware/auth');
+const { isEncryptionEnabled, previewSecret } = require('../utils/secretStore');
+const { rotateSecrets } = require('../utils/accountRegistry');
+const { rotateWebhookSecrets } = require('../utils/webhooks');
 const logger = require('../utils/logger');
 
+/**
+ * Middleware for the optional `reveal` flag. Raw tokens are only returned
+ * to callers with the auth-admin scope; everyone else gets previews.
+ */
+function revealParam(req, res, next) {
+  req.reveal = req.query.reveal === 'true' || (req.body && req.body.reveal === true);
+
+  if (req.reveal && !hasScope(req, 'auth-admin')) {
+    return res.status(403).json({
+      status: 'error',
+      message: 'Revealing raw tokens requires the auth-admin scope.'
+    });
+  }
+  next();
+}
+
+/**
+ * Formats extracted tokens for a response: raw values when revealed,
+ * otherwise short previews
+ */
+function formatTokens({ authToken, guestId, ct0 }, reveal) {
+  if (reveal) {
+    return { authToken, guestId, ct0 };
+  }
+  return {
+    authTokenPreview: previewSecret(authToken),
+    guestIdPreview: previewSecret(guestId, 15),
+    ct0Preview: previewSecret(ct0)
+  };
+}
+
 /**
  * POST /api/auth/login
  * Complete authentication - extracts auth_token, guest_id, and CT0
- * Uses X_USERNAME and X_PASSWORD from .env for automated login
+ * Uses X_USERNAME and X_PASSWORD from .env (or the selected account's
+ * registered credentials) for automated login
  * Falls back to manual login if credentials not provided
+ * Tokens are returned as previews unless `reveal=true` is sent with the auth-admin scope
  */
-router.post('/auth/login', async (req, res) => {
-  const requestId = uuidv4();
+router.post('/auth/login', requireScope('auth-admin'), accountParam, revealParam, async (req, res) => {
+  const requestId = req.id;
   
   try {
-    logger.info(`Starting complete authentication process`, { requestId });
+    logger.info(`Starting complete authentication process`, { requestId, account: req.account });
     
     // Try automated login first if credentials are available
-    let result = await authManager.automatedLogin();
+    let result = await authManager.automatedLogin(req.account);
     
     // If automated login fails, fall back to manual login
     if (!result.success) {
       logger.info('Automated login failed, falling back to manual login', { requestId });
-      result = await authManager.manualLogin();
+      result = await authManager.manualLogin(req.account);
     }
     
     if (!result.success) {
@@ -34,11 +71,7 @@ router.post('/auth/login', async (req, res) => {
         request_id: requestId,
         status: 'error',
         message: result.message,
-        data: {
-          authToken: result.authToken,
-          guestId: result.guestId,
-          ct0: result.ct0
-        }
+        data: formatTokens(result, req.reveal)
       });
     }
     
@@ -48,9 +81,7 @@ router.post('/auth/login', async (req, res) => {
       status: 'success',
       message: result.message,
       data: {
-        authToken: result.authToken,
-        guestId: result.guestId,
-        ct0: result.ct0,
+        ...formatTokens(result, req.reveal),
         loginMethod: result.message.includes('Automated') ? 'automated' : 'manual'
       }
     });
@@ -70,25 +101,22 @@ router.post('/auth/login', async (req, res) => {
  * GET /api/auth/manual
  * Manual authentication - opens browser for manual login
  * Extracts auth_token, guest_id, and CT0 after manual login
+ * Tokens are returned as previews unless `reveal=true` is sent with the auth-admin scope
  */
-router.get('/auth/manual', async (req, res) => {
-  const requestId = uuidv4();
+router.get('/auth/manual', requireScope('auth-admin'), accountParam, revealParam, async (req, res) => {
+  const requestId = req.id;
   
   try {
-    logger.info(`Starting manual authentication process`, { requestId });
+    logger.info(`Starting manual authentication process`, { requestId, account: req.account });
     
-    const result = await authManager.manualLogin();
+    const result = await authManager.manualLogin(req.account);
     
     if (!result.success) {
       return res.status(400).json({
         request_id: requestId,
         status: 'error',
         message: result.message,
-        data: {
-          authToken: result.authToken,
-          guestId: result.guestId,
-          ct0: result.ct0
-        }
+        data: formatTokens(result, req.reveal)
       });
     }
     
@@ -96,11 +124,7 @@ router.get('/auth/manual', async (req, res) => {
       request_id: requestId,
       status: 'success',
       message: result.message,
-      data: {
-        authToken: result.authToken,
-        guestId: result.guestId,
-        ct0: result.ct0
-      }
+      data: formatTokens(result, req.reveal)
     });
     
   } catch (error) {
@@ -118,22 +142,22 @@ router.get('/auth/manual', async (req, res) => {
  * GET /api/auth/status
  * Check authentication status and available tokens
  */
-router.get('/auth/status', async (req, res) => {
-  const requestId = uuidv4();
+router.get('/auth/status', requireScope('auth-admin', 'monitoring-read'), accountParam, async (req, res) => {
+  const requestId = req.id;
   
   try {
-    const authToken = await authManager.getStoredAuthToken();
-    const guestId = await authManager.getStoredGuestId();
-    const ct0 = await authManager.getStoredCT0();
+    const authToken = await authManager.getStoredAuthToken(req.account);
+    const guestId = await authManager.getStoredGuestId(req.account);
+    const ct0 = await authManager.getStoredCT0(req.account);
     
     const status = {
+      account: req.account,
       authenticated: !!(authToken && guestId),
       hasAuthToken: !!authToken,
       hasGuestId: !!guestId,
       hasCT0: !!ct0,
-      authTokenPreview: authToken ? `${authToken.substring(0, 10)}...` : null,
-      guestIdPreview: guestId ? `${guestId.substring(0, 15)}...` : null,
-      ct0Preview: ct0 ? `${ct0.substring(0, 10)}...` : null
+      encryptedAtRest: isEncryptionEnabled(),
+      ...formatTokens({ authToken, guestId, ct0 }, false)
     };
     
     res.status(200).json({
@@ -157,22 +181,23 @@ router.get('/auth/status', async (req, res) => {
 /**
  * POST /api/auth/ct0
  * Get/refresh CT0 token using existing auth token
+ * The token is returned as a preview unless `reveal=true` is sent with the auth-admin scope
  */
-router.post('/auth/ct0', async (req, res) => {
-  const requestId = uuidv4();
+router.post('/auth/ct0', requireScope('auth-admin'), accountParam, revealParam, async (req, res) => {
+  const requestId = req.id;
   
   try {
-    logger.info(`Refreshing CT0 token`, { requestId });
+    logger.info(`Refreshing CT0 token`, { requestId, account: req.account });
     
-    const ct0 = await authManager.getCT0Token();
+    const ct0 = await authManager.getCT0Token(null, req.account);
     
     res.status(200).json({
       request_id: requestId,
       status: 'success',
       message: 'CT0 token refreshed successfully',
       data: {
-        ct0: ct0,
-        ct0Preview: `${ct0.substring(0, 10)}...`
+        ...(req.reveal ? { ct0 } : {}),
+        ct0Preview: previewSecret(ct0)
       }
     });
     
@@ -187,4 +212,43 @@ router.post('/auth/ct0', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/auth/secrets/rotate
+ * Re-encrypts stored tokens, cookies, account passwords and webhook secrets
+ * with the current SECRETS_KEY (values written with SECRETS_PREVIOUS_KEYS or
+ * in plaintext)
+ */
+router.post('/auth/secrets/rotate', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    if (!isEncryptionEnabled()) {
+      return res.status(400).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'SECRETS_KEY is not set'
+      });
+    }
+
+    logger.info(`Rotating stored secrets`, { requestId });
+    const result = { ...(await rotateSecrets()), webhookSecrets: await rotateWebhookSecrets() };
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      message: 'Secrets re-encrypted with the current key',
+      data: result
+    });
+
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to rotate secrets',
+      error: error.message
+    });
+  }
+});
+
 module.exports = router;
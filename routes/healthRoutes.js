@@ -0,0 +1,58 @@
+/**
+ * Health Routes
+ * Liveness (/healthz) and readiness (/readyz) probes for orchestrators and
+ * load balancers
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const router = express.Router();
+const { getReadiness } = require('../utils/healthChecks');
+const { optionalAuth, hasScope } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+/**
+ * GET /healthz
+ * Process liveness: answers as long as the event loop does. Public, and
+ * never touches X, the browser or the disk.
+ */
+router.get('/healthz', (req, res) => {
+  res.status(200).json({
+    status: 'ok',
+    uptime_seconds: Math.floor(process.uptime())
+  });
+});
+
+/**
+ * GET /readyz
+ * Readiness: Chromium, account credentials, proxy and data/ checks. 200 when
+ * every check passes, 503 otherwise. Public, so probes need no API key;
+ * callers with the monitoring-read scope also get each check's result and
+ * timing, and may pass ?fresh=true to skip the cached report.
+ */
+router.get('/readyz', optionalAuth, async (req, res) => {
+  const requestId = req.id;
+  const detailed = hasScope(req, 'monitoring-read');
+
+  try {
+    const report = await getReadiness({ fresh: detailed && req.query.fresh === 'true' });
+
+    res.status(report.ready ? 200 : 503).json({
+      request_id: requestId,
+      status: report.ready ? 'success' : 'error',
+      ...(report.ready ? {} : { error_code: 'NOT_READY' }),
+      message: report.ready ? 'Service is ready' : 'Service is not ready',
+      data: detailed ? report : { ready: report.ready, checked_at: report.checked_at }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(503).json({
+      request_id: requestId,
+      status: 'error',
+      error_code: 'NOT_READY',
+      message: 'Failed to run readiness checks',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
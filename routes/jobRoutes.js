@@ -0,0 +1,98 @@
+/**
+ * Job Routes
+ * Exposes the state of queued posting jobs
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const router = express.Router();
+const jobQueue = require('../utils/jobQueue');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+const { canAccessAccount } = require('../middleware/account');
+
+// Any key that can create jobs may follow them
+const jobReadScopes = requireScope('post', 'reply', 'monitoring-read');
+
+// Validation middleware
+const validateListQuery = [
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000').toInt()
+];
+
+/**
+ * GET /api/v1/jobs
+ * List recent jobs, optionally filtered by status. Keys restricted to an
+ * account only see that account's jobs.
+ */
+router.get('/v1/jobs', jobReadScopes, validateListQuery, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { status, limit = 50 } = req.query;
+    const restriction = req.apiKey && req.apiKey.account;
+    const jobs = await jobQueue.listJobs({ status, account: restriction || undefined, limit });
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: {
+        count: jobs.length,
+        jobs
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to list jobs',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v1/jobs/:id
+ * Get a single job with its result or error
+ */
+router.get('/v1/jobs/:id', jobReadScopes, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const job = await jobQueue.getJob(req.params.id);
+
+    if (!job || !canAccessAccount(req, job.payload.account)) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Job not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: job
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to retrieve job',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,155 @@
+/**
+ * API Key Routes
+ * Issue, list and revoke scoped API keys
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const apiKeyStore = require('../utils/apiKeyStore');
+const { isValidHandle, normalizeHandle, accountExists } = require('../utils/accountRegistry');
+const { requireScope } = require('../middleware/auth');
+const { canAccessAccount } = require('../middleware/account');
+const logger = require('../utils/logger');
+
+// Validation middleware
+const validateKey = [
+  body('name').notEmpty().withMessage('Name is required')
+    .isLength({ max: 100 }).withMessage('Name must be 100 characters or less'),
+  body('scopes').custom(apiKeyStore.isValidScopes)
+    .withMessage(`Scopes must be a non-empty array of: ${apiKeyStore.SCOPES.join(', ')}`),
+  body('account').optional({ values: 'null' })
+    .custom(isValidHandle).withMessage('Account must be a valid handle')
+    .bail()
+    .custom(async (handle) => {
+      if (!(await accountExists(handle))) {
+        throw new Error(`Unknown account: @${normalizeHandle(handle)}`);
+      }
+    }),
+  body('expires_at').optional({ values: 'null' }).isISO8601().withMessage('expires_at must be an ISO 8601 date-time')
+    .bail()
+    .custom(value => new Date(value).getTime() > Date.now()).withMessage('expires_at must be in the future')
+];
+
+/**
+ * GET /api/v1/keys
+ * List issued API keys (hashes and key values are never returned). Keys
+ * restricted to an account only see the keys of that account.
+ */
+router.get('/v1/keys', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const keys = (await apiKeyStore.listKeys()).filter(key => canAccessAccount(req, key.account));
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: {
+        count: keys.length,
+        keys
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to list API keys',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v1/keys
+ * Issue a new API key. The key value is only shown in this response.
+ * Keys restricted to an account can only issue keys for that account.
+ */
+router.post('/v1/keys', requireScope('auth-admin'), validateKey, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, scopes, expires_at: expiresAt } = req.body;
+    const restriction = req.apiKey && req.apiKey.account;
+    const account = normalizeHandle(req.body.account) || restriction || null;
+    if (!canAccessAccount(req, account)) {
+      return res.status(403).json({
+        request_id: requestId,
+        status: 'error',
+        message: `This API key is restricted to account @${restriction}.`
+      });
+    }
+
+    const { key, record } = await apiKeyStore.issueKey({ name, scopes, account, expiresAt });
+
+    res.status(201).json({
+      request_id: requestId,
+      status: 'success',
+      message: 'API key issued. Store it now: it cannot be shown again.',
+      data: {
+        key,
+        ...record
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to issue API key',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/keys/:id
+ * Revoke an API key. Keys restricted to an account can only revoke keys of
+ * that account.
+ */
+router.delete('/v1/keys/:id', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const existing = (await apiKeyStore.listKeys()).find(key => key.id === req.params.id);
+    const record = existing && canAccessAccount(req, existing.account)
+      ? await apiKeyStore.revokeKey(req.params.id)
+      : null;
+
+    if (!record) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'API key not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      message: `API key ${record.name} revoked`,
+      data: record
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to revoke API key',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,67 @@
+/**
+ * Metrics Routes
+ * Prometheus scrape endpoint, mounted at /metrics
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const router = express.Router();
+const metrics = require('../utils/metrics');
+const jobQueue = require('../utils/jobQueue');
+const { listBudgetStatuses } = require('../utils/postBudget');
+const { getPoolStatus } = require('../services/browserPool');
+const { requireScope } = require('../middleware/auth');
+const logger = require('../utils/logger');
+
+// Constants
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+/**
+ * Refreshes the gauges that are read from other modules at scrape time:
+ * queue depth, browser pool usage and per-account post budgets
+ */
+async function collectGauges() {
+  metrics.resetGauge('xposts_queue_jobs');
+  for (const [status, count] of Object.entries(await jobQueue.countJobs())) {
+    metrics.setGauge('xposts_queue_jobs', { status }, count);
+  }
+
+  const pool = getPoolStatus();
+  metrics.setGauge('xposts_browser_pool_leases', {}, pool.active_leases);
+  metrics.setGauge('xposts_browser_pool_waiting', {}, pool.waiting);
+
+  metrics.resetGauge('xposts_post_budget_remaining');
+  metrics.resetGauge('xposts_post_budget_limit');
+  for (const { account, ...budget } of listBudgetStatuses()) {
+    for (const window of ['hourly', 'daily', 'x']) {
+      if (!budget[window]) {
+        continue;
+      }
+      const labels = { account: account || 'default', window };
+      metrics.setGauge('xposts_post_budget_remaining', labels, budget[window].remaining);
+      if (budget[window].limit !== null) {
+        metrics.setGauge('xposts_post_budget_limit', labels, budget[window].limit);
+      }
+    }
+  }
+}
+
+/**
+ * GET /metrics
+ * Metrics in the Prometheus text exposition format
+ */
+router.get('/', requireScope('monitoring-read'), async (req, res) => {
+  try {
+    await collectGauges();
+    res.set('Content-Type', CONTENT_TYPE).send(metrics.renderMetrics());
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: req.id,
+      status: 'error',
+      message: 'Failed to collect metrics',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 /**
  * Monitoring Routes
- * Provides system health check, logs access, and screenshots retrieval
+ * Provides system health check, logs access, screenshots retrieval and a
+ * live event stream
  * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
  */
 const express = require('express');
@@ -8,19 +9,27 @@ const router = express.Router();
 const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
-const { v4: uuidv4 } = require('uuid');
 const logger = require('../utils/logger');
-const { getStoredCookies } = require('../utils/cookieManager');
+const { getCt0CacheStatus } = require('../utils/ct0Cache');
+const { getBudgetStatus } = require('../utils/postBudget');
+const { getPoolStatus } = require('../services/browserPool');
+const { getSessionStatus } = require('../utils/healthChecks');
+const { accountParam, canAccessAccount } = require('../middleware/account');
+const { normalizeHandle } = require('../utils/accountRegistry');
+const { EVENT_TYPES, subscribe } = require('../utils/eventBus');
+const { requireScope } = require('../middleware/auth');
 
 // Constants
 const LOGS_DIR = path.join(process.cwd(), 'logs');
 const SCREENSHOTS_DIR = path.join(process.cwd(), 'screenshots');
+const EVENTS_HEARTBEAT_MS = 15000; // keeps proxies from closing an idle stream
+const EVENTS_RETRY_MS = 3000; // reconnect delay suggested to EventSource clients
 
 /**
  * GET /api/status or /api/v1/status
  * System health check - Returns system status and health information
  */
-router.get(['/status', '/v1/status'], async (req, res) => {
+router.get(['/status', '/v1/status'], requireScope('monitoring-read'), accountParam, async (req, res) => {
   try {
     // Get system uptime
     const uptimeSeconds = process.uptime();
@@ -29,22 +38,22 @@ router.get(['/status', '/v1/status'], async (req, res) => {
     const minutes = Math.floor((uptimeSeconds % (60 * 60)) / 60);
     const uptime = `${days}d ${hours}h ${minutes}m`;
 
-    // Check session status
+    // Check session status with the Viewer query, reusing /readyz's result
     let sessionStatus = {
+      account: req.account,
       loggedIn: false,
       username: null
     };
 
     try {
-      const cookies = await getStoredCookies();
-      if (cookies) {
-        const authTokenCookie = cookies.find(cookie => cookie.name === 'auth_token');
-        if (authTokenCookie) {
-          sessionStatus.loggedIn = true;
-          // We don't store username in cookies, so we'll just indicate login state
-          sessionStatus.username = process.env.X_USERNAME || 'User';
-        }
-      }
+      const session = await getSessionStatus(req.account);
+      sessionStatus = {
+        account: req.account,
+        loggedIn: session.ok,
+        username: session.username || null,
+        checked_at: session.checked_at,
+        error: session.error || null
+      };
     } catch (error) {
       logger.warn(`Error checking session status: ${error.message}`);
     }
@@ -53,13 +62,8 @@ router.get(['/status', '/v1/status'], async (req, res) => {
     const memoryUsage = process.memoryUsage();
     const memoryUsageMB = Math.round(memoryUsage.rss / 1024 / 1024);
 
-    // Check proxy status
-    let proxyStatus = "not configured";
-    if (process.env.PROXY_HOST && process.env.PROXY_PORT) {
-      proxyStatus = "configured";
-      // Note: A real check would try to connect through the proxy
-      // but for simplicity we're just checking if it's configured
-    }
+    // Chromium is launched with PROXY_SERVER; /readyz checks it is reachable
+    const proxyStatus = process.env.PROXY_SERVER ? "configured" : "not configured";
 
     // Prepare the response
     const response = {
@@ -69,6 +73,9 @@ router.get(['/status', '/v1/status'], async (req, res) => {
         uptime: uptime,
         memory_usage: `${memoryUsageMB}MB`,
         session_status: sessionStatus,
+        ct0_cache: getCt0CacheStatus(req.account),
+        post_budget: getBudgetStatus(req.account),
+        browser_pool: getPoolStatus(),
         proxy_status: proxyStatus,
         system_info: {
           node_version: process.version,
@@ -93,10 +100,10 @@ router.get(['/status', '/v1/status'], async (req, res) => {
  * GET /api/logs or /api/v1/logs
  * Retrieve system logs with filtering options
  */
-router.get(['/logs', '/v1/logs'], async (req, res) => {
+router.get(['/logs', '/v1/logs'], requireScope('monitoring-read'), async (req, res) => {
   try {
     // Extract query parameters
-    const { date, level, limit = 100 } = req.query;
+    const { date, level, request_id: requestId, limit = 100 } = req.query;
     const limitNum = parseInt(limit, 10);
 
     // Ensure logs directory exists
@@ -134,6 +141,11 @@ router.get(['/logs', '/v1/logs'], async (req, res) => {
         logs = logs.filter(log => log.level === level);
       }
 
+      // Filter by request ID (X-Request-Id of a request, or the job ID of a scheduled job)
+      if (requestId) {
+        logs = logs.filter(log => log.requestId === requestId);
+      }
+
       // Apply limit
       logs = logs.slice(-limitNum);
 
@@ -148,7 +160,7 @@ router.get(['/logs', '/v1/logs'], async (req, res) => {
     // Prepare the response
     return res.status(200).json({
       status: "success",
-      request_id: uuidv4(),
+      request_id: req.id,
       data: {
         date: date || new Date().toISOString().split('T')[0],
         level: level || 'all',
@@ -160,7 +172,7 @@ router.get(['/logs', '/v1/logs'], async (req, res) => {
     logger.error(`Error in logs endpoint: ${error.message}`, { stack: error.stack });
     return res.status(500).json({
       status: "error",
-      request_id: uuidv4(),
+      request_id: req.id,
       message: "Failed to retrieve logs",
       error: error.message
     });
@@ -171,10 +183,10 @@ router.get(['/logs', '/v1/logs'], async (req, res) => {
  * GET /api/screenshots or /api/v1/screenshots
  * Retrieve error screenshots with filtering options
  */
-router.get(['/screenshots', '/v1/screenshots'], async (req, res) => {
+router.get(['/screenshots', '/v1/screenshots'], requireScope('monitoring-read'), async (req, res) => {
   try {
     // Extract query parameters
-    const { date, type } = req.query;
+    const { date, type, request_id: requestId } = req.query;
 
     // Ensure screenshots directory exists
     await fs.mkdir(SCREENSHOTS_DIR, { recursive: true });
@@ -193,6 +205,11 @@ router.get(['/screenshots', '/v1/screenshots'], async (req, res) => {
       files = files.filter(file => file.includes(type));
     }
 
+    if (requestId) {
+      // Screenshots taken during a request end with _<requestId>.png
+      files = files.filter(file => file.endsWith(`_${requestId}.png`));
+    }
+
     // Sort files by modification time (newest first)
     const filesWithStats = await Promise.all(
       files.map(async (file) => {
@@ -213,7 +230,7 @@ router.get(['/screenshots', '/v1/screenshots'], async (req, res) => {
     // Prepare the response
     return res.status(200).json({
       status: "success",
-      request_id: uuidv4(),
+      request_id: req.id,
       data: {
         count: filesWithStats.length,
         screenshots: filesWithStats
@@ -223,7 +240,7 @@ router.get(['/screenshots', '/v1/screenshots'], async (req, res) => {
     logger.error(`Error in screenshots endpoint: ${error.message}`, { stack: error.stack });
     return res.status(500).json({
       status: "error",
-      request_id: uuidv4(),
+      request_id: req.id,
       message: "Failed to retrieve screenshots",
       error: error.message
     });
@@ -231,7 +248,7 @@ router.get(['/screenshots', '/v1/screenshots'], async (req, res) => {
 });
 
 // Endpoint to view a specific screenshot
-router.get('/screenshots/:filename', async (req, res) => {
+router.get('/screenshots/:filename', requireScope('monitoring-read'), async (req, res) => {
   try {
     const { filename } = req.params;
     const screenshotPath = path.join(SCREENSHOTS_DIR, filename);
@@ -258,4 +275,53 @@ router.get('/screenshots/:filename', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/events
+ * Server-Sent Events stream of job state transitions, browser steps, session
+ * changes and new screenshots. Optional filters: account, job_id and types
+ * (comma separated event types).
+ */
+router.get('/v1/events', requireScope('monitoring-read', 'post', 'reply'), (req, res) => {
+  const { account, job_id: jobId, types } = req.query;
+  const handle = account ? normalizeHandle(account) : undefined;
+  const typeList = types ? types.split(',').map(type => type.trim()).filter(Boolean) : null;
+
+  const unknownTypes = (typeList || []).filter(type => !EVENT_TYPES.includes(type));
+  if (unknownTypes.length > 0) {
+    return res.status(400).json({
+      request_id: req.id,
+      status: 'error',
+      message: `Unknown event types: ${unknownTypes.join(', ')}. Use: ${EVENT_TYPES.join(', ')}`
+    });
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+  res.write(`retry: ${EVENTS_RETRY_MS}\n\n`);
+
+  const unsubscribe = subscribe((event) => {
+    const eventAccount = event.data.account || null;
+    if ((typeList && !typeList.includes(event.type))
+      || (handle !== undefined && eventAccount !== handle)
+      || (jobId && event.data.job_id !== jobId)
+      || !canAccessAccount(req, eventAccount)) {
+      return;
+    }
+    res.write(`id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`);
+  });
+  const heartbeat = setInterval(() => res.write(': keep-alive\n\n'), EVENTS_HEARTBEAT_MS);
+
+  logger.info(`Event stream opened`, { account: handle, jobId, types: typeList });
+  req.on('close', () => {
+    clearInterval(heartbeat);
+    unsubscribe();
+    logger.info(`Event stream closed`);
+  });
+});
+
 module.exports = router;
@@ -0,0 +1,179 @@
+/**
+ * Post Routes
+ * Ledger of the posts created by the service and their deletion
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const { param, query, validationResult } = require('express-validator');
+const router = express.Router();
+const postingEngine = require('../services/postingEngine');
+const postLedger = require('../utils/postLedger');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+const { accountParam, canAccessAccount } = require('../middleware/account');
+const { normalizeHandle } = require('../utils/accountRegistry');
+const { classifyError, httpStatusFor } = require('../utils/xErrors');
+
+// Any key that can create posts may look them up and delete them
+const postReadScopes = requireScope('post', 'reply', 'monitoring-read');
+const postWriteScopes = requireScope('post', 'reply');
+
+const validateTweetId = [
+  param('tweetId').matches(/^\d{1,20}$/).withMessage('tweetId must be a numeric tweet ID')
+];
+
+const validateListQuery = [
+  query('status').optional().isIn(['live', 'deleted']).withMessage('status must be live or deleted'),
+  query('action').optional().isIn(['post', 'reply', 'quote']).withMessage('action must be post, reply or quote'),
+  query('limit').optional().isInt({ min: 1, max: 1000 }).withMessage('limit must be between 1 and 1000').toInt()
+];
+
+/**
+ * Sends the 400 response for failed validation, returns true when sent
+ */
+function rejectInvalid(req, res, requestId) {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+  res.status(400).json({
+    request_id: requestId,
+    status: 'error',
+    message: 'Validation failed',
+    errors: errors.array()
+  });
+  return true;
+}
+
+/**
+ * GET /api/v1/posts
+ * List posts created by the service, newest first. Filters: account,
+ * status (live / deleted), action, job_id, content (matched by hash) and limit.
+ */
+router.get('/v1/posts', postReadScopes, validateListQuery, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    if (rejectInvalid(req, res, requestId)) {
+      return;
+    }
+
+    const { account, status, action, job_id: jobId, content, limit = 50 } = req.query;
+    const posts = (await postLedger.listPosts({
+      account: account === undefined ? undefined : normalizeHandle(account),
+      status,
+      action,
+      jobId,
+      contentHash: content ? postLedger.hashContent(content) : undefined,
+      limit
+    })).filter(post => canAccessAccount(req, post.account));
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: {
+        count: posts.length,
+        posts
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to list posts',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v1/posts/:tweetId
+ * Get the ledger entry of a single post
+ */
+router.get('/v1/posts/:tweetId', postReadScopes, validateTweetId, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    if (rejectInvalid(req, res, requestId)) {
+      return;
+    }
+
+    const post = await postLedger.getPost(req.params.tweetId);
+    if (!post || !canAccessAccount(req, post.account)) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: post
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to retrieve post',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/posts/:tweetId
+ * Delete a post on X (DeleteTweet) and mark it deleted in the ledger.
+ * Posts in the ledger are deleted as the account that created them unless
+ * another account is given; other posts use the selected account.
+ */
+router.delete('/v1/posts/:tweetId', postWriteScopes, accountParam, validateTweetId, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    if (rejectInvalid(req, res, requestId)) {
+      return;
+    }
+
+    const { tweetId } = req.params;
+    const post = await postLedger.getPost(tweetId);
+    if (post && !canAccessAccount(req, post.account)) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Post not found'
+      });
+    }
+
+    const selected = (req.body && req.body.account) || req.query.account;
+    const account = post && !selected ? post.account : req.account;
+    logger.info(`Deleting post`, { requestId, tweetId, account });
+
+    const result = await postingEngine.deletePost(tweetId, { account });
+    res.status(result.success ? 200 : httpStatusFor(result.errorCode)).json({
+      request_id: requestId,
+      status: result.success ? 'success' : 'error',
+      ...(result.success ? {} : { error_code: result.errorCode }),
+      message: result.success ? 'Post deleted' : result.message,
+      data: {
+        ...result,
+        ledger: await postLedger.getPost(tweetId)
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    const { code, httpStatus } = classifyError(error);
+    res.status(httpStatus).json({
+      request_id: requestId,
+      status: 'error',
+      error_code: code,
+      message: 'Failed to delete post',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,35 +1,225 @@
 /**
- * Clean Posting Routes - Simple API for creating posts and replies
+ * Clean Posting Routes - Simple API for creating posts, replies, quotes,
+ * reposts and likes
  * Automatically uses stored auth tokens and guest_id
  * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
  */
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const { v4: uuidv4 } = require('uuid');
 const router = express.Router();
-const xService = require('../services/xService');
-const { createDirectPost, replyDirectToPost } = require('../utils/goStyleDirectApiFix');
+const jobQueue = require('../utils/jobQueue');
+const scheduler = require('../utils/scheduler');
+const { postThread } = require('../services/threadService');
+const { isValidCron } = require('../utils/cronExpression');
+const postingEngine = require('../services/postingEngine');
 const logger = require('../utils/logger');
+const { mediaUpload, getMediaOptions, keepUploads, useUploads } = require('../middleware/upload');
+const { accountParam } = require('../middleware/account');
+const { requireScope } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
+const { httpStatusFor, classifyError } = require('../utils/xErrors');
+const { parseTweet, assertTweetLength, weightedLength } = require('../utils/tweetText');
+const { MAX_THREAD_PARTS, splitIntoThread } = require('../utils/threadSplitter');
+const { getMaxTweetLength } = require('../utils/accountRegistry');
+const { hashContent } = require('../utils/postLedger');
+const { isStatusUrl } = require('../utils/goStyleDirectApiFix');
+
+/**
+ * Checks a text's weighted length against the selected account's limit
+ * (runs after accountParam, which sets req.account)
+ */
+async function fitsAccountLimit(value, { req }) {
+  return assertTweetLength(value, await getMaxTweetLength(req.account));
+}
+
+/**
+ * Like fitsAccountLimit, but content posted with `split` only has to fit
+ * in a thread of MAX_THREAD_PARTS parts
+ */
+async function fitsAccountLimitOrSplits(value, { req }) {
+  const maxLength = await getMaxTweetLength(req.account);
+  if (!req.body.split) {
+    return assertTweetLength(value, maxLength);
+  }
+
+  const count = splitIntoThread(value, maxLength).length;
+  if (count > MAX_THREAD_PARTS) {
+    throw new Error(`Content splits into ${count} parts, a thread can have at most ${MAX_THREAD_PARTS}`);
+  }
+  return true;
+}
 
 // Validation middleware
+const validateSchedule = [
+  body('scheduled_at').optional().isISO8601().withMessage('scheduled_at must be an ISO 8601 date-time'),
+  body('cron').optional().custom(isValidCron).withMessage('cron must be a valid 5-field cron expression')
+];
+
+const validateMedia = [
+  body('alt_text').optional().custom(value => [].concat(value).every(text => String(text).length <= 1000))
+    .withMessage('alt_text must be 1000 characters or less'),
+  body('sensitive').optional().isBoolean().withMessage('sensitive must be true or false')
+];
+
+const validateMode = [
+  body('mode').optional().isIn(postingEngine.MODES)
+    .withMessage(`mode must be one of: ${postingEngine.MODES.join(', ')}`)
+];
+
+const validateSplit = [
+  body('split').optional().isBoolean().withMessage('split must be true or false').toBoolean(),
+  body('dry_run').optional().isBoolean().withMessage('dry_run must be true or false').toBoolean()
+];
+
 const validatePost = [
+  ...validateSplit,
   body('content').notEmpty().withMessage('Content is required')
-    .isLength({ max: 280 }).withMessage('Content must be 280 characters or less')
+    .custom(fitsAccountLimitOrSplits),
+  ...validateSchedule,
+  ...validateMedia,
+  ...validateMode
 ];
 
-const validateReply = [
-  body('content').notEmpty().withMessage('Content is required')
-    .isLength({ max: 280 }).withMessage('Content must be 280 characters or less'),
+const validateTarget = [
   body('url').notEmpty().withMessage('Post URL is required')
     .isURL().withMessage('Invalid URL format')
+    .custom(isStatusUrl).withMessage('url must be a post URL (https://x.com/user/status/123)')
+];
+
+const validateReply = [
+  body('content').notEmpty().withMessage('Content is required')
+    .custom(fitsAccountLimit),
+  ...validateTarget,
+  ...validateSchedule,
+  ...validateMedia,
+  ...validateMode
 ];
 
+const validateQuote = [
+  body('content').notEmpty().withMessage('Content is required')
+    .custom(fitsAccountLimit),
+  ...validateTarget,
+  ...validateMedia
+];
+
+const validateText = [
+  body('content').isString().withMessage('Content must be a string')
+];
+
+const validateThread = [
+  body('parts').isArray({ min: 2, max: MAX_THREAD_PARTS }).withMessage(`parts must be an array of 2 to ${MAX_THREAD_PARTS} texts`),
+  body('parts.*').isString().withMessage('Each part must be a string')
+    .notEmpty().withMessage('Thread parts cannot be empty')
+    .custom(fitsAccountLimit),
+  ...validateSchedule,
+  ...validateMode
+];
+
+/**
+ * Stores the request as a schedule when scheduled_at or cron is given
+ * @returns {Promise<boolean>} True when the response has been sent
+ */
+async function scheduleIfRequested(req, res, requestId, jobType, payload) {
+  const { scheduled_at: scheduledAt, cron } = req.body;
+  if (!scheduledAt && !cron) {
+    return false;
+  }
+
+  const schedule = await scheduler.createSchedule({ jobType, payload, scheduledAt, cron });
+  keepUploads(req);
+  logger.info(`Scheduled ${jobType} for ${schedule.nextRunAt}`, { requestId, scheduleId: schedule.id });
+
+  res.status(202).json({
+    request_id: requestId,
+    status: 'accepted',
+    message: cron ? 'Recurring schedule created' : 'Scheduled for later',
+    data: {
+      schedule_id: schedule.id,
+      next_run_at: schedule.nextRunAt,
+      cron: schedule.cron,
+      status_url: `/api/v1/schedules/${schedule.id}`
+    }
+  });
+  return true;
+}
+
+/**
+ * Splits post content into thread parts when `split` is set
+ * @returns {Promise<Array<string>>} A single part when no split is requested or needed
+ */
+async function splitIfRequested(req, content) {
+  if (!req.body.split) {
+    return [content];
+  }
+  return splitIntoThread(content, await getMaxTweetLength(req.account));
+}
+
+/**
+ * Answers a `dry_run` request with the parts that would be posted
+ */
+function sendDryRun(res, requestId, parts) {
+  res.status(200).json({
+    request_id: requestId,
+    status: 'success',
+    message: parts.length > 1
+      ? `Content would be posted as a thread of ${parts.length} parts`
+      : 'Content would be posted as a single post',
+    data: {
+      dry_run: true,
+      count: parts.length,
+      parts: parts.map((text, index) => ({ index, text, weighted_length: weightedLength(text) }))
+    }
+  });
+}
+
+/**
+ * Sends a posting engine result, with Retry-After when the account is throttled
+ */
+function sendPostingResult(res, requestId, result) {
+  res.locals.requestSent = result.requestSent;
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+  res.status(result.success ? 200 : httpStatusFor(result.errorCode)).json({
+    request_id: requestId,
+    status: result.success ? 'success' : 'error',
+    ...(result.success ? {} : { error_code: result.errorCode }),
+    ...(result.retryAfter ? { retry_after: result.retryAfter } : {}),
+    message: result.message,
+    data: result
+  });
+}
+
+/**
+ * Sends the result of a thread posted synchronously, with Retry-After when
+ * the account's budget cannot cover the thread
+ */
+function sendThreadResult(res, requestId, result) {
+  res.locals.requestSent = result.requestSent;
+  if (result.retryAfter) {
+    res.set('Retry-After', String(result.retryAfter));
+  }
+  res.status(result.success ? 200 : httpStatusFor(result.errorCode)).json({
+    request_id: requestId,
+    status: result.success ? 'success' : 'error',
+    ...(result.success ? {} : { error_code: result.errorCode }),
+    ...(result.retryAfter ? { retry_after: result.retryAfter } : {}),
+    message: result.message,
+    data: {
+      threadUrl: result.threadUrl,
+      postedCount: result.postedCount,
+      parts: result.parts
+    }
+  });
+}
+
 /**
  * POST /api/v1/post - Create new post (Puppeteer)
- * Creates a new post on X using browser automation
+ * Queues a new post on X and returns the job ID. Uses the browser backend
+ * unless `mode` selects another one.
  */
-router.post('/v1/post', validatePost, async (req, res) => {
-  const requestId = uuidv4();
+router.post('/v1/post', requireScope('post'), mediaUpload, accountParam, idempotency, validatePost, async (req, res) => {
+  const requestId = req.id;
   
   try {
     // Validate request
@@ -44,36 +234,42 @@ router.post('/v1/post', validatePost, async (req, res) => {
     }
 
     const { content } = req.body;
-    logger.info(`Creating new post via Puppeteer`, { requestId, content });
-
-    // Create post using Puppeteer service
-    const result = await xService.createPost(content);
+    const parts = await splitIfRequested(req, content);
+    if (req.body.dry_run) {
+      return sendDryRun(res, requestId, parts);
+    }
 
-    if (!result.success) {
-      return res.status(400).json({
-        request_id: requestId,
-        status: 'error',
-        message: result.message,
-        data: {
-          screenshot: result.screenshot
-        }
-      });
+    // Split content is posted as a thread, with the media on its first part
+    const options = { mode: req.body.mode || 'browser', account: req.account, ...getMediaOptions(req) };
+    const [jobType, payload] = parts.length > 1 ? ['thread', { parts, ...options }] : ['post', { content, ...options }];
+    if (await scheduleIfRequested(req, res, requestId, jobType, payload)) {
+      return;
     }
+    logger.info(`Queueing new ${jobType}`, { requestId, length: content.length, contentHash: hashContent(content), parts: parts.length, mode: options.mode, account: req.account, media: options.media.length });
 
-    res.status(200).json({
+    // Hand the post to the job worker so the client is not held open
+    const job = await jobQueue.enqueueJob(jobType, payload);
+    keepUploads(req);
+
+    res.status(202).json({
       request_id: requestId,
-      status: 'success',
-      message: result.message,
+      status: 'accepted',
+      message: parts.length > 1 ? `Thread of ${parts.length} parts queued` : 'Post queued',
       data: {
-        screenshot: result.screenshot
+        job_id: job.id,
+        job_status: job.status,
+        status_url: `/api/v1/jobs/${job.id}`
       }
     });
 
   } catch (error) {
     logger.logError(error, req);
-    res.status(500).json({
+    res.locals.requestSent = false; // nothing reaches X before the job is queued
+    const { code, httpStatus } = classifyError(error);
+    res.status(httpStatus).json({
       request_id: requestId,
       status: 'error',
+      error_code: code,
       message: 'Failed to create post',
       error: error.message
     });
@@ -82,10 +278,11 @@ router.post('/v1/post', validatePost, async (req, res) => {
 
 /**
  * POST /api/v1/reply - Reply to post (Puppeteer)
- * Replies to an existing post using browser automation
+ * Queues a reply to an existing post and returns the job ID. Uses the browser
+ * backend unless `mode` selects another one.
  */
-router.post('/v1/reply', validateReply, async (req, res) => {
-  const requestId = uuidv4();
+router.post('/v1/reply', requireScope('reply'), mediaUpload, accountParam, idempotency, validateReply, async (req, res) => {
+  const requestId = req.id;
   
   try {
     // Validate request
@@ -100,36 +297,35 @@ router.post('/v1/reply', validateReply, async (req, res) => {
     }
 
     const { content, url } = req.body;
-    logger.info(`Creating reply via Puppeteer`, { requestId, content, url });
-
-    // Create reply using Puppeteer service
-    const result = await xService.replyToPost(content, url);
-
-    if (!result.success) {
-      return res.status(400).json({
-        request_id: requestId,
-        status: 'error',
-        message: result.message,
-        data: {
-          screenshot: result.screenshot
-        }
-      });
+    const payload = { content, url, mode: req.body.mode || 'browser', account: req.account, ...getMediaOptions(req) };
+    if (await scheduleIfRequested(req, res, requestId, 'reply', payload)) {
+      return;
     }
+    logger.info(`Queueing reply`, { requestId, length: content.length, contentHash: hashContent(content), url, mode: payload.mode, account: req.account, media: payload.media.length });
 
-    res.status(200).json({
+    // Hand the reply to the job worker so the client is not held open
+    const job = await jobQueue.enqueueJob('reply', payload);
+    keepUploads(req);
+
+    res.status(202).json({
       request_id: requestId,
-      status: 'success',
-      message: result.message,
+      status: 'accepted',
+      message: 'Reply queued',
       data: {
-        screenshot: result.screenshot
+        job_id: job.id,
+        job_status: job.status,
+        status_url: `/api/v1/jobs/${job.id}`
       }
     });
 
   } catch (error) {
     logger.logError(error, req);
-    res.status(500).json({
+    res.locals.requestSent = false; // nothing reaches X before the job is queued
+    const { code, httpStatus } = classifyError(error);
+    res.status(httpStatus).json({
       request_id: requestId,
       status: 'error',
+      error_code: code,
       message: 'Failed to create reply',
       error: error.message
     });
@@ -138,10 +334,11 @@ router.post('/v1/reply', validateReply, async (req, res) => {
 
 /**
  * POST /api/direct/post - Create post (Direct API)
- * Creates a post using direct GraphQL API calls
+ * Creates a post synchronously, using direct GraphQL API calls unless `mode`
+ * selects another backend
  */
-router.post('/direct/post', validatePost, async (req, res) => {
-  const requestId = uuidv4();
+router.post('/direct/post', requireScope('post'), mediaUpload, accountParam, idempotency, validatePost, async (req, res) => {
+  const requestId = req.id;
   
   try {
     // Validate request
@@ -156,48 +353,134 @@ router.post('/direct/post', validatePost, async (req, res) => {
     }
 
     const { content } = req.body;
-    logger.info(`Creating post via Direct API`, { requestId, content });
+    const parts = await splitIfRequested(req, content);
+    if (req.body.dry_run) {
+      return sendDryRun(res, requestId, parts);
+    }
+
+    const options = { mode: req.body.mode || 'graphql', account: req.account, ...getMediaOptions(req) };
+    if (parts.length > 1) {
+      if (await scheduleIfRequested(req, res, requestId, 'thread', { parts, ...options })) {
+        return;
+      }
+      logger.info(`Creating thread from split post`, { requestId, parts: parts.length, mode: options.mode, account: req.account, media: options.media.length });
+      return sendThreadResult(res, requestId, await useUploads(req, () => postThread(parts, options)));
+    }
+
+    if (await scheduleIfRequested(req, res, requestId, 'post', { content, ...options })) {
+      return;
+    }
+    logger.info(`Creating post`, { requestId, length: content.length, contentHash: hashContent(content), mode: options.mode, account: req.account, media: options.media.length });
+
+    // Create post through the posting engine (guest_id automatically retrieved)
+    sendPostingResult(res, requestId, await useUploads(req, () => postingEngine.createPost(content, options)));
 
-    // Create post using direct API (guest_id automatically retrieved)
-    const result = await createDirectPost(content);
+  } catch (error) {
+    logger.logError(error, req);
+    const { code, httpStatus } = classifyError(error);
+    res.status(httpStatus).json({
+      request_id: requestId,
+      status: 'error',
+      error_code: code,
+      message: 'Failed to create post',
+      error: error.message
+    });
+  }
+});
 
-    if (!result.success) {
+/**
+ * POST /api/direct/reply - Reply to post (Direct API)
+ * Replies to a post synchronously, using direct GraphQL API calls unless
+ * `mode` selects another backend
+ */
+router.post('/direct/reply', requireScope('reply'), mediaUpload, accountParam, idempotency, validateReply, async (req, res) => {
+  const requestId = req.id;
+  
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         request_id: requestId,
         status: 'error',
-        message: result.message,
-        data: result.data || {}
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
-    res.status(200).json({
+    const { content, url } = req.body;
+    const options = { mode: req.body.mode || 'graphql', account: req.account, ...getMediaOptions(req) };
+    if (await scheduleIfRequested(req, res, requestId, 'reply', { content, url, ...options })) {
+      return;
+    }
+    logger.info(`Creating reply`, { requestId, length: content.length, contentHash: hashContent(content), url, mode: options.mode, account: req.account, media: options.media.length });
+
+    // Create reply through the posting engine (guest_id automatically retrieved)
+    sendPostingResult(res, requestId, await useUploads(req, () => postingEngine.replyToPost(content, url, options)));
+
+  } catch (error) {
+    logger.logError(error, req);
+    const { code, httpStatus } = classifyError(error);
+    res.status(httpStatus).json({
       request_id: requestId,
-      status: 'success',
-      message: result.message,
-      data: {
-        tweetId: result.tweetId,
-        apiResponse: result.data
-      }
+      status: 'error',
+      error_code: code,
+      message: 'Failed to create reply',
+      error: error.message
     });
+  }
+});
+
+/**
+ * POST /api/v1/thread - Post a thread (Direct API)
+ * Posts the first part and chains every next part as a reply to the previous one.
+ * Uses the GraphQL backend unless `mode` selects another one.
+ */
+router.post('/v1/thread', requireScope('post'), accountParam, idempotency, validateThread, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { parts } = req.body;
+    const options = { mode: req.body.mode || 'graphql', account: req.account };
+    if (await scheduleIfRequested(req, res, requestId, 'thread', { parts, ...options })) {
+      return;
+    }
+    logger.info(`Creating thread`, { requestId, parts: parts.length, mode: options.mode, account: req.account });
+
+    sendThreadResult(res, requestId, await postThread(parts, options));
 
   } catch (error) {
     logger.logError(error, req);
-    res.status(500).json({
+    const { code, httpStatus } = classifyError(error);
+    res.status(httpStatus).json({
       request_id: requestId,
       status: 'error',
-      message: 'Failed to create post via direct API',
+      error_code: code,
+      message: 'Failed to create thread',
       error: error.message
     });
   }
 });
 
 /**
- * POST /api/direct/reply - Reply to post (Direct API)
- * Replies to a post using direct GraphQL API calls
+ * POST /api/v1/quote - Quote a post (Direct API)
+ * Posts the content with the quoted post attached. Quotes always use the
+ * GraphQL backend.
  */
-router.post('/direct/reply', validateReply, async (req, res) => {
-  const requestId = uuidv4();
-  
+router.post('/v1/quote', requireScope('post'), mediaUpload, accountParam, idempotency, validateQuote, async (req, res) => {
+  const requestId = req.id;
+
   try {
     // Validate request
     const errors = validationResult(req);
@@ -211,28 +494,117 @@ router.post('/direct/reply', validateReply, async (req, res) => {
     }
 
     const { content, url } = req.body;
-    logger.info(`Creating reply via Direct API`, { requestId, content, url });
+    const options = { account: req.account, ...getMediaOptions(req) };
+    logger.info(`Creating quote`, { requestId, length: content.length, contentHash: hashContent(content), url, account: req.account, media: options.media.length });
+
+    sendPostingResult(res, requestId, await useUploads(req, () => postingEngine.quotePost(content, url, options)));
+
+  } catch (error) {
+    logger.logError(error, req);
+    const { code, httpStatus } = classifyError(error);
+    res.status(httpStatus).json({
+      request_id: requestId,
+      status: 'error',
+      error_code: code,
+      message: 'Failed to create quote',
+      error: error.message
+    });
+  }
+});
 
-    // Create reply using direct API (guest_id automatically retrieved)
-    const result = await replyDirectToPost(content, url);
+/**
+ * Builds the handler of a repost / like route (Direct API)
+ * @param {string} action - 'repost', 'unrepost', 'like' or 'unlike'
+ */
+function engagementHandler(action) {
+  return async (req, res) => {
+    const requestId = req.id;
+
+    try {
+      // Validate request
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({
+          request_id: requestId,
+          status: 'error',
+          message: 'Validation failed',
+          errors: errors.array()
+        });
+      }
+
+      const { url } = req.body;
+      logger.info(`Running ${action}`, { requestId, url, account: req.account });
+
+      sendPostingResult(res, requestId, await postingEngine.engage(action, url, { account: req.account }));
+
+    } catch (error) {
+      logger.logError(error, req);
+      const { code, httpStatus } = classifyError(error);
+      res.status(httpStatus).json({
+        request_id: requestId,
+        status: 'error',
+        error_code: code,
+        message: `Failed to ${action}`,
+        error: error.message
+      });
+    }
+  };
+}
 
-    if (!result.success) {
+/**
+ * POST /api/v1/repost - Repost a post (Direct API)
+ */
+router.post('/v1/repost', requireScope('post'), accountParam, idempotency, validateTarget, engagementHandler('repost'));
+
+/**
+ * POST /api/v1/unrepost - Undo a repost (Direct API)
+ */
+router.post('/v1/unrepost', requireScope('post'), accountParam, idempotency, validateTarget, engagementHandler('unrepost'));
+
+/**
+ * POST /api/v1/like - Like a post (Direct API)
+ */
+router.post('/v1/like', requireScope('post'), accountParam, idempotency, validateTarget, engagementHandler('like'));
+
+/**
+ * POST /api/v1/unlike - Remove a like (Direct API)
+ */
+router.post('/v1/unlike', requireScope('post'), accountParam, idempotency, validateTarget, engagementHandler('unlike'));
+
+/**
+ * POST /api/v1/validate - Preview a post
+ * Counts the content the way X does against the account's length limit and
+ * lists its mentions, hashtags and URLs. Nothing is posted.
+ */
+router.post('/v1/validate', requireScope('post', 'reply'), accountParam, validateText, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    // Validate request
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
       return res.status(400).json({
         request_id: requestId,
         status: 'error',
-        message: result.message,
-        data: result.data || {}
+        message: 'Validation failed',
+        errors: errors.array()
       });
     }
 
+    const parsed = parseTweet(req.body.content, await getMaxTweetLength(req.account));
+
     res.status(200).json({
       request_id: requestId,
       status: 'success',
-      message: result.message,
+      message: parsed.valid ? 'Content can be posted' : 'Content cannot be posted',
       data: {
-        replyTweetId: result.replyTweetId,
-        originalTweetId: result.originalTweetId,
-        apiResponse: result.data
+        valid: parsed.valid,
+        weighted_length: parsed.weightedLength,
+        max_length: parsed.maxLength,
+        remaining: parsed.remaining,
+        mentions: parsed.mentions,
+        hashtags: parsed.hashtags,
+        urls: parsed.urls
       }
     });
 
@@ -241,7 +613,7 @@ router.post('/direct/reply', validateReply, async (req, res) => {
     res.status(500).json({
       request_id: requestId,
       status: 'error',
-      message: 'Failed to create reply via direct API',
+      message: 'Failed to validate content',
       error: error.message
     });
   }
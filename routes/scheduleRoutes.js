@@ -0,0 +1,256 @@
+/**
+ * Schedule Routes
+ * List, edit and cancel scheduled and recurring posts
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const scheduler = require('../utils/scheduler');
+const { isValidCron } = require('../utils/cronExpression');
+const logger = require('../utils/logger');
+const { requireScope } = require('../middleware/auth');
+const { canAccessAccount } = require('../middleware/account');
+const { assertTweetLength } = require('../utils/tweetText');
+const { MAX_THREAD_PARTS, splitIntoThread } = require('../utils/threadSplitter');
+const { getMaxTweetLength } = require('../utils/accountRegistry');
+const { isStatusUrl } = require('../utils/goStyleDirectApiFix');
+
+// Keys that can post may manage their schedules; monitoring keys may read them
+const scheduleReadScopes = requireScope('post', 'reply', 'monitoring-read');
+const scheduleWriteScopes = requireScope('post', 'reply');
+
+/**
+ * Checks new content against the length limit of the schedule's account.
+ * Content of a thread schedule is split into parts, so it only has to fit
+ * in a thread of MAX_THREAD_PARTS parts.
+ */
+async function fitsScheduleAccountLimit(value, { req }) {
+  const schedule = await scheduler.getSchedule(req.params.id);
+  const maxLength = await getMaxTweetLength(schedule ? schedule.payload.account : null);
+  if (!schedule || schedule.jobType !== 'thread') {
+    return assertTweetLength(value, maxLength);
+  }
+
+  const count = splitIntoThread(value, maxLength).length;
+  if (count > MAX_THREAD_PARTS) {
+    throw new Error(`Content splits into ${count} parts, a thread can have at most ${MAX_THREAD_PARTS}`);
+  }
+  return true;
+}
+
+// Validation middleware
+const validateScheduleUpdate = [
+  body('content').optional().notEmpty().withMessage('Content cannot be empty')
+    .custom(fitsScheduleAccountLimit),
+  body('url').optional().isURL().withMessage('Invalid URL format')
+    .custom(isStatusUrl).withMessage('url must be a post URL (https://x.com/user/status/123)'),
+  body('scheduled_at').optional({ values: 'null' }).isISO8601().withMessage('scheduled_at must be an ISO 8601 date-time'),
+  body('cron').optional({ values: 'null' }).custom(isValidCron).withMessage('cron must be a valid 5-field cron expression')
+];
+
+/**
+ * Checks that a schedule exists and belongs to an account the API key may use
+ */
+async function isAccessible(req, id) {
+  const schedule = await scheduler.getSchedule(id);
+  return Boolean(schedule) && canAccessAccount(req, schedule.payload.account);
+}
+
+/**
+ * Builds the payload changes of a PATCH. Thread schedules post their
+ * `parts`, so new content replaces the parts with the content split again.
+ */
+async function buildPayloadUpdate(schedule, { content, url }) {
+  const payload = {};
+  if (content !== undefined && schedule.jobType === 'thread') {
+    payload.parts = splitIntoThread(content, await getMaxTweetLength(schedule.payload.account));
+  } else if (content !== undefined) {
+    payload.content = content;
+  }
+  if (url !== undefined) payload.url = url;
+  return payload;
+}
+
+/**
+ * GET /api/v1/schedules
+ * List schedules, optionally filtered by status (pending, dispatched, cancelled, failed)
+ */
+router.get('/v1/schedules', scheduleReadScopes, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const schedules = (await scheduler.listSchedules({ status: req.query.status }))
+      .filter(schedule => canAccessAccount(req, schedule.payload.account));
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: {
+        count: schedules.length,
+        schedules
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to list schedules',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v1/schedules/:id
+ * Get a single schedule
+ */
+router.get('/v1/schedules/:id', scheduleReadScopes, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const schedule = await scheduler.getSchedule(req.params.id);
+
+    if (!schedule || !canAccessAccount(req, schedule.payload.account)) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: schedule
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to retrieve schedule',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * PATCH /api/v1/schedules/:id
+ * Edit the content, target URL, time or cron expression of a pending schedule.
+ * New content of a thread schedule is split into thread parts.
+ */
+router.patch('/v1/schedules/:id', scheduleWriteScopes, validateScheduleUpdate, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { scheduled_at: scheduledAt, cron } = req.body;
+    let schedule = await scheduler.getSchedule(req.params.id);
+    if (!schedule || !canAccessAccount(req, schedule.payload.account)) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Schedule not found'
+      });
+    }
+
+    const payload = await buildPayloadUpdate(schedule, req.body);
+    try {
+      schedule = await scheduler.updateSchedule(req.params.id, { payload, scheduledAt, cron });
+    } catch (error) {
+      return res.status(409).json({
+        request_id: requestId,
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (!schedule) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      message: 'Schedule updated',
+      data: schedule
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to update schedule',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/schedules/:id
+ * Cancel a pending schedule
+ */
+router.delete('/v1/schedules/:id', scheduleWriteScopes, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    if (!(await isAccessible(req, req.params.id))) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Schedule not found'
+      });
+    }
+
+    let schedule;
+    try {
+      schedule = await scheduler.cancelSchedule(req.params.id);
+    } catch (error) {
+      return res.status(409).json({
+        request_id: requestId,
+        status: 'error',
+        message: error.message
+      });
+    }
+
+    if (!schedule) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Schedule not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      message: 'Schedule cancelled',
+      data: schedule
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to cancel schedule',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
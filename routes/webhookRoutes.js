@@ -0,0 +1,277 @@
+/**
+ * Webhook Routes
+ * Register, list and delete webhook subscriptions, inspect their
+ * deliveries and replay failed ones
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const router = express.Router();
+const webhooks = require('../utils/webhooks');
+const { isValidHandle, normalizeHandle, accountExists } = require('../utils/accountRegistry');
+const { requireScope } = require('../middleware/auth');
+const { canAccessAccount } = require('../middleware/account');
+const logger = require('../utils/logger');
+
+// Validation middleware
+const validateWebhook = [
+  body('url').notEmpty().withMessage('URL is required')
+    .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+    .withMessage('URL must be an http(s) URL'),
+  body('events').custom(webhooks.isValidEvents)
+    .withMessage(`Events must be a non-empty array of: ${webhooks.WEBHOOK_EVENTS.join(', ')} or ${webhooks.ALL_EVENTS}`),
+  body('secret').optional({ values: 'null' }).isString()
+    .isLength({ min: 16, max: 256 }).withMessage('Secret must be between 16 and 256 characters'),
+  body('account').optional({ values: 'null' })
+    .custom(isValidHandle).withMessage('Account must be a valid handle')
+    .bail()
+    .custom(async (handle) => {
+      if (!(await accountExists(handle))) {
+        throw new Error(`Unknown account: @${normalizeHandle(handle)}`);
+      }
+    })
+];
+
+/**
+ * Gets a webhook the request's API key may see: keys restricted to an
+ * account only see that account's webhooks
+ * @returns {Promise<Object|null>} The webhook, or null when missing or out of reach
+ */
+async function findWebhook(req, id) {
+  const record = await webhooks.getWebhook(id);
+  return record && canAccessAccount(req, record.account) ? record : null;
+}
+
+/**
+ * GET /api/v1/webhooks
+ * List webhooks (secrets are never returned)
+ */
+router.get('/v1/webhooks', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const records = (await webhooks.listWebhooks()).filter(record => canAccessAccount(req, record.account));
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: {
+        count: records.length,
+        webhooks: records
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to list webhooks',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks
+ * Register a webhook. The secret is only shown in this response. Keys
+ * restricted to an account can only register webhooks for that account.
+ */
+router.post('/v1/webhooks', requireScope('auth-admin'), validateWebhook, async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { url, events, secret } = req.body;
+    const restriction = req.apiKey && req.apiKey.account;
+    const account = normalizeHandle(req.body.account) || restriction || null;
+    if (!canAccessAccount(req, account)) {
+      return res.status(403).json({
+        request_id: requestId,
+        status: 'error',
+        message: `This API key is restricted to account @${restriction}.`
+      });
+    }
+
+    const result = await webhooks.createWebhook({ url, events, secret, account });
+
+    res.status(201).json({
+      request_id: requestId,
+      status: 'success',
+      message: 'Webhook registered. Store the secret now: it cannot be shown again.',
+      data: {
+        secret: result.secret,
+        ...result.record
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to register webhook',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhooks/:id
+ * Get a single webhook
+ */
+router.get('/v1/webhooks/:id', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const record = await findWebhook(req, req.params.id);
+
+    if (!record) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: record
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to retrieve webhook',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/webhooks/:id
+ * Delete a webhook
+ */
+router.delete('/v1/webhooks/:id', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const record = await findWebhook(req, req.params.id)
+      ? await webhooks.deleteWebhook(req.params.id)
+      : null;
+
+    if (!record) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      message: 'Webhook deleted',
+      data: record
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to delete webhook',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhooks/:id/deliveries
+ * List the deliveries of a webhook, newest first, optionally filtered by status
+ */
+router.get('/v1/webhooks/:id/deliveries', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    if (!(await findWebhook(req, req.params.id))) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Webhook not found'
+      });
+    }
+
+    const { status, limit = 50 } = req.query;
+    const deliveries = await webhooks.listDeliveries({
+      webhookId: req.params.id,
+      status,
+      limit: parseInt(limit, 10)
+    });
+
+    res.status(200).json({
+      request_id: requestId,
+      status: 'success',
+      data: {
+        count: deliveries.length,
+        deliveries
+      }
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to list webhook deliveries',
+      error: error.message
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhooks/:id/deliveries/:deliveryId/replay
+ * Send the event of a past delivery again as a new delivery
+ */
+router.post('/v1/webhooks/:id/deliveries/:deliveryId/replay', requireScope('auth-admin'), async (req, res) => {
+  const requestId = req.id;
+
+  try {
+    const original = await webhooks.getDelivery(req.params.deliveryId);
+    const delivery = original && original.webhookId === req.params.id && await findWebhook(req, req.params.id)
+      ? await webhooks.replayDelivery(original.id)
+      : null;
+
+    if (!delivery) {
+      return res.status(404).json({
+        request_id: requestId,
+        status: 'error',
+        message: 'Delivery not found'
+      });
+    }
+
+    res.status(202).json({
+      request_id: requestId,
+      status: 'success',
+      message: 'Delivery queued for replay',
+      data: delivery
+    });
+  } catch (error) {
+    logger.logError(error, req);
+    res.status(500).json({
+      request_id: requestId,
+      status: 'error',
+      message: 'Failed to replay webhook delivery',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
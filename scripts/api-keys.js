@@ -0,0 +1,94 @@
+/**
+ * API Key Script
+ * Issue, list and revoke API keys from the command line
+ *
+ *   npm run keys -- issue <name> <scope,scope> [--account handle] [--expires 2025-12-31T00:00:00Z]
+ *   npm run keys -- list
+ *   npm run keys -- revoke <id>
+ *
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+require('dotenv').config();
+const apiKeyStore = require('../utils/apiKeyStore');
+const { normalizeHandle, accountExists } = require('../utils/accountRegistry');
+
+function getOption(args, name) {
+  const index = args.indexOf(`--${name}`);
+  return index === -1 ? null : args[index + 1];
+}
+
+async function issue(args) {
+  const [name, scopeList] = args;
+  if (!name || !scopeList) {
+    throw new Error('Usage: issue <name> <scope,scope> [--account handle] [--expires ISO-date]');
+  }
+
+  const scopes = scopeList.split(',').map(scope => scope.trim());
+  if (!apiKeyStore.isValidScopes(scopes)) {
+    throw new Error(`Invalid scopes: use one or more of ${apiKeyStore.SCOPES.join(', ')}`);
+  }
+
+  const account = normalizeHandle(getOption(args, 'account'));
+  if (account && !(await accountExists(account))) {
+    throw new Error(`Unknown account: @${account}`);
+  }
+
+  const expiresAt = getOption(args, 'expires');
+  if (expiresAt && isNaN(new Date(expiresAt).getTime())) {
+    throw new Error(`Invalid expiry date: ${expiresAt}`);
+  }
+
+  const { key, record } = await apiKeyStore.issueKey({ name, scopes, account, expiresAt });
+  console.log(`Issued key ${record.id} (${record.scopes.join(', ')})`);
+  console.log(`Key (shown once): ${key}`);
+}
+
+async function list() {
+  const keys = await apiKeyStore.listKeys();
+  if (keys.length === 0) {
+    console.log('No API keys issued');
+    return;
+  }
+
+  for (const key of keys) {
+    const state = key.revokedAt ? 'revoked' : (key.expiresAt && new Date(key.expiresAt) <= new Date() ? 'expired' : 'active');
+    console.log([
+      key.id,
+      key.name,
+      key.keyPreview,
+      key.scopes.join(','),
+      key.account ? `@${key.account}` : '-',
+      key.expiresAt || 'no expiry',
+      state
+    ].join('\t'));
+  }
+}
+
+async function revoke(args) {
+  const [id] = args;
+  if (!id) {
+    throw new Error('Usage: revoke <id>');
+  }
+
+  const record = await apiKeyStore.revokeKey(id);
+  if (!record) {
+    throw new Error(`API key not found: ${id}`);
+  }
+  console.log(`Revoked key ${record.id} (${record.name})`);
+}
+
+async function main() {
+  const [command, ...args] = process.argv.slice(2);
+  const commands = { issue, list, revoke };
+
+  if (!commands[command]) {
+    console.error('Usage: npm run keys -- <issue|list|revoke> [...]');
+    process.exit(1);
+  }
+  await commands[command](args);
+}
+
+main().catch((error) => {
+  console.error(error.message);
+  process.exit(1);
+});
@@ -0,0 +1,28 @@
+/**
+ * Secret Rotation Script
+ * Re-encrypts stored tokens, cookies, account passwords and webhook secrets
+ * with SECRETS_KEY.
+ * To rotate: move the old key to SECRETS_PREVIOUS_KEYS, set the new SECRETS_KEY,
+ * run `npm run secrets:rotate`, then drop the old key.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+require('dotenv').config();
+const { isEncryptionEnabled } = require('../utils/secretStore');
+const { rotateSecrets } = require('../utils/accountRegistry');
+const { rotateWebhookSecrets } = require('../utils/webhooks');
+
+async function main() {
+  if (!isEncryptionEnabled()) {
+    console.error('SECRETS_KEY is not set');
+    process.exit(1);
+  }
+
+  const { files, passwords } = await rotateSecrets();
+  const webhookSecrets = await rotateWebhookSecrets();
+  console.log(`Re-encrypted ${files} files, ${passwords} account passwords and ${webhookSecrets} webhook secrets`);
+}
+
+main().catch((error) => {
+  console.error(`Secret rotation failed: ${error.message}`);
+  process.exit(1);
+});
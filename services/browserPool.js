@@ -0,0 +1,445 @@
+/**
+ * Browser Pool
+ * Leases Puppeteer pages to concurrent jobs. Each account gets its own
+ * isolated browser context, one lease per account runs at a time, and the
+ * total number of open leases is capped. Idle contexts are recycled and a
+ * health check replaces a crashed or hung Chromium without closing pages
+ * that jobs are still using.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const puppeteer = require('puppeteer-extra');
+const StealthPlugin = require('puppeteer-extra-plugin-stealth');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('../utils/logger');
+const { resolveHandle } = require('../utils/accountRegistry');
+const { incrementCounter } = require('../utils/metrics');
+
+// Apply stealth plugin to avoid detection
+puppeteer.use(StealthPlugin());
+
+// Constants
+const MAX_CONCURRENCY = parseInt(process.env.BROWSER_POOL_MAX_CONCURRENCY || '2', 10);
+const ACQUIRE_TIMEOUT_MS = parseInt(process.env.BROWSER_POOL_ACQUIRE_TIMEOUT_MS || '120000', 10);
+const IDLE_TIMEOUT_MS = parseInt(process.env.BROWSER_POOL_IDLE_TIMEOUT_MS || '300000', 10);
+const HEALTH_CHECK_INTERVAL_MS = parseInt(process.env.BROWSER_POOL_HEALTH_INTERVAL_MS || '30000', 10);
+const PING_TIMEOUT_MS = 5000;
+
+// Module state
+let activeBrowser = null; // { id, browser, launchedAt, lastUsed, leases, retired }
+let launching = null;
+const retiredBrowsers = new Set();
+const contexts = new Map(); // account key -> { key, account, context, browserRecord, state, busy, lastUsed }
+const leases = new Map();
+const waiters = [];
+let maintenanceTimer = null;
+let maintenanceRunning = false;
+
+/**
+ * Key under which an account's context is kept
+ */
+function contextKey(account) {
+  return resolveHandle(account) || 'default';
+}
+
+/**
+ * Launch options, with the proxy when configured
+ */
+function launchOptions() {
+  const options = {
+    headless: process.env.NODE_ENV === 'production' ? 'new' : false,
+    args: [
+      '--no-sandbox',
+      '--disable-setuid-sandbox',
+      '--disable-dev-shm-usage',
+      '--disable-accelerated-2d-canvas',
+      '--disable-gpu',
+      '--window-size=1280,800'
+    ]
+  };
+
+  if (process.env.PROXY_SERVER) {
+    options.args.push(`--proxy-server=${process.env.PROXY_SERVER}`);
+    logger.info(`Configured proxy: ${process.env.PROXY_SERVER}`);
+  }
+
+  return options;
+}
+
+/**
+ * Forgets the contexts that live in a browser
+ */
+function dropContextsOf(record) {
+  for (const [key, entry] of contexts) {
+    if (entry.browserRecord === record) {
+      contexts.delete(key);
+    }
+  }
+}
+
+/**
+ * Closes a browser process, ignoring errors from one that already died
+ */
+async function closeBrowser(record) {
+  retiredBrowsers.delete(record);
+  try {
+    await record.browser.close();
+    logger.info(`Browser ${record.id} closed`);
+  } catch (error) {
+    logger.warn(`Error closing browser ${record.id}: ${error.message}`);
+  }
+}
+
+/**
+ * Takes a browser out of rotation. New leases go to a fresh browser; the old
+ * one is closed once the jobs still using it have released their pages.
+ */
+function retireBrowser(record, reason) {
+  if (record.retired) {
+    return;
+  }
+  record.retired = true;
+  logger.warn(`Retiring browser ${record.id}: ${reason}`);
+
+  if (activeBrowser === record) {
+    activeBrowser = null;
+  }
+  dropContextsOf(record);
+
+  if (record.leases === 0 || !record.browser.connected) {
+    closeBrowser(record);
+  } else {
+    retiredBrowsers.add(record);
+  }
+}
+
+/**
+ * Returns the browser new contexts are created in, launching one when needed
+ */
+async function getBrowser() {
+  if (activeBrowser && activeBrowser.browser.connected) {
+    return activeBrowser;
+  }
+
+  if (!launching) {
+    launching = (async () => {
+      try {
+        const browser = await puppeteer.launch(launchOptions());
+        const record = { id: uuidv4().slice(0, 8), browser, launchedAt: Date.now(), lastUsed: Date.now(), leases: 0, retired: false };
+
+        // A crashed Chromium is replaced on the next lease
+        browser.on('disconnected', () => {
+          if (!record.retired) {
+            incrementCounter('xposts_browser_crashes_total', { reason: 'disconnected' });
+            retireBrowser(record, 'browser disconnected');
+          }
+          retiredBrowsers.delete(record);
+        });
+
+        activeBrowser = record;
+        logger.info(`Browser ${record.id} launched`);
+        incrementCounter('xposts_browser_launches_total', { purpose: 'pool', outcome: 'success' });
+        return record;
+      } catch (error) {
+        logger.error(`Failed to initialize browser: ${error.message}`);
+        incrementCounter('xposts_browser_launches_total', { purpose: 'pool', outcome: 'failure' });
+        throw new Error(`Browser initialization failed: ${error.message}`);
+      } finally {
+        launching = null;
+      }
+    })();
+  }
+  return launching;
+}
+
+/**
+ * Returns the account's context, creating it in the active browser when needed
+ */
+async function getContext(account) {
+  const key = contextKey(account);
+  const existing = contexts.get(key);
+  if (existing && !existing.browserRecord.retired && existing.browserRecord.browser.connected) {
+    return { entry: existing, fresh: false };
+  }
+
+  const browserRecord = await getBrowser();
+  const context = await browserRecord.browser.createBrowserContext();
+  const entry = {
+    key,
+    account: resolveHandle(account),
+    context,
+    browserRecord,
+    state: {},
+    busy: false,
+    lastUsed: Date.now()
+  };
+  contexts.set(key, entry);
+  logger.info(`Browser context created for ${key}`);
+  return { entry, fresh: true };
+}
+
+/**
+ * Checks whether a lease for the account may be opened now
+ */
+function canLease(key) {
+  return leases.size < MAX_CONCURRENCY &&
+    !Array.from(leases.values()).some(lease => lease.key === key);
+}
+
+/**
+ * Records a lease, taking one slot. Done synchronously so concurrent callers
+ * always see each other's reservations.
+ */
+function reserveLease(key, account) {
+  const lease = { id: uuidv4(), key, account: resolveHandle(account), acquiredAt: Date.now(), page: null };
+  leases.set(lease.id, lease);
+  return lease;
+}
+
+/**
+ * Hands freed capacity to waiters in arrival order, skipping those whose
+ * account is still busy
+ */
+function wakeWaiters() {
+  for (let i = 0; i < waiters.length && leases.size < MAX_CONCURRENCY; i++) {
+    if (canLease(waiters[i].key)) {
+      const [waiter] = waiters.splice(i, 1);
+      i--;
+      waiter.resolve(reserveLease(waiter.key, waiter.account));
+    }
+  }
+}
+
+/**
+ * Waits for a free slot and reserves it for the account
+ */
+function waitForSlot(key, account) {
+  if (canLease(key) && waiters.length === 0) {
+    return Promise.resolve(reserveLease(key, account));
+  }
+
+  return new Promise((resolve, reject) => {
+    const waiter = { key, account, resolve: null };
+    const timer = setTimeout(() => {
+      const index = waiters.indexOf(waiter);
+      if (index !== -1) {
+        waiters.splice(index, 1);
+      }
+      reject(new Error(`Timed out after ${ACQUIRE_TIMEOUT_MS}ms waiting for a browser page`));
+    }, ACQUIRE_TIMEOUT_MS);
+
+    waiter.resolve = (lease) => {
+      clearTimeout(timer);
+      resolve(lease);
+    };
+    waiters.push(waiter);
+    wakeWaiters();
+  });
+}
+
+/**
+ * Leases a new page in the account's browser context. The caller must call
+ * `release()` when done; pages are never shared between leases.
+ * @param {string|null} account - Account handle, null for the default account
+ * @returns {Promise<Object>} { id, account, page, context, state, fresh, release(options) }
+ */
+async function acquirePage(account = null) {
+  const key = contextKey(account);
+  startMaintenance();
+  const lease = await waitForSlot(key, account);
+
+  let entry;
+  try {
+    const result = await getContext(account);
+    entry = result.entry;
+    entry.busy = true;
+    entry.browserRecord.leases++;
+    lease.page = await entry.context.newPage();
+    lease.fresh = result.fresh;
+  } catch (error) {
+    if (entry) {
+      entry.busy = false;
+      entry.browserRecord.leases--;
+    }
+    leases.delete(lease.id);
+    wakeWaiters();
+    throw error;
+  }
+
+  let released = false;
+  return {
+    id: lease.id,
+    account: lease.account,
+    page: lease.page,
+    context: entry.context,
+    // Per-account state kept across leases of the same context (e.g. login validity)
+    state: entry.state,
+    fresh: lease.fresh,
+
+    /**
+     * Closes the page and frees the slot
+     * @param {Object} options - discardContext: also close the account's context
+     */
+    async release({ discardContext = false } = {}) {
+      if (released) {
+        return;
+      }
+      released = true;
+
+      await lease.page.close().catch(() => {});
+      entry.busy = false;
+      entry.lastUsed = Date.now();
+      entry.browserRecord.lastUsed = entry.lastUsed;
+      entry.browserRecord.leases--;
+      leases.delete(lease.id);
+
+      if (discardContext && contexts.get(entry.key) === entry) {
+        contexts.delete(entry.key);
+        await entry.context.close().catch(() => {});
+        logger.info(`Browser context closed for ${entry.key}`);
+      }
+
+      if (entry.browserRecord.retired && entry.browserRecord.leases === 0 && retiredBrowsers.has(entry.browserRecord)) {
+        await closeBrowser(entry.browserRecord);
+      }
+
+      wakeWaiters();
+    }
+  };
+}
+
+/**
+ * Asks a browser for its version, failing when it does not answer in time
+ */
+function pingBrowser(record) {
+  let timer;
+  return Promise.race([
+    record.browser.version(),
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error('ping timed out')), PING_TIMEOUT_MS);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Pings the active browser and retires it when it no longer answers
+ */
+async function checkHealth() {
+  const record = activeBrowser;
+  if (!record) {
+    return;
+  }
+
+  if (!record.browser.connected) {
+    incrementCounter('xposts_browser_crashes_total', { reason: 'disconnected' });
+    retireBrowser(record, 'browser disconnected');
+    return;
+  }
+
+  try {
+    await pingBrowser(record);
+  } catch (error) {
+    incrementCounter('xposts_browser_crashes_total', { reason: 'unresponsive' });
+    retireBrowser(record, `health check failed: ${error.message}`);
+  }
+}
+
+/**
+ * Closes contexts idle for longer than the idle timeout, and the browser
+ * itself once nothing is left in it and it has been idle as long
+ */
+async function recycleIdle() {
+  const now = Date.now();
+  for (const [key, entry] of contexts) {
+    if (!entry.busy && now - entry.lastUsed > IDLE_TIMEOUT_MS) {
+      contexts.delete(key);
+      await entry.context.close().catch(() => {});
+      logger.info(`Recycled idle browser context for ${key}`);
+    }
+  }
+
+  if (activeBrowser && leases.size === 0 && contexts.size === 0 && waiters.length === 0 &&
+    now - activeBrowser.lastUsed > IDLE_TIMEOUT_MS) {
+    const record = activeBrowser;
+    activeBrowser = null;
+    record.retired = true;
+    logger.info(`Closing idle browser ${record.id}`);
+    await closeBrowser(record);
+  }
+}
+
+/**
+ * Starts the periodic health check and idle recycling
+ */
+function startMaintenance() {
+  if (maintenanceTimer) {
+    return;
+  }
+  maintenanceTimer = setInterval(() => {
+    if (maintenanceRunning) {
+      return;
+    }
+    maintenanceRunning = true;
+    checkHealth()
+      .then(recycleIdle)
+      .catch(error => logger.error(`Browser pool maintenance failed: ${error.message}`))
+      .finally(() => {
+        maintenanceRunning = false;
+      });
+  }, HEALTH_CHECK_INTERVAL_MS);
+  maintenanceTimer.unref();
+}
+
+/**
+ * Describes the pool for the status endpoint
+ * @returns {Object} Pool counters
+ */
+function getPoolStatus() {
+  return {
+    browser_running: Boolean(activeBrowser && activeBrowser.browser.connected),
+    retired_browsers: retiredBrowsers.size,
+    contexts: Array.from(contexts.keys()),
+    active_leases: leases.size,
+    waiting: waiters.length,
+    max_concurrency: MAX_CONCURRENCY
+  };
+}
+
+/**
+ * Checks that Chromium works by pinging the pool's browser. When none is
+ * running the pool launches it, and it stays up for the next jobs until it
+ * has been idle for BROWSER_POOL_IDLE_TIMEOUT_MS. Used by /readyz.
+ * @returns {Promise<Object>} { version, launched }
+ */
+async function probeBrowser() {
+  const launched = !(activeBrowser && activeBrowser.browser.connected);
+  const record = await getBrowser();
+  record.lastUsed = Date.now();
+  startMaintenance();
+  return { version: await pingBrowser(record), launched };
+}
+
+/**
+ * Closes every browser, including pages still leased. Used on shutdown.
+ */
+async function shutdown() {
+  if (maintenanceTimer) {
+    clearInterval(maintenanceTimer);
+    maintenanceTimer = null;
+  }
+
+  const records = [...retiredBrowsers];
+  if (activeBrowser) {
+    activeBrowser.retired = true;
+    records.push(activeBrowser);
+    activeBrowser = null;
+  }
+  contexts.clear();
+  await Promise.all(records.map(closeBrowser));
+}
+
+module.exports = {
+  acquirePage,
+  getPoolStatus,
+  probeBrowser,
+  shutdown
+};
@@ -0,0 +1,417 @@
+/**
+ * Posting Engine
+ * Single entry point for posts, replies, quotes, reposts, likes and deletions with
+ * pluggable backends: "browser" (Puppeteer via xService) and "graphql"
+ * (direct GraphQL calls). Every backend result is normalized to the same shape,
+ * and every post created is recorded in the post ledger.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const logger = require('../utils/logger');
+const { xUrl } = require('../utils/xEndpoints');
+const { ERROR_CODES, classifyResult, classifyError, isPreSendError } = require('../utils/xErrors');
+const { getRetryDelay, sleep } = require('../utils/retryPolicy');
+const { invalidateCt0 } = require('../utils/ct0Cache');
+const { takePost, returnPost, recordXRateLimit } = require('../utils/postBudget');
+const { recordPost, markDeleted } = require('../utils/postLedger');
+const { publishEvent } = require('../utils/eventBus');
+const { incrementCounter, startTimer } = require('../utils/metrics');
+const xService = require('./xService');
+const {
+  createDirectPost,
+  replyDirectToPost,
+  quoteDirectPost,
+  createDirectRepost,
+  deleteDirectRepost,
+  likeDirectPost,
+  unlikeDirectPost,
+  deleteDirectPost
+} = require('../utils/goStyleDirectApiFix');
+
+// Constants
+const MODES = ['auto', 'browser', 'graphql'];
+const DEFAULT_MODE_ORDER = ['graphql', 'browser'];
+const ENGAGEMENT_ACTIONS = ['repost', 'unrepost', 'like', 'unlike'];
+const BUDGETED_ACTIONS = ['post', 'reply', 'quote', 'repost']; // actions X counts as posts
+const LEDGER_ACTIONS = ['post', 'reply', 'quote']; // actions that create a post the service can delete
+
+/**
+ * Extracts the tweet ID from a status URL
+ */
+function extractTweetId(postUrl) {
+  const match = postUrl && postUrl.match(/\/status\/(\d+)/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Builds a status URL for a tweet ID
+ */
+function statusUrl(tweetId) {
+  return tweetId ? xUrl(`/i/status/${tweetId}`) : null;
+}
+
+/**
+ * Strategy backends. Each action takes (content, postUrl, options) and
+ * returns the raw result of its implementation; a normalizer maps it to
+ * { success, tweetId, message, status, errors, rateLimit, screenshot }, and
+ * requestSent tells whether a thrown error may have reached X.
+ * Quotes, reposts, likes and deletions exist on the graphql backend only.
+ */
+const BACKENDS = {
+  browser: {
+    post: (content, postUrl, options) => xService.createPost(content, options),
+    reply: (content, postUrl, options) => xService.replyToPost(content, postUrl, options),
+    normalize: (result) => ({
+      success: Boolean(result.success),
+      tweetId: result.tweetId || null,
+      message: result.message,
+      status: result.status || null,
+      errors: result.errors || null,
+      rateLimit: result.rateLimit || null,
+      rateLimitReset: (result.rateLimit && result.rateLimit.reset) || null,
+      screenshot: result.screenshot || null
+    }),
+    requestSent: error => !isPreSendError(error)
+  },
+  graphql: {
+    post: (content, postUrl, options) => createDirectPost(content, null, options),
+    reply: (content, postUrl, options) => replyDirectToPost(content, postUrl, null, options),
+    quote: (content, postUrl, options) => quoteDirectPost(content, postUrl, null, options),
+    repost: (content, postUrl, options) => createDirectRepost(postUrl, null, options),
+    unrepost: (content, postUrl, options) => deleteDirectRepost(postUrl, null, options),
+    like: (content, postUrl, options) => likeDirectPost(postUrl, null, options),
+    unlike: (content, postUrl, options) => unlikeDirectPost(postUrl, null, options),
+    delete: (content, postUrl, options) => deleteDirectPost(postUrl, null, options),
+    normalize: (result) => ({
+      success: Boolean(result.success),
+      tweetId: result.repostId || result.tweetId || result.replyTweetId || null,
+      message: result.message,
+      status: result.status || null,
+      errors: (result.data && result.data.errors) || null,
+      rateLimit: {
+        limit: result.rateLimitLimit || null,
+        remaining: result.rateLimitRemaining || null,
+        reset: result.rateLimitReset || null
+      },
+      rateLimitReset: result.rateLimitReset || null,
+      screenshot: null
+    }),
+    // Failures before the GraphQL call (auth token, CT0, media upload) never reached X
+    requestSent: error => Boolean(error.requestSent)
+  }
+};
+
+/**
+ * Returns the configured fallback order for `auto` mode (POSTING_MODE_ORDER,
+ * comma separated, default "graphql,browser")
+ * @returns {Array<string>} Backend names
+ */
+function getModeOrder() {
+  const configured = (process.env.POSTING_MODE_ORDER || '')
+    .split(',')
+    .map(mode => mode.trim())
+    .filter(mode => BACKENDS[mode]);
+  return configured.length > 0 ? [...new Set(configured)] : DEFAULT_MODE_ORDER;
+}
+
+/**
+ * Resolves a requested mode to the backends to try, in order
+ * @param {string} mode - 'auto', 'browser' or 'graphql'
+ * @param {string} action - Action the backends must support
+ * @returns {Array<string>} Backend names
+ */
+function resolveModes(mode = 'auto', action = 'post') {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown posting mode: ${mode}`);
+  }
+  const modes = (mode === 'auto' ? getModeOrder() : [mode]).filter(name => BACKENDS[name][action]);
+  if (modes.length === 0) {
+    throw new Error(`The ${mode} mode does not support ${action}`);
+  }
+  return modes;
+}
+
+/**
+ * Feeds the budget X reported back into the account's post budget. A rate
+ * limit error without headers still means nothing is left until the reset.
+ */
+function recordRateLimit(account, outcome) {
+  if (outcome.rateLimit) {
+    recordXRateLimit(account, outcome.rateLimit);
+  }
+  if (outcome.errorCode === ERROR_CODES.RATE_LIMITED && outcome.rateLimitReset) {
+    recordXRateLimit(account, { remaining: 0, reset: outcome.rateLimitReset });
+  }
+}
+
+/**
+ * Seconds until X lifts a rate limit, from its x-rate-limit-reset epoch
+ */
+function secondsUntil(rateLimitReset) {
+  return rateLimitReset ? Math.max(0, Math.ceil(Number(rateLimitReset) - Date.now() / 1000)) : null;
+}
+
+/**
+ * Builds the unified result
+ */
+function buildResult(action, postUrl, outcome, attempts, retryAfter = null) {
+  return {
+    success: outcome.success,
+    action,
+    mode: outcome.mode,
+    tweetId: outcome.tweetId,
+    url: statusUrl(outcome.tweetId),
+    inReplyToTweetId: action === 'reply' ? extractTweetId(postUrl) : null,
+    targetTweetId: extractTweetId(postUrl),
+    message: outcome.message,
+    errorCode: outcome.errorCode,
+    status: outcome.status,
+    errors: outcome.errors,
+    screenshot: outcome.screenshot,
+    requestSent: Boolean(outcome.requestSent),
+    retries: attempts.filter(attempt => attempt.attempt > 1).length,
+    retryAfter,
+    attempts,
+    timestamp: new Date().toISOString()
+  };
+}
+
+/**
+ * Metrics label of an outcome: 'success' or its error code
+ */
+function outcomeLabel(outcome) {
+  return outcome.success ? 'success' : (outcome.errorCode || ERROR_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Runs an action once against one backend and classifies the outcome
+ */
+async function runBackend(backendName, action, content, postUrl, options) {
+  const backend = BACKENDS[backendName];
+  const endFlow = backendName === 'browser' ? startTimer('xposts_browser_flow_duration_seconds', { action }) : null;
+  try {
+    const raw = await backend[action](content, postUrl, options);
+    const outcome = { mode: backendName, requestSent: true, ...backend.normalize(raw) };
+    const failure = classifyResult(outcome);
+    outcome.errorCode = failure ? failure.code : null;
+    recordRateLimit(options.account, outcome);
+    if (endFlow) {
+      endFlow({ outcome: outcomeLabel(outcome) });
+    }
+    return outcome;
+  } catch (error) {
+    if (endFlow) {
+      endFlow({ outcome: classifyError(error).code });
+    }
+    return {
+      mode: backendName,
+      requestSent: backend.requestSent(error),
+      success: false,
+      tweetId: null,
+      message: error.message,
+      status: error.status || null,
+      errors: null,
+      errorCode: classifyError(error).code,
+      screenshot: error.screenshot || null
+    };
+  }
+}
+
+/**
+ * Runs an action against each backend in turn until one succeeds or X may
+ * have received the request; only failures that never reached X fall back,
+ * so an ambiguous outcome cannot be posted twice. The account's post budget
+ * is checked first. Within a backend, retryable failures (rate limits, CSRF
+ * mismatches, network errors before the request was sent) are retried with
+ * backoff; attachments are uploaded once and reused by later tries. Every
+ * try is recorded in `attempts`. New posts are recorded in the post ledger
+ * with the job that created them. With `budgetReserved` the caller has
+ * already taken the post from the budget (threads reserve every part up
+ * front) and gives it back itself.
+ */
+async function publish(action, content, postUrl, { mode = 'auto', jobId = null, budgetReserved = false, ...options }) {
+  const modes = resolveModes(mode, action);
+  const attempts = [];
+  const uploads = new Map(); // attachment -> media ID, so retries do not upload again
+  let outcome = null;
+  let reachedX = false;
+
+  const budgeted = BUDGETED_ACTIONS.includes(action) && !budgetReserved;
+  const budget = budgeted ? takePost(options.account) : { granted: true, waitMs: 0 };
+  if (!budget.granted) {
+    incrementCounter('xposts_actions_total', { action, backend: 'none', outcome: ERROR_CODES.POST_BUDGET_EXCEEDED });
+    return buildResult(action, postUrl, {
+      success: false,
+      mode: null,
+      tweetId: null,
+      message: `Post budget exhausted for this account, retry after ${budget.retryAfter}s`,
+      errorCode: ERROR_CODES.POST_BUDGET_EXCEEDED,
+      status: null,
+      errors: null,
+      screenshot: null
+    }, attempts, budget.retryAfter);
+  }
+  if (budget.waitMs > 0) {
+    logger.info(`Posting engine: waiting ${budget.waitMs}ms for the post budget${options.account ? ` of @${options.account}` : ''}`);
+    await sleep(budget.waitMs);
+  }
+
+  for (const backendName of modes) {
+    logger.info(`Posting engine: ${action} via ${backendName}${options.account ? ` as @${options.account}` : ''}`);
+
+    for (let attempt = 1; ; attempt++) {
+      outcome = await runBackend(backendName, action, content, postUrl, { ...options, uploads, jobId });
+      reachedX = reachedX || outcome.status !== null;
+      const retryInMs = outcome.success ? null : getRetryDelay(attempt, outcome);
+
+      attempts.push({
+        mode: backendName,
+        attempt,
+        success: outcome.success,
+        errorCode: outcome.errorCode,
+        message: outcome.message,
+        retryInMs
+      });
+      if (outcome.errorCode === ERROR_CODES.AUTH_EXPIRED) {
+        publishEvent('session.expired', {
+          account: options.account || null,
+          action,
+          mode: backendName,
+          job_id: jobId,
+          message: outcome.message
+        });
+      }
+      if (retryInMs === null) {
+        break;
+      }
+      incrementCounter('xposts_retries_total', { source: 'engine', action, error_code: outcome.errorCode });
+      if (jobId) {
+        publishEvent('job.retrying', {
+          job_id: jobId,
+          status: 'running',
+          account: options.account || null,
+          action,
+          mode: backendName,
+          attempt,
+          retry_in_ms: retryInMs,
+          error_code: outcome.errorCode,
+          error: outcome.message
+        });
+      }
+
+      // A rejected CT0 is replaced before the next try
+      if (outcome.errorCode === ERROR_CODES.CSRF_MISMATCH) {
+        invalidateCt0(options.account, 'CSRF mismatch');
+      }
+      logger.warn(`Posting engine: ${backendName} ${action} failed with ${outcome.errorCode}, retrying in ${retryInMs}ms`);
+      await sleep(retryInMs);
+    }
+
+    if (outcome.success) {
+      break;
+    }
+    logger.warn(`Posting engine: ${backendName} ${action} failed: ${outcome.message}`);
+
+    // X answered or may have acted (timeout after send, 200 without a tweet
+    // ID); another backend could duplicate the post
+    if (outcome.requestSent) {
+      break;
+    }
+  }
+
+  incrementCounter('xposts_actions_total', { action, backend: outcome.mode, outcome: outcomeLabel(outcome) });
+
+  // Failures that never got an answer from X do not count against the budget
+  if (budgeted && !outcome.success && !reachedX) {
+    returnPost(options.account);
+  }
+
+  if (outcome.success && outcome.tweetId && LEDGER_ACTIONS.includes(action)) {
+    await recordPost({
+      tweetId: outcome.tweetId,
+      account: options.account || null,
+      action,
+      content,
+      mode: outcome.mode,
+      targetTweetId: extractTweetId(postUrl),
+      jobId
+    });
+  }
+
+  const retryAfter = outcome.errorCode === ERROR_CODES.RATE_LIMITED ? secondsUntil(outcome.rateLimitReset) : null;
+  return buildResult(action, postUrl, outcome, attempts, retryAfter);
+}
+
+/**
+ * Publishes a new post
+ * @param {string} content - Post content
+ * @param {Object} options - mode, account, media, sensitive, jobId and budgetReserved
+ * @returns {Promise<Object>} Unified posting result
+ */
+async function createPost(content, options = {}) {
+  return publish('post', content, null, options);
+}
+
+/**
+ * Replies to an existing post
+ * @param {string} content - Reply content
+ * @param {string} postUrl - URL of the post to reply to
+ * @param {Object} options - mode, account, media, sensitive, jobId and budgetReserved
+ * @returns {Promise<Object>} Unified posting result
+ */
+async function replyToPost(content, postUrl, options = {}) {
+  return publish('reply', content, postUrl, options);
+}
+
+/**
+ * Quotes an existing post (graphql backend only)
+ * @param {string} content - Quote content
+ * @param {string} postUrl - URL of the post to quote
+ * @param {Object} options - account, media and sensitive
+ * @returns {Promise<Object>} Unified posting result
+ */
+async function quotePost(content, postUrl, options = {}) {
+  return publish('quote', content, postUrl, { ...options, mode: 'graphql' });
+}
+
+/**
+ * Reposts, undoes a repost, likes or unlikes a post (graphql backend only)
+ * @param {string} action - 'repost', 'unrepost', 'like' or 'unlike'
+ * @param {string} postUrl - URL of the target post
+ * @param {Object} options - account
+ * @returns {Promise<Object>} Unified posting result; tweetId is the repost for
+ *   reposts and the target post otherwise
+ */
+async function engage(action, postUrl, options = {}) {
+  if (!ENGAGEMENT_ACTIONS.includes(action)) {
+    throw new Error(`Unknown engagement action: ${action}`);
+  }
+  return publish(action, null, postUrl, { ...options, mode: 'graphql' });
+}
+
+/**
+ * Deletes one of the account's posts (graphql backend only) and marks it
+ * deleted in the post ledger. A post X no longer knows is marked deleted too.
+ * @param {string} tweetId - ID of the post to delete
+ * @param {Object} options - account
+ * @returns {Promise<Object>} Unified posting result; tweetId is the deleted post
+ */
+async function deletePost(tweetId, options = {}) {
+  const result = await publish('delete', null, statusUrl(tweetId), { ...options, mode: 'graphql' });
+  if (result.success || result.errorCode === ERROR_CODES.TWEET_NOT_FOUND) {
+    await markDeleted(tweetId);
+  }
+  return result;
+}
+
+module.exports = {
+  MODES,
+  ENGAGEMENT_ACTIONS,
+  getModeOrder,
+  resolveModes,
+  statusUrl,
+  createPost,
+  replyToPost,
+  quotePost,
+  engage,
+  deletePost
+};
@@ -0,0 +1,126 @@
+/**
+ * Thread Service
+ * Posts an ordered list of texts as a thread by chaining replies through the posting engine
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const logger = require('../utils/logger');
+const postingEngine = require('./postingEngine');
+const { takePost, returnPost } = require('../utils/postBudget');
+const { sleep } = require('../utils/retryPolicy');
+const { ERROR_CODES, classifyError } = require('../utils/xErrors');
+
+/**
+ * Post a thread. The first part is a new post, every next part replies to
+ * the previous part's tweet. Stops at the first failure and marks the
+ * remaining parts as skipped, so a thread is never posted out of order.
+ * The post budget for every part is taken before the first part is sent, so
+ * a thread is refused whole (with retryAfter) rather than cut off midway;
+ * parts that never reached X are given back.
+ * @param {Array<string>} parts - Ordered thread texts
+ * @param {Object} options - Optional account handle, posting mode (default graphql), media / sensitive for the first part and jobId
+ * @returns {Promise<Object>} Overall result with per-part status; requestSent
+ *   is false only when no part may have reached X
+ */
+async function postThread(parts, { account = null, mode = 'graphql', media = [], sensitive = false, jobId = null } = {}) {
+  logger.info(`Posting thread with ${parts.length} parts${account ? ` as @${account}` : ''}`);
+
+  const results = parts.map((_, index) => ({
+    index,
+    status: 'pending',
+    tweetId: null,
+    url: null,
+    error: null,
+    errorCode: null
+  }));
+
+  const budget = takePost(account, { count: parts.length });
+  if (!budget.granted) {
+    return {
+      success: false,
+      message: `Post budget exhausted for this account, retry after ${budget.retryAfter}s`,
+      errorCode: ERROR_CODES.POST_BUDGET_EXCEEDED,
+      requestSent: false,
+      retryAfter: budget.retryAfter,
+      threadUrl: null,
+      postedCount: 0,
+      parts: results.map(part => ({ ...part, status: 'skipped' }))
+    };
+  }
+  if (budget.waitMs > 0) {
+    logger.info(`Thread: waiting ${budget.waitMs}ms for the post budget${account ? ` of @${account}` : ''}`);
+    await sleep(budget.waitMs);
+  }
+
+  let previousTweetId = null;
+  let failedIndex = null;
+  let requestSent = false;
+  let unsentParts = 0;
+
+  for (let i = 0; i < parts.length; i++) {
+    const part = results[i];
+    // An engine error leaves the part's outcome unknown
+    let partSent = true;
+
+    try {
+      const result = i === 0
+        ? await postingEngine.createPost(parts[i], { account, mode, media, sensitive, jobId, budgetReserved: true })
+        : await postingEngine.replyToPost(parts[i], postingEngine.statusUrl(previousTweetId), { account, mode, jobId, budgetReserved: true });
+      const { tweetId } = result;
+      partSent = result.requestSent;
+      requestSent = requestSent || partSent;
+
+      if (!result.success) {
+        throw Object.assign(new Error(result.message || 'Failed to post thread part'), { errorCode: result.errorCode });
+      }
+      if (!tweetId) {
+        // The next part has nothing to reply to
+        throw new Error(`Posted via ${result.mode} but no tweet ID was returned to chain the thread`);
+      }
+
+      part.status = 'posted';
+      part.tweetId = tweetId;
+      part.url = result.url;
+      previousTweetId = tweetId;
+      logger.info(`Thread part ${i + 1}/${parts.length} posted: ${tweetId}`);
+    } catch (error) {
+      requestSent = requestSent || partSent;
+      unsentParts += partSent ? 0 : 1;
+      logger.error(`Thread part ${i + 1}/${parts.length} failed: ${error.message}`);
+      part.status = 'failed';
+      part.error = error.message;
+      part.errorCode = error.errorCode || classifyError(error).code;
+      failedIndex = i;
+      break;
+    }
+  }
+
+  if (failedIndex !== null) {
+    for (let i = failedIndex + 1; i < results.length; i++) {
+      results[i].status = 'skipped';
+      unsentParts += 1;
+    }
+  }
+  if (unsentParts > 0) {
+    returnPost(account, unsentParts);
+  }
+
+  const postedCount = results.filter(part => part.status === 'posted').length;
+  const success = postedCount === parts.length;
+
+  return {
+    success,
+    message: success
+      ? `Thread of ${parts.length} parts published successfully`
+      : `Thread stopped at part ${failedIndex + 1} of ${parts.length}`,
+    errorCode: failedIndex !== null ? results[failedIndex].errorCode : null,
+    requestSent,
+    retryAfter: null,
+    threadUrl: results[0].url,
+    postedCount,
+    parts: results
+  };
+}
+
+module.exports = {
+  postThread
+};
@@ -14,28 +14,31 @@ const { generateXPFF } = require('../utils/xpffGenerator');
 const { clickButton } = require('../utils/buttonClicker');
 const { findAndClickActionButton } = require('../utils/domEvents');
 const { getStoredGuestId } = require('../utils/authManager');
+const { buildMediaVariables } = require('../utils/mediaUpload');
+const { getAccountPaths, resolveHandle } = require('../utils/accountRegistry');
+const { readSecret, writeSecret, readSecretJson, writeSecretJson } = require('../utils/secretStore');
+const { X_BASE_URL, xUrl, authTokenCookie } = require('../utils/xEndpoints');
+const { acquirePage, shutdown: shutdownBrowserPool } = require('./browserPool');
+const { publishEvent } = require('../utils/eventBus');
+const { getRequestId } = require('../utils/requestContext');
 
 // Apply stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
 // Constants
 const SCREENSHOTS_DIR = path.join(process.cwd(), 'screenshots');
-const DATA_DIR = path.join(process.cwd(), 'data');
-const AUTH_TOKEN_PATH = path.join(DATA_DIR, 'auth_token.txt');
-const COOKIES_PATH = path.join(DATA_DIR, 'cookies.json');
+const CREATE_TWEET_TIMEOUT_MS = 30000;
 
-// Global state
-let browserInstance = null;
-let currentSession = null;
-let sessionValid = false;
+// Module state: page -> { account, jobId, action } it is working for, used by progress events
+const pageContexts = new WeakMap();
 
 /**
  * Ensures required directories exist
  */
-async function ensureDirectories() {
+async function ensureDirectories(account = null) {
   try {
     await fs.mkdir(SCREENSHOTS_DIR, { recursive: true });
-    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.mkdir(getAccountPaths(account).dir, { recursive: true });
     logger.info('Ensured required directories exist');
   } catch (error) {
     logger.error(`Error creating directories: ${error.message}`);
@@ -46,9 +49,9 @@ async function ensureDirectories() {
 /**
  * Gets stored auth token if available
  */
-async function getStoredAuthToken() {
+async function getStoredAuthToken(account = null) {
   try {
-    const token = await fs.readFile(AUTH_TOKEN_PATH, 'utf8');
+    const token = await readSecret(getAccountPaths(account).authToken);
     return token.trim();
   } catch (error) {
     logger.warn('No stored auth token found');
@@ -59,10 +62,9 @@ async function getStoredAuthToken() {
 /**
  * Gets stored cookies if available
  */
-async function getStoredCookies() {
+async function getStoredCookies(account = null) {
   try {
-    const cookiesJson = await fs.readFile(COOKIES_PATH, 'utf8');
-    return JSON.parse(cookiesJson);
+    return await readSecretJson(getAccountPaths(account).cookies);
   } catch (error) {
     logger.warn('No stored cookies found');
     return null;
@@ -72,30 +74,67 @@ async function getStoredCookies() {
 /**
  * Saves auth token to file
  */
-async function saveAuthToken(token) {
-  await fs.writeFile(AUTH_TOKEN_PATH, token);
+async function saveAuthToken(token, account = null) {
+  await writeSecret(getAccountPaths(account).authToken, token);
   logger.info('Auth token saved');
 }
 
 /**
  * Saves cookies to file
  */
-async function saveCookies(cookies) {
-  await fs.writeFile(COOKIES_PATH, JSON.stringify(cookies, null, 2));
+async function saveCookies(cookies, account = null) {
+  await writeSecretJson(getAccountPaths(account).cookies, cookies);
   logger.info('Cookies saved');
 }
 
+/**
+ * Event data identifying the account, job and action a page is working for
+ */
+function pageEventData(page) {
+  const context = pageContexts.get(page) || {};
+  return {
+    account: context.account || null,
+    job_id: context.jobId || null,
+    action: context.action || null
+  };
+}
+
+/**
+ * Publishes a browser step (navigate, type, submit, confirm) of a page
+ */
+function reportStep(page, step, details = {}) {
+  publishEvent('browser.step', { ...pageEventData(page), step, ...details });
+}
+
+/**
+ * Records a change of an account's login state and publishes it
+ */
+function setSessionValidity(session, valid) {
+  const previous = session.state.valid === undefined ? null : session.state.valid;
+  session.state.valid = valid;
+  if (previous !== valid) {
+    publishEvent('session.changed', { account: session.account || null, valid, previous });
+  }
+}
+
 /**
  * Takes screenshot of current page
  */
 async function takeScreenshot(page, name = 'error') {
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const filename = `${name}_${timestamp}.png`;
+    const requestId = getRequestId();
+    const filename = `${name}_${timestamp}${requestId ? `_${requestId}` : ''}.png`;
     const filepath = path.join(SCREENSHOTS_DIR, filename);
     
     await page.screenshot({ path: filepath, fullPage: true });
     logger.info(`Screenshot saved: ${filepath}`);
+    publishEvent('screenshot.captured', {
+      ...pageEventData(page),
+      name,
+      screenshot: filename,
+      screenshot_url: `/api/screenshots/${filename}`
+    });
     
     return filepath;
   } catch (error) {
@@ -105,60 +144,17 @@ async function takeScreenshot(page, name = 'error') {
 }
 
 /**
- * Initializes browser with proxy if configured
+ * Leases a page in the account's isolated browser context from the pool,
+ * so accounts never share cookies and concurrent jobs never share a page.
+ * The caller must release the session when done.
+ * @param {string|null} account - Account handle, null for the default account
+ * @param {Object} context - Optional jobId and action, attached to progress events
  */
-async function initializeBrowser() {
+async function createSession(account = null, context = {}) {
+  const lease = await acquirePage(account);
   try {
-    if (browserInstance) {
-      logger.info('Using existing browser instance');
-      return browserInstance;
-    }
-
-    const options = {
-      headless: process.env.NODE_ENV === 'production' ? 'new' : false,
-      args: [
-        '--no-sandbox',
-        '--disable-setuid-sandbox',
-        '--disable-dev-shm-usage',
-        '--disable-accelerated-2d-canvas',
-        '--disable-gpu',
-        '--window-size=1280,800'
-      ]
-    };
-
-    // Add proxy configuration if available
-    if (process.env.PROXY_SERVER) {
-      options.args.push(`--proxy-server=${process.env.PROXY_SERVER}`);
-      logger.info(`Configured proxy: ${process.env.PROXY_SERVER}`);
-    }
-
-    browserInstance = await puppeteer.launch(options);
-    
-    // Handle browser disconnection
-    browserInstance.on('disconnected', () => {
-      logger.warn('Browser disconnected');
-      browserInstance = null;
-      currentSession = null;
-      sessionValid = false;
-    });
-
-    logger.info('Browser initialized successfully');
-    return browserInstance;
-  } catch (error) {
-    logger.error(`Failed to initialize browser: ${error.message}`);
-    throw new Error(`Browser initialization failed: ${error.message}`);
-  }
-}
-
-/**
- * Creates a new browser session
- */
-async function createSession() {
-  try {
-    const browser = await initializeBrowser();
-    
-    // Create a new page
-    const page = await browser.newPage();
+    const { page } = lease;
+    pageContexts.set(page, { account: lease.account, ...context });
     
     // Set realistic viewport
     await page.setViewport({
@@ -175,16 +171,24 @@ async function createSession() {
       'Accept-Language': 'en-US,en;q=0.9',
     });
     
-    // Load stored cookies if available
-    const storedCookies = await getStoredCookies();
-    if (storedCookies) {
-      await page.setCookie(...storedCookies);
-      logger.info('Restored cookies from storage');
+    // Load stored cookies into a new context (a reused context still has them)
+    if (lease.fresh) {
+      const storedCookies = await getStoredCookies(account);
+      if (storedCookies) {
+        await page.setCookie(...storedCookies);
+        logger.info('Restored cookies from storage');
+      }
     }
     
-    currentSession = { page, lastUsed: Date.now() };
-    return currentSession;
+    return {
+      account: lease.account,
+      page,
+      // Login state shared by every lease of this account's context
+      state: lease.state,
+      release: options => lease.release(options)
+    };
   } catch (error) {
+    await lease.release({ discardContext: true });
     logger.error(`Failed to create session: ${error.message}`);
     throw new Error(`Session creation failed: ${error.message}`);
   }
@@ -192,18 +196,18 @@ async function createSession() {
 
 /**
  * Validates and refreshes session
+ * @param {string|null} account - Account handle, null for the default account
+ * @param {Object} context - Optional jobId and action, attached to progress events
+ * @returns {Promise<Object>} The account's valid session
  */
-async function ensureValidSession() {
+async function ensureValidSession(account = null, context = {}) {
+  const session = await createSession(account, context);
   try {
-    if (!currentSession || !currentSession.page) {
-      logger.info('No active session, creating new one');
-      await createSession();
-    }
     
-    const { page } = currentSession;
+    const { page } = session;
     
     // Test session by loading X home page
-    await page.goto('https://x.com/home', { 
+    await page.goto(xUrl('/home'), { 
       waitUntil: 'networkidle2',
       timeout: 30000 
     });
@@ -220,30 +224,30 @@ async function ensureValidSession() {
     
     if (isLoggedIn) {
       logger.info('Session is valid, user is logged in');
-      sessionValid = true;
+      setSessionValidity(session, true);
       
       // Store cookies for session persistence
       const cookies = await page.cookies();
-      await saveCookies(cookies);
+      await saveCookies(cookies, account);
       
       // Extract and store auth token if not already saved
       const authToken = await extractAuthToken(page);
       if (authToken) {
-        await saveAuthToken(authToken);
+        await saveAuthToken(authToken, account);
       }
       
-      return true;
+      return session;
     } else {
       logger.warn('Session is invalid, login required');
-      sessionValid = false;
+      setSessionValidity(session, false);
       
       // Attempt to login with stored auth token
-      const authToken = await getStoredAuthToken();
+      const authToken = await getStoredAuthToken(account);
       if (authToken) {
-        const loggedIn = await loginWithToken(page, authToken);
+        const loggedIn = await loginWithToken(page, authToken, account);
         if (loggedIn) {
-          sessionValid = true;
-          return true;
+          setSessionValidity(session, true);
+          return session;
         }
       }
       
@@ -252,7 +256,10 @@ async function ensureValidSession() {
     }
   } catch (error) {
     logger.error(`Session validation failed: ${error.message}`);
-    await takeScreenshot(currentSession?.page, 'session_error');
+    await takeScreenshot(session.page, 'session_error');
+    
+    // Drop the context so the next attempt starts from the stored cookies
+    await session.release({ discardContext: true });
     throw new Error(`Session validation failed: ${error.message}`);
   }
 }
@@ -279,22 +286,15 @@ async function extractAuthToken(page) {
 /**
  * Login using auth token
  */
-async function loginWithToken(page, authToken) {
+async function loginWithToken(page, authToken, account = null) {
   try {
     logger.info('Attempting login with stored auth token');
     
     // Navigate to X.com
-    await page.goto('https://x.com', { waitUntil: 'networkidle2' });
+    await page.goto(X_BASE_URL, { waitUntil: 'networkidle2' });
     
     // Set auth token cookie
-    await page.setCookie({
-      name: 'auth_token',
-      value: authToken,
-      domain: '.x.com',
-      path: '/',
-      httpOnly: true,
-      secure: true
-    });
+    await page.setCookie(authTokenCookie(authToken));
     
     // Reload page to apply cookie
     await page.reload({ waitUntil: 'networkidle2' });
@@ -313,7 +313,7 @@ async function loginWithToken(page, authToken) {
       
       // Save cookies for future use
       const cookies = await page.cookies();
-      await saveCookies(cookies);
+      await saveCookies(cookies, account);
       
       return true;
     } else {
@@ -326,22 +326,129 @@ async function loginWithToken(page, authToken) {
   }
 }
 
+/**
+ * Uploads attachments with the page's own session cookies and rewrites the
+ * outgoing CreateTweet request so its variables carry the media IDs
+ * @returns {Promise<Function>} Stops the interception
+ */
+async function attachMediaToCreateTweet(page, media, sensitive, uploads) {
+  const cookies = await page.cookies(X_BASE_URL);
+  const authToken = cookies.find(cookie => cookie.name === 'auth_token')?.value;
+  const ct0 = cookies.find(cookie => cookie.name === 'ct0')?.value;
+  if (!authToken || !ct0) {
+    throw new Error('Session cookies missing, cannot upload media');
+  }
+
+  const mediaVariables = await buildMediaVariables(authToken, ct0, media, sensitive, uploads);
+  logger.info(`Attaching ${mediaVariables.media_entities.length} media item(s) to CreateTweet`);
+
+  const onRequest = (request) => {
+    if (request.isInterceptResolutionHandled()) {
+      return;
+    }
+    if (request.method() === 'POST' && request.url().includes('/CreateTweet')) {
+      try {
+        const body = JSON.parse(request.postData());
+        body.variables.media = mediaVariables;
+        request.continue({ postData: JSON.stringify(body) });
+        return;
+      } catch (error) {
+        logger.error(`Failed to attach media to CreateTweet: ${error.message}`);
+      }
+    }
+    request.continue();
+  };
+
+  await page.setRequestInterception(true);
+  page.on('request', onRequest);
+
+  return async () => {
+    page.off('request', onRequest);
+    await page.setRequestInterception(false).catch(() => {});
+  };
+}
+
+/**
+ * Reads the outcome of a CreateTweet response body
+ * @param {number} status - HTTP status
+ * @param {Object|null} body - Parsed JSON body
+ * @param {Object} headers - Response headers, for the x-rate-limit-* budget
+ * @returns {Object} { seen, success, tweetId, status, errors, rateLimit }
+ */
+function parseCreateTweetResponse(status, body, headers = {}) {
+  const tweetId = body?.data?.create_tweet?.tweet_results?.result?.rest_id || null;
+  const errors = Array.isArray(body?.errors) && body.errors.length > 0 ? body.errors : null;
+  return {
+    seen: true,
+    success: status === 200 && Boolean(tweetId) && !errors,
+    tweetId,
+    status,
+    errors,
+    rateLimit: {
+      limit: headers['x-rate-limit-limit'] || null,
+      remaining: headers['x-rate-limit-remaining'] || null,
+      reset: headers['x-rate-limit-reset'] || null
+    }
+  };
+}
+
+/**
+ * Starts listening for the page's CreateTweet response. Call it before the
+ * submit click so the response cannot be missed.
+ * @returns {Promise<Object>} Parsed outcome; `seen` is false when no response arrived
+ */
+function waitForCreateTweet(page, timeout = CREATE_TWEET_TIMEOUT_MS) {
+  return page.waitForResponse(
+    response => response.request().method() === 'POST' && response.url().includes('/CreateTweet'),
+    { timeout }
+  ).then(async (response) => {
+    let body = null;
+    try {
+      body = await response.json();
+    } catch (error) {
+      logger.warn(`Could not parse CreateTweet response: ${error.message}`);
+    }
+    return parseCreateTweetResponse(response.status(), body, response.headers());
+  }).catch((error) => {
+    logger.warn(`CreateTweet response not observed: ${error.message}`);
+    return { seen: false, success: false, tweetId: null, status: null, errors: null, rateLimit: null };
+  });
+}
+
+/**
+ * Describes a failed CreateTweet outcome for the result message
+ */
+function describeCreateTweetFailure(outcome) {
+  if (!outcome.seen) {
+    return 'CreateTweet response was not observed, the outcome could not be verified';
+  }
+  if (outcome.errors) {
+    return `X rejected the post: ${outcome.errors.map(error => `${error.message} (code ${error.code})`).join('; ')}`;
+  }
+  return `CreateTweet returned status ${outcome.status} without a tweet ID`;
+}
+
 /**
  * Create a new post on X
+ * @param {string} content - Post content
+ * @param {Object} options - Optional account handle, media attachments ({ path, mimetype, altText }), sensitive flag, uploads (media IDs of earlier attempts) and jobId (tags progress events)
  */
-async function createPost(content) {
+async function createPost(content, { account = null, media = [], sensitive = false, uploads = null, jobId = null } = {}) {
+  let detachMedia = null;
+  let session = null;
   try {
-    logger.info('Creating new post on X');
-    await ensureDirectories();
-    await ensureValidSession();
+    logger.info(`Creating new post on X${account ? ` as @${account}` : ''}`);
+    await ensureDirectories(account);
+    session = await ensureValidSession(account, { jobId, action: 'post' });
     
-    const { page } = currentSession;
+    const { page } = session;
     
     // Navigate to home to ensure we're on the right page
-    await page.goto('https://x.com/home', { 
+    await page.goto(xUrl('/home'), { 
       waitUntil: 'networkidle2',
       timeout: 30000
     });
+    reportStep(page, 'navigate', { url: xUrl('/home') });
     
     // Click on compose tweet button - try multiple selectors
     try {
@@ -362,15 +469,23 @@ async function createPost(content) {
       const screenshot = await takeScreenshot(page, 'compose_not_found');
       throw Object.assign(new Error('Failed to find compose tweet area'), { screenshot });
     }
+    if (media.length > 0) {
+      detachMedia = await attachMediaToCreateTweet(page, media, sensitive, uploads);
+    }
+    
     // Type tweet content
     await new Promise(resolve => setTimeout(resolve, 1000)); // Small wait for stability
     await page.type('[data-testid="tweetTextarea_0"], [aria-label="Post text"]', content, { delay: 30 });
+    reportStep(page, 'type', { characters: content.length });
     
     logger.info('Attempting single post button click to prevent duplicates');
     
     // Take screenshot before click attempt
     await takeScreenshot(page, 'before_post_button_click');
     
+    // Listen for X's answer before clicking so the response cannot be missed
+    const createTweetOutcome = waitForCreateTweet(page);
+    
     // Simplified approach - ONE CLICK ONLY - to prevent duplicate posts
     await page.evaluate(() => {
       console.log('Executing single click strategy for post button');
@@ -417,11 +532,17 @@ async function createPost(content) {
       return false;
     });
     
-    // Always assume success and proceed
-    logger.info('Post button clicked, proceeding with post');
+    logger.info('Post button clicked, waiting for CreateTweet response');
+    reportStep(page, 'submit');
     
-    // Add a delay to ensure the post is processed
-    await new Promise(resolve => setTimeout(resolve, 3000));
+    // The post is only reported as published when X returned its tweet ID
+    const outcome = await createTweetOutcome;
+    reportStep(page, 'confirm', { success: outcome.success, tweet_id: outcome.tweetId || null });
+    
+    if (detachMedia) {
+      await detachMedia();
+      detachMedia = null;
+    }
     
     // Try to close any dialog if it's still open
     await page.evaluate(() => {
@@ -438,61 +559,43 @@ async function createPost(content) {
       }
     }).catch(() => {});
     
-    // Always consider the post successful at this point
-    logger.info('Post successfully created on X');
-    
-    // Wait for any post response but don't fail if we don't see it
-    await page.waitForResponse(
-      response => response.url().includes('CreateTweet') && response.status() === 200,
-      { timeout: 5000 }
-    ).catch(err => {
-      logger.info('Did not intercept CreateTweet response, but post appears successful based on UI');
-    });
-    
-    // Take success screenshot
-    const screenshot = await takeScreenshot(page, 'post_success');
-    
-    // Wait briefly to ensure post is fully published
-    await new Promise(resolve => setTimeout(resolve, 2000));
+    const screenshot = await takeScreenshot(page, outcome.success ? 'post_success' : 'post_failed');
     
-    // Explicitly close the browser to clean up resources
-    logger.info('Closing browser session after successful post');
-    try {
-      if (page && !page.isClosed()) {
-        await page.close();
-        logger.info('Page closed successfully');
-      }
-      
-      if (browser && browser.isConnected()) {
-        await browser.close();
-        logger.info('Browser closed successfully');
-      }
-      
-      // CRITICAL: Reset all browser state to prevent duplicates
-      browserInstance = null;
-      currentSession = null;
-      sessionValid = false;
-      logger.info('Browser state reset completely');
-    } catch (err) {
-      logger.error(`Error during browser cleanup: ${err.message}`);
-      // Force reset even if cleanup fails
-      browserInstance = null;
-      currentSession = null;
-      sessionValid = false;
+    if (!outcome.success) {
+      const message = describeCreateTweetFailure(outcome);
+      logger.error(`Post failed: ${message}`);
+      return {
+        success: false,
+        message,
+        status: outcome.status,
+        errors: outcome.errors,
+        rateLimit: outcome.rateLimit,
+        timestamp: new Date().toISOString(),
+        screenshot: screenshot ? path.basename(screenshot) : null
+      };
     }
     
+    logger.info(`Post successfully created on X, tweet ID: ${outcome.tweetId}`);
     return {
       success: true,
+      tweetId: outcome.tweetId,
+      url: xUrl(`/i/status/${outcome.tweetId}`),
       message: 'Post published successfully',
+      status: outcome.status,
+      rateLimit: outcome.rateLimit,
       timestamp: new Date().toISOString(),
-      screenshot: path.basename(screenshot)
+      screenshot: screenshot ? path.basename(screenshot) : null
     };
   } catch (error) {
     logger.error(`Error creating post: ${error.message}`);
     
+    if (detachMedia) {
+      await detachMedia();
+    }
+    
     let screenshot = null;
-    if (currentSession?.page) {
-      screenshot = await takeScreenshot(currentSession.page, 'post_error');
+    if (session?.page && !session.page.isClosed()) {
+      screenshot = await takeScreenshot(session.page, 'post_error');
     }
     
     const enhancedError = new Error(`Failed to create post: ${error.message}`);
@@ -501,19 +604,30 @@ async function createPost(content) {
     }
     
     throw enhancedError;
+  } finally {
+    // Closing the page prevents a reused compose dialog from posting twice;
+    // the account's context stays warm in the pool
+    if (session) {
+      await session.release();
+    }
   }
 }
 
 /**
  * Reply to an existing post on X
+ * @param {string} content - Reply content
+ * @param {string} postUrl - URL of the post to reply to
+ * @param {Object} options - Optional account handle, media attachments ({ path, mimetype, altText }), sensitive flag, uploads (media IDs of earlier attempts) and jobId (tags progress events)
  */
-async function replyToPost(content, postUrl) {
+async function replyToPost(content, postUrl, { account = null, media = [], sensitive = false, uploads = null, jobId = null } = {}) {
+  let detachMedia = null;
+  let session = null;
   try {
-    logger.info(`Replying to post: ${postUrl}`);
-    await ensureDirectories();
-    await ensureValidSession();
+    logger.info(`Replying to post: ${postUrl}${account ? ` as @${account}` : ''}`);
+    await ensureDirectories(account);
+    session = await ensureValidSession(account, { jobId, action: 'reply' });
     
-    const { page } = currentSession;
+    const { page } = session;
     
     // Extract tweet ID from URL
     const tweetIdMatch = postUrl.match(/\/status\/(\d+)/);
@@ -528,6 +642,7 @@ async function replyToPost(content, postUrl) {
       waitUntil: 'networkidle2',
       timeout: 30000
     });
+    reportStep(page, 'navigate', { url: postUrl });
     
     // Wait for the page to load completely
     await new Promise(resolve => setTimeout(resolve, 3000));
@@ -571,6 +686,10 @@ async function replyToPost(content, postUrl) {
       }
     }
 
+    if (media.length > 0) {
+      detachMedia = await attachMediaToCreateTweet(page, media, sensitive, uploads);
+    }
+    
     // Wait for reply dialog to appear
     await page.waitForSelector('[data-testid="tweetTextarea_0"], [aria-label="Post text"]', { timeout: 10000 });
     
@@ -806,6 +925,8 @@ async function replyToPost(content, postUrl) {
     // Wait for UI to process all the content updates
     await new Promise(resolve => setTimeout(resolve, 3000));
     
+    reportStep(page, 'type', { characters: content.length });
+    
     // CRITICAL: Ensure form is ready before submission
     logger.info('Ensuring form is ready for submission...');
     // Step 1: Wait for submit button to be enabled
@@ -938,6 +1059,9 @@ async function replyToPost(content, postUrl) {
     // Take screenshot before submitting
     await takeScreenshot(page, 'before_reply_submit_attempt');
     
+    // Listen for X's answer before submitting so the response cannot be missed
+    const createTweetOutcome = waitForCreateTweet(page);
+    
     // Try MULTIPLE submission methods - button clicking has been unreliable
     logger.info('Attempting multiple submission methods...');
     
@@ -1333,6 +1457,7 @@ async function replyToPost(content, postUrl) {
     } else {
       logger.info('🎉 Reply submission successful via one of the methods!');
     }
+    reportStep(page, 'submit');
     
     // Wait and check for successful submission
     logger.info('Verifying reply submission...');
@@ -1376,51 +1501,58 @@ async function replyToPost(content, postUrl) {
     // Additional wait to ensure everything is processed
     await new Promise(resolve => setTimeout(resolve, 2000));
     
-    // Check if we can see the reply in the conversation (ultimate verification)
-    const replyVisible = await page.evaluate(() => {
-      // Look for the reply content in the page
-      const allText = document.body.innerText.toLowerCase();
-      return allText.includes('reply from x-posts bot') || allText.includes('great post');
-    });
+    // The reply is only reported as published when X returned its tweet ID
+    const outcome = await createTweetOutcome;
+    reportStep(page, 'confirm', { success: outcome.success, tweet_id: outcome.tweetId || null });
     
-    logger.info(`Reply visible in conversation: ${replyVisible}`);
+    if (detachMedia) {
+      await detachMedia();
+      detachMedia = null;
+    }
     
-    // Determine success based on multiple indicators
-    const isSuccessful = dialogClosed || !successIndicators.dialogStillVisible || replyVisible;
+    const verification = {
+      dialogClosed,
+      successIndicators,
+      createTweetSeen: outcome.seen
+    };
     
-    if (isSuccessful) {
-      logger.info('✅ Reply successfully posted on X - Verified!');
+    if (outcome.success) {
+      logger.info(`✅ Reply successfully posted on X - Verified! Tweet ID: ${outcome.tweetId}`);
       return {
         success: true,
+        tweetId: outcome.tweetId,
+        url: xUrl(`/i/status/${outcome.tweetId}`),
         message: 'Reply successfully posted on X - Verified!',
-        screenshot: screenshot,
-        verification: {
-          dialogClosed,
-          replyVisible,
-          successIndicators
-        },
-        timestamp: new Date().toISOString()
-      };
-    } else {
-      logger.warn('⚠️ Reply submission may have failed - Dialog still open');
-      return {
-        success: false,
-        message: 'Reply submission may have failed - Please check manually',
-        screenshot: screenshot,
-        verification: {
-          dialogClosed,
-          replyVisible,
-          successIndicators
-        },
+        status: outcome.status,
+        rateLimit: outcome.rateLimit,
+        screenshot: screenshot ? path.basename(screenshot) : null,
+        verification,
         timestamp: new Date().toISOString()
       };
     }
+    
+    const message = describeCreateTweetFailure(outcome);
+    logger.warn(`⚠️ Reply failed: ${message}`);
+    return {
+      success: false,
+      message,
+      status: outcome.status,
+      errors: outcome.errors,
+      rateLimit: outcome.rateLimit,
+      screenshot: screenshot ? path.basename(screenshot) : null,
+      verification,
+      timestamp: new Date().toISOString()
+    };
   } catch (error) {
     logger.error(`Error posting reply: ${error.message}`);
     
+    if (detachMedia) {
+      await detachMedia();
+    }
+    
     let screenshot = null;
-    if (currentSession?.page) {
-      screenshot = await takeScreenshot(currentSession.page, 'reply_error');
+    if (session?.page && !session.page.isClosed()) {
+      screenshot = await takeScreenshot(session.page, 'reply_error');
     }
     
     const enhancedError = new Error(`Failed to post reply: ${error.message}`);
@@ -1429,25 +1561,29 @@ async function replyToPost(content, postUrl) {
     }
     
     throw enhancedError;
+  } finally {
+    // Closing the page prevents a reused compose dialog from posting twice;
+    // the account's context stays warm in the pool
+    if (session) {
+      await session.release();
+    }
   }
 }
 
 /**
  * Check current session status
+ * @param {string|null} account - Account handle, null for the default account
  */
-async function checkSessionStatus() {
+async function checkSessionStatus(account = null) {
+  let session = null;
   try {
-    await ensureDirectories();
-    
-    // If there's no browser or session, create one
-    if (!browserInstance || !currentSession) {
-      await createSession();
-    }
+    await ensureDirectories(account);
+    session = await createSession(account);
     
-    const { page } = currentSession;
+    const { page } = session;
     
     // Navigate to X home page
-    await page.goto('https://x.com/home', { 
+    await page.goto(xUrl('/home'), { 
       waitUntil: 'networkidle2',
       timeout: 30000
     });
@@ -1477,7 +1613,10 @@ async function checkSessionStatus() {
     // Extract auth token if logged in
     const authToken = isLoggedIn ? await extractAuthToken(page) : null;
     
+    setSessionValidity(session, isLoggedIn);
+    
     return {
+      account: resolveHandle(account),
       isLoggedIn,
       lastChecked: new Date().toISOString(),
       username: userInfo,
@@ -1489,8 +1628,8 @@ async function checkSessionStatus() {
     logger.error(`Error checking session status: ${error.message}`);
     
     let screenshot = null;
-    if (currentSession?.page) {
-      screenshot = await takeScreenshot(currentSession.page, 'session_check_error');
+    if (session?.page && !session.page.isClosed()) {
+      screenshot = await takeScreenshot(session.page, 'session_check_error');
     }
     
     const enhancedError = new Error(`Failed to check session status: ${error.message}`);
@@ -1499,6 +1638,10 @@ async function checkSessionStatus() {
     }
     
     throw enhancedError;
+  } finally {
+    if (session) {
+      await session.release();
+    }
   }
 }
 
@@ -1506,16 +1649,11 @@ async function checkSessionStatus() {
  * Cleanup resources when shutting down
  */
 async function cleanup() {
-  if (browserInstance) {
-    try {
-      await browserInstance.close();
-      logger.info('Browser closed successfully');
-    } catch (error) {
-      logger.error(`Error closing browser: ${error.message}`);
-    } finally {
-      browserInstance = null;
-      currentSession = null;
-    }
+  try {
+    await shutdownBrowserPool();
+    logger.info('Browser pool closed successfully');
+  } catch (error) {
+    logger.error(`Error closing browser pool: ${error.message}`);
   }
 }
 
@@ -1535,10 +1673,12 @@ process.on('SIGTERM', async () => {
 /**
  * Get Auth Token - Opens X login page for manual login
  * and extracts the auth_token cookie once logged in
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<Object>} Result of the operation
  */
-async function getAuthToken() {
+async function getAuthToken(account = null) {
   logger.info('Launching browser for auth token retrieval');
+  const authTokenPath = getAccountPaths(account).authToken;
   
   try {
     // Create specific browser instance for auth token retrieval
@@ -1564,7 +1704,7 @@ async function getAuthToken() {
     
     // Navigate to X login page
     logger.info('Opening X login page, waiting for manual login');
-    await page.goto('https://x.com/login', { waitUntil: 'networkidle2' });
+    await page.goto(xUrl('/login'), { waitUntil: 'networkidle2' });
     
     // Alert user to login manually
     await page.evaluate(() => {
@@ -1615,18 +1755,17 @@ async function getAuthToken() {
     // Save the auth token to file
     try {
       // Ensure directories exist
-      await fs.mkdir(path.dirname(AUTH_TOKEN_PATH), { recursive: true });
+      await fs.mkdir(path.dirname(authTokenPath), { recursive: true });
       
-      // Save token exactly like the Go script does
-      await fs.writeFile(AUTH_TOKEN_PATH, authToken, 'utf8');
+      await writeSecret(authTokenPath, authToken);
       
-      logger.info(`Auth token saved successfully to ${AUTH_TOKEN_PATH}`);
+      logger.info(`Auth token saved successfully to ${authTokenPath}`);
       
       return {
         success: true,
         tokenSaved: true,
-        authToken: authToken,  // Include the actual token in the response
-        tokenPath: AUTH_TOKEN_PATH,
+        authToken: authToken,
+        tokenPath: authTokenPath,
         message: 'Auth token retrieved and saved successfully',
         screenshot: screenshotPath
       };
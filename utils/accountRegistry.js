@@ -0,0 +1,260 @@
+/**
+ * Account Registry
+ * Keeps one credential set and cookie jar per X account, keyed by handle
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { readJson, writeJson } = require('./jsonFileStore');
+const { encryptValue, decryptValue, rotateValue, rotateSecretFile } = require('./secretStore');
+const { DEFAULT_MAX_LENGTH } = require('./tweetText');
+
+// Constants
+const DATA_DIR = path.join(process.cwd(), 'data');
+const ACCOUNTS_PATH = path.join(DATA_DIR, 'accounts.json');
+const ACCOUNTS_DIR = path.join(DATA_DIR, 'accounts');
+const HANDLE_PATTERN = /^[a-z0-9_]{1,15}$/;
+
+/**
+ * Normalizes a handle: strips a leading @ and lowercases it
+ * @param {string} handle - X handle
+ * @returns {string|null} Normalized handle or null when empty
+ */
+function normalizeHandle(handle) {
+  if (!handle) {
+    return null;
+  }
+  return String(handle).trim().replace(/^@/, '').toLowerCase() || null;
+}
+
+/**
+ * Checks whether a handle is a valid X handle
+ * @param {string} handle - X handle
+ * @returns {boolean} True when valid
+ */
+function isValidHandle(handle) {
+  return HANDLE_PATTERN.test(normalizeHandle(handle) || '');
+}
+
+/**
+ * Resolves the account used when a request does not name one.
+ * DEFAULT_ACCOUNT selects a registered handle; otherwise the legacy
+ * single-account files directly under data/ are used.
+ * @param {string} handle - Requested handle, may be empty
+ * @returns {string|null} Handle, or null for the legacy account
+ */
+function resolveHandle(handle) {
+  return normalizeHandle(handle) || normalizeHandle(process.env.DEFAULT_ACCOUNT);
+}
+
+/**
+ * Returns the credential and cookie file paths for an account
+ * @param {string|null} handle - Account handle, null for the legacy account
+ * @returns {Object} Paths for dir, authToken, guestId, ct0 and cookies
+ */
+function getAccountPaths(handle) {
+  const resolved = resolveHandle(handle);
+  return getPathsIn(resolved ? path.join(ACCOUNTS_DIR, resolved) : DATA_DIR);
+}
+
+/**
+ * Returns the credential and cookie file paths inside a directory
+ */
+function getPathsIn(dir) {
+  return {
+    dir,
+    authToken: path.join(dir, 'auth_token.txt'),
+    guestId: path.join(dir, 'guest_id.txt'),
+    ct0: path.join(dir, 'ct0.txt'),
+    cookies: path.join(dir, 'cookies.json')
+  };
+}
+
+/**
+ * Loads all registered accounts
+ */
+async function loadAccounts() {
+  return readJson(ACCOUNTS_PATH, []);
+}
+
+/**
+ * Strips credentials before an account leaves the service
+ */
+function toPublicAccount(account) {
+  const { password, ...rest } = account;
+  return { ...rest, hasPassword: Boolean(password) };
+}
+
+/**
+ * Lists registered accounts without their passwords
+ * @returns {Promise<Array<Object>>} Accounts
+ */
+async function listAccounts() {
+  const accounts = await loadAccounts();
+  return accounts.map(toPublicAccount);
+}
+
+/**
+ * Gets a registered account (including credentials)
+ * @param {string} handle - Account handle
+ * @returns {Promise<Object|null>} The account or null
+ */
+async function getAccount(handle) {
+  const normalized = normalizeHandle(handle);
+  const accounts = await loadAccounts();
+  return accounts.find(account => account.handle === normalized) || null;
+}
+
+/**
+ * Checks whether an account is usable: either a registered handle,
+ * or no handle at all (the legacy account)
+ * @param {string} handle - Requested handle, may be empty
+ * @returns {Promise<boolean>} True when the account can be used
+ */
+async function accountExists(handle) {
+  const resolved = resolveHandle(handle);
+  return !resolved || Boolean(await getAccount(resolved));
+}
+
+/**
+ * Registers a new account or updates an existing one's credentials
+ * @param {Object} account - handle, username, password and maxTweetLength (long-post accounts)
+ * @returns {Promise<Object>} The saved account without its password
+ */
+async function saveAccount({ handle, username, password, maxTweetLength }) {
+  const normalized = normalizeHandle(handle);
+  if (!isValidHandle(normalized)) {
+    throw new Error(`Invalid handle: ${handle}`);
+  }
+
+  const accounts = await loadAccounts();
+  const now = new Date().toISOString();
+  let account = accounts.find(a => a.handle === normalized);
+
+  if (account) {
+    if (username !== undefined) account.username = username;
+    if (password !== undefined) account.password = password ? encryptValue(password) : null;
+    if (maxTweetLength !== undefined) account.maxTweetLength = maxTweetLength || null;
+    account.updatedAt = now;
+  } else {
+    account = {
+      handle: normalized,
+      username: username || normalized,
+      password: password ? encryptValue(password) : null,
+      maxTweetLength: maxTweetLength || null,
+      createdAt: now,
+      updatedAt: now
+    };
+    accounts.push(account);
+  }
+
+  await fs.mkdir(getAccountPaths(normalized).dir, { recursive: true });
+  await writeJson(ACCOUNTS_PATH, accounts);
+  logger.info(`Account saved: @${normalized}`);
+
+  return toPublicAccount(account);
+}
+
+/**
+ * Removes an account and its stored session files
+ * @param {string} handle - Account handle
+ * @returns {Promise<boolean>} True when the account existed
+ */
+async function removeAccount(handle) {
+  const normalized = normalizeHandle(handle);
+  const accounts = await loadAccounts();
+  const remaining = accounts.filter(account => account.handle !== normalized);
+
+  if (remaining.length === accounts.length) {
+    return false;
+  }
+
+  await writeJson(ACCOUNTS_PATH, remaining);
+  await fs.rm(getAccountPaths(normalized).dir, { recursive: true, force: true });
+  logger.info(`Account removed: @${normalized}`);
+
+  return true;
+}
+
+/**
+ * Returns the login credentials for an account. The legacy account
+ * uses X_USERNAME and X_PASSWORD from the environment.
+ * @param {string|null} handle - Account handle
+ * @returns {Promise<Object>} { username, password }
+ */
+async function getAccountCredentials(handle) {
+  const resolved = resolveHandle(handle);
+  if (!resolved) {
+    return {
+      username: process.env.X_USERNAME,
+      password: process.env.X_PASSWORD
+    };
+  }
+
+  const account = await getAccount(resolved);
+  return {
+    username: account?.username,
+    password: account?.password ? decryptValue(account.password) : undefined
+  };
+}
+
+/**
+ * Returns the post length limit of an account: its own maxTweetLength for
+ * long-post accounts, otherwise TWEET_MAX_LENGTH (default 280)
+ * @param {string|null} handle - Account handle
+ * @returns {Promise<number>} Weighted length limit
+ */
+async function getMaxTweetLength(handle) {
+  const resolved = resolveHandle(handle);
+  const account = resolved ? await getAccount(resolved) : null;
+  return (account && account.maxTweetLength) || DEFAULT_MAX_LENGTH;
+}
+
+/**
+ * Re-encrypts every stored secret with the current SECRETS_KEY: the legacy
+ * account's files, each registered account's files and account passwords.
+ * Plaintext files written before encryption was enabled are encrypted too.
+ * @returns {Promise<Object>} { files, passwords } counts of rewritten values
+ */
+async function rotateSecrets() {
+  const accounts = await loadAccounts();
+  const dirs = [DATA_DIR, ...accounts.map(account => path.join(ACCOUNTS_DIR, account.handle))];
+  let files = 0;
+  let passwords = 0;
+
+  for (const dir of dirs) {
+    const { authToken, guestId, ct0, cookies } = getPathsIn(dir);
+    for (const filePath of [authToken, guestId, ct0, cookies]) {
+      if (await rotateSecretFile(filePath)) {
+        files++;
+      }
+    }
+  }
+
+  for (const account of accounts) {
+    if (account.password) {
+      account.password = rotateValue(account.password);
+      passwords++;
+    }
+  }
+  await writeJson(ACCOUNTS_PATH, accounts);
+
+  logger.info(`Secrets rotated: ${files} files, ${passwords} account passwords`);
+  return { files, passwords };
+}
+
+module.exports = {
+  normalizeHandle,
+  isValidHandle,
+  resolveHandle,
+  getAccountPaths,
+  listAccounts,
+  getAccount,
+  accountExists,
+  saveAccount,
+  removeAccount,
+  getAccountCredentials,
+  getMaxTweetLength,
+  rotateSecrets
+};
@@ -0,0 +1,221 @@
+/**
+ * API Key Store
+ * Named, scoped API keys stored as SHA-256 hashes in data/api_keys.json
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { readJson, writeJson } = require('./jsonFileStore');
+
+// Constants
+const KEYS_PATH = path.join(process.cwd(), 'data', 'api_keys.json');
+const KEY_PREFIX = 'xpb_';
+const SCOPES = ['post', 'reply', 'auth-admin', 'monitoring-read'];
+const LAST_USED_RESOLUTION_MS = 60 * 1000; // Avoid a file write on every request
+
+// Module state
+let keys = null; // records shared by every caller
+let keysMtimeMs = null; // modification time of the file keys was read from or written to
+let queue = Promise.resolve(); // serializes reads and writes of the store
+
+/**
+ * Hashes a key value for storage and lookup
+ */
+function hashKey(value) {
+  return crypto.createHash('sha256').update(String(value)).digest('hex');
+}
+
+/**
+ * Compares two strings in constant time
+ */
+function safeEqual(a, b) {
+  const hashA = Buffer.from(hashKey(a), 'hex');
+  const hashB = Buffer.from(hashKey(b), 'hex');
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Checks whether every entry is a known scope
+ * @param {Array<string>} scopes - Scope names
+ * @returns {boolean} True when valid
+ */
+function isValidScopes(scopes) {
+  return Array.isArray(scopes) && scopes.length > 0 && scopes.every(scope => SCOPES.includes(scope));
+}
+
+/**
+ * Strips the hash before a key record leaves the service
+ */
+function toPublicKey(record) {
+  const { hash, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Modification time of the key file, or null when it does not exist
+ */
+async function readMtime() {
+  try {
+    return (await fs.stat(KEYS_PATH)).mtimeMs;
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Runs a function on the key records, one caller at a time. The records are
+ * read once and again only when another process (npm run keys) changed the
+ * file, so a write never starts from a stale copy.
+ * @param {Function} fn - Receives the records, may change and persist them
+ * @returns {Promise<*>} The function's result
+ */
+function withKeys(fn) {
+  const run = queue.then(async () => {
+    const mtimeMs = await readMtime();
+    if (!keys || mtimeMs !== keysMtimeMs) {
+      keys = await readJson(KEYS_PATH, []);
+      keysMtimeMs = mtimeMs;
+    }
+    return fn(keys);
+  });
+  queue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Writes the records to disk (inside withKeys)
+ */
+async function persistKeys() {
+  await writeJson(KEYS_PATH, keys);
+  keysMtimeMs = await readMtime();
+}
+
+/**
+ * Issues a new API key. The plaintext key is only returned here.
+ * @param {Object} options - name, scopes, account (optional) and expiresAt (optional ISO date)
+ * @returns {Promise<Object>} { key, record }
+ */
+async function issueKey({ name, scopes, account = null, expiresAt = null }) {
+  if (!isValidScopes(scopes)) {
+    throw new Error(`Invalid scopes: use one or more of ${SCOPES.join(', ')}`);
+  }
+
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: uuidv4(),
+    name,
+    hash: hashKey(key),
+    keyPreview: `${key.substring(0, KEY_PREFIX.length + 4)}...`,
+    scopes: [...new Set(scopes)],
+    account: account || null,
+    expiresAt: expiresAt ? new Date(expiresAt).toISOString() : null,
+    createdAt: new Date().toISOString(),
+    lastUsedAt: null,
+    revokedAt: null
+  };
+
+  await withKeys(async (records) => {
+    records.push(record);
+    await persistKeys();
+  });
+  logger.info(`API key issued: ${name} (${record.id}) with scopes ${record.scopes.join(', ')}`);
+
+  return { key, record: toPublicKey(record) };
+}
+
+/**
+ * Lists key records without their hashes
+ * @returns {Promise<Array<Object>>} Key records
+ */
+async function listKeys() {
+  return withKeys(records => records.map(toPublicKey));
+}
+
+/**
+ * Revokes a key by ID
+ * @param {string} id - Key ID
+ * @returns {Promise<Object|null>} The revoked record, or null when not found
+ */
+async function revokeKey(id) {
+  return withKeys(async (records) => {
+    const record = records.find(k => k.id === id);
+    if (!record) {
+      return null;
+    }
+
+    if (!record.revokedAt) {
+      record.revokedAt = new Date().toISOString();
+      await persistKeys();
+      logger.info(`API key revoked: ${record.name} (${record.id})`);
+    }
+
+    return toPublicKey(record);
+  });
+}
+
+/**
+ * Returns the keys configured through the environment. API_TOKEN is kept as
+ * a bootstrap key for posting and monitoring; ADMIN_API_TOKEN has every scope.
+ */
+function getEnvironmentKeys() {
+  const keys = [];
+  if (process.env.ADMIN_API_TOKEN) {
+    keys.push({ id: 'env:admin', name: 'ADMIN_API_TOKEN', value: process.env.ADMIN_API_TOKEN, scopes: [...SCOPES] });
+  }
+  if (process.env.API_TOKEN) {
+    keys.push({ id: 'env:api', name: 'API_TOKEN', value: process.env.API_TOKEN, scopes: ['post', 'reply', 'monitoring-read'] });
+  }
+  return keys;
+}
+
+/**
+ * Verifies a presented key
+ * @param {string} token - Key from the Authorization header
+ * @returns {Promise<Object|null>} { id, name, scopes, account } or null when invalid, revoked or expired
+ */
+async function verifyKey(token) {
+  if (!token) {
+    return null;
+  }
+
+  const envKey = getEnvironmentKeys().find(k => safeEqual(token, k.value));
+  if (envKey) {
+    return { id: envKey.id, name: envKey.name, scopes: envKey.scopes, account: null };
+  }
+
+  const hash = hashKey(token);
+  return withKeys(async (records) => {
+    const record = records.find(k => crypto.timingSafeEqual(Buffer.from(k.hash, 'hex'), Buffer.from(hash, 'hex')));
+    if (!record || record.revokedAt) {
+      return null;
+    }
+
+    const now = Date.now();
+    if (record.expiresAt && new Date(record.expiresAt).getTime() <= now) {
+      return null;
+    }
+
+    // lastUsedAt is only written once per LAST_USED_RESOLUTION_MS per key
+    if (!record.lastUsedAt || now - new Date(record.lastUsedAt).getTime() > LAST_USED_RESOLUTION_MS) {
+      record.lastUsedAt = new Date(now).toISOString();
+      await persistKeys();
+    }
+
+    return { id: record.id, name: record.name, scopes: record.scopes, account: record.account };
+  });
+}
+
+module.exports = {
+  SCOPES,
+  isValidScopes,
+  issueKey,
+  listKeys,
+  revokeKey,
+  verifyKey
+};
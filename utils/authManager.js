@@ -6,25 +6,22 @@
 const puppeteer = require('puppeteer-extra');
 const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const fs = require('fs').promises;
-const path = require('path');
 const logger = require('./logger');
+const { getAccountPaths, getAccountCredentials } = require('./accountRegistry');
+const { readSecret, writeSecret, writeSecretJson } = require('./secretStore');
+const { xUrl, authTokenCookie } = require('./xEndpoints');
+const { publishEvent } = require('./eventBus');
 
 // Apply stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
-// Constants
-const DATA_DIR = path.join(process.cwd(), 'data');
-const AUTH_TOKEN_PATH = path.join(DATA_DIR, 'auth_token.txt');
-const GUEST_ID_PATH = path.join(DATA_DIR, 'guest_id.txt');
-const CT0_PATH = path.join(DATA_DIR, 'ct0.txt');
-const COOKIES_PATH = path.join(DATA_DIR, 'cookies.json');
-
 /**
  * Ensures required directories exist
+ * @param {string|null} account - Account handle, null for the default account
  */
-async function ensureDirectories() {
+async function ensureDirectories(account = null) {
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
+    await fs.mkdir(getAccountPaths(account).dir, { recursive: true });
     logger.info('Ensured data directory exists');
   } catch (error) {
     logger.error(`Error creating directories: ${error.message}`);
@@ -34,10 +31,11 @@ async function ensureDirectories() {
 
 /**
  * Get stored auth token
+ * @param {string|null} account - Account handle, null for the default account
  */
-async function getStoredAuthToken() {
+async function getStoredAuthToken(account = null) {
   try {
-    const token = await fs.readFile(AUTH_TOKEN_PATH, 'utf8');
+    const token = await readSecret(getAccountPaths(account).authToken);
     return token.trim();
   } catch (error) {
     return null;
@@ -46,10 +44,11 @@ async function getStoredAuthToken() {
 
 /**
  * Get stored guest ID
+ * @param {string|null} account - Account handle, null for the default account
  */
-async function getStoredGuestId() {
+async function getStoredGuestId(account = null) {
   try {
-    const guestId = await fs.readFile(GUEST_ID_PATH, 'utf8');
+    const guestId = await readSecret(getAccountPaths(account).guestId);
     return guestId.trim();
   } catch (error) {
     return null;
@@ -58,10 +57,11 @@ async function getStoredGuestId() {
 
 /**
  * Get stored CT0 token
+ * @param {string|null} account - Account handle, null for the default account
  */
-async function getStoredCT0() {
+async function getStoredCT0(account = null) {
   try {
-    const ct0 = await fs.readFile(CT0_PATH, 'utf8');
+    const ct0 = await readSecret(getAccountPaths(account).ct0);
     return ct0.trim();
   } catch (error) {
     return null;
@@ -70,32 +70,42 @@ async function getStoredCT0() {
 
 /**
  * Save authentication tokens to files
+ * @param {string|null} account - Account handle, null for the default account
  */
-async function saveTokens(authToken, guestId, ct0) {
-  await ensureDirectories();
+async function saveTokens(authToken, guestId, ct0, account = null) {
+  await ensureDirectories(account);
+  const paths = getAccountPaths(account);
   
   if (authToken) {
-    await fs.writeFile(AUTH_TOKEN_PATH, authToken);
+    await writeSecret(paths.authToken, authToken);
     logger.info('Auth token saved');
   }
   
   if (guestId) {
-    await fs.writeFile(GUEST_ID_PATH, guestId);
+    await writeSecret(paths.guestId, guestId);
     logger.info('Guest ID saved');
   }
   
   if (ct0) {
-    await fs.writeFile(CT0_PATH, ct0);
+    await writeSecret(paths.ct0, ct0);
     logger.info('CT0 token saved');
   }
+
+  const tokens = Object.entries({ auth_token: authToken, guest_id: guestId, ct0 })
+    .filter(([, value]) => value)
+    .map(([name]) => name);
+  if (tokens.length > 0) {
+    publishEvent('auth.refreshed', { account: account || null, tokens, source: 'login' });
+  }
 }
 
 /**
  * Manual Login API - Opens browser for manual login and extracts all tokens
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<Object>} Result with all extracted tokens
  */
-async function manualLogin() {
-  logger.info('Starting manual login process');
+async function manualLogin(account = null) {
+  logger.info(`Starting manual login process${account ? ` for @${account}` : ''}`);
   
   try {
     // Launch browser in non-headless mode for manual interaction
@@ -120,7 +130,7 @@ async function manualLogin() {
     
     // Navigate to X login page
     logger.info('Opening X login page for manual authentication');
-    await page.goto('https://x.com/login', { waitUntil: 'networkidle2' });
+    await page.goto(xUrl('/login'), { waitUntil: 'networkidle2' });
     
     // Wait for manual login completion
     logger.info('⏳ Waiting for manual login completion...');
@@ -162,7 +172,8 @@ async function manualLogin() {
     
     // Save all cookies for future use
     const allCookies = await page.cookies();
-    await fs.writeFile(COOKIES_PATH, JSON.stringify(allCookies, null, 2));
+    await ensureDirectories(account);
+    await writeSecretJson(getAccountPaths(account).cookies, allCookies);
     
     // Close browser
     await browser.close();
@@ -178,7 +189,7 @@ async function manualLogin() {
     }
     
     // Save all tokens
-    await saveTokens(authToken, guestId, ct0);
+    await saveTokens(authToken, guestId, ct0, account);
     
     return {
       success: true,
@@ -199,21 +210,24 @@ async function manualLogin() {
 }
 
 /**
- * Automated Login using username/password from environment
+ * Automated Login using the account's registered username/password
+ * (X_USERNAME and X_PASSWORD from environment for the default account)
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<Object>} Result with all extracted tokens
  */
-async function automatedLogin() {
-  const username = process.env.X_USERNAME;
-  const password = process.env.X_PASSWORD;
+async function automatedLogin(account = null) {
+  const { username, password } = await getAccountCredentials(account);
   
   if (!username || !password) {
     return {
       success: false,
-      message: 'X_USERNAME and X_PASSWORD must be set in environment variables'
+      message: account
+        ? `No username and password registered for @${account}`
+        : 'X_USERNAME and X_PASSWORD must be set in environment variables'
     };
   }
   
-  logger.info('Starting automated login process');
+  logger.info(`Starting automated login process${account ? ` for @${account}` : ''}`);
   
   try {
     // Launch browser in headless mode for automated login
@@ -236,7 +250,7 @@ async function automatedLogin() {
     await page.setViewport({ width: 1280, height: 720 });
     
     // Navigate to X login page
-    await page.goto('https://x.com/login', { waitUntil: 'networkidle2' });
+    await page.goto(xUrl('/login'), { waitUntil: 'networkidle2' });
     
     // Wait for page to fully load
     await new Promise(resolve => setTimeout(resolve, 3000));
@@ -381,7 +395,8 @@ async function automatedLogin() {
     }
     
     // Save all cookies for future use
-    await fs.writeFile(COOKIES_PATH, JSON.stringify(cookies, null, 2));
+    await ensureDirectories(account);
+    await writeSecretJson(getAccountPaths(account).cookies, cookies);
     
     // Close browser
     await browser.close();
@@ -397,7 +412,7 @@ async function automatedLogin() {
     }
     
     // Save all tokens
-    await saveTokens(authToken, guestId, ct0);
+    await saveTokens(authToken, guestId, ct0, account);
     
     return {
       success: true,
@@ -420,11 +435,12 @@ async function automatedLogin() {
 /**
  * Get CT0 token using existing auth_token
  * @param {string} authToken - The auth token to use
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<string>} CT0 token
  */
-async function getCT0Token(authToken = null) {
+async function getCT0Token(authToken = null, account = null) {
   if (!authToken) {
-    authToken = await getStoredAuthToken();
+    authToken = await getStoredAuthToken(account);
   }
   
   if (!authToken) {
@@ -442,17 +458,10 @@ async function getCT0Token(authToken = null) {
   const page = await browser.newPage();
   
   // Set auth_token cookie
-  await page.setCookie({
-    name: 'auth_token',
-    value: authToken,
-    domain: '.x.com',
-    path: '/',
-    httpOnly: true,
-    secure: true
-  });
+  await page.setCookie(authTokenCookie(authToken));
   
   // Navigate to trigger CT0 generation
-  await page.goto('https://x.com/home', { waitUntil: 'networkidle2' });
+  await page.goto(xUrl('/home'), { waitUntil: 'networkidle2' });
   
   // Wait a moment for cookies to be set
   await new Promise(resolve => setTimeout(resolve, 3000));
@@ -468,8 +477,10 @@ async function getCT0Token(authToken = null) {
   }
   
   // Save CT0 token
-  await fs.writeFile(CT0_PATH, ct0Cookie.value);
+  await ensureDirectories(account);
+  await writeSecret(getAccountPaths(account).ct0, ct0Cookie.value);
   logger.info('CT0 token extracted and saved');
+  publishEvent('auth.refreshed', { account: account || null, tokens: ['ct0'], source: 'ct0_refresh' });
   
   return ct0Cookie.value;
 }
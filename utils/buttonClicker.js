@@ -3,6 +3,7 @@
  * Handles various strategies to ensure buttons get clicked
  */
 const logger = require('./logger');
+const { getRequestId } = require('./requestContext');
 const path = require('path');
 const fs = require('fs').promises;
 
@@ -15,7 +16,8 @@ const fs = require('fs').promises;
 async function takeScreenshot(page, name = 'button_click_debug') {
   try {
     const timestamp = new Date().toISOString().replace(/:/g, '-').replace(/\..+/, '');
-    const filename = `${name}_${timestamp}.png`;
+    const requestId = getRequestId();
+    const filename = `${name}_${timestamp}${requestId ? `_${requestId}` : ''}.png`;
     const dir = path.join(process.cwd(), 'screenshots');
     
     await fs.mkdir(dir, { recursive: true });
@@ -8,25 +8,24 @@ const StealthPlugin = require('puppeteer-extra-plugin-stealth');
 const fs = require('fs').promises;
 const path = require('path');
 const logger = require('./logger');
+const { getAccountPaths } = require('./accountRegistry');
+const { readSecret, readSecretJson, writeSecretJson } = require('./secretStore');
+const { xUrl, authTokenCookie } = require('./xEndpoints');
 
 // Apply stealth plugin to avoid detection
 puppeteer.use(StealthPlugin());
 
-// Constants
-const DATA_DIR = path.join(process.cwd(), 'data');
-const AUTH_TOKEN_PATH = path.join(DATA_DIR, 'auth_token.txt');
-const COOKIES_PATH = path.join(DATA_DIR, 'cookies.json');
-
 /**
  * Retrieves the CT0 cookie by injecting auth_token
  * @param {string} authToken - The auth_token value
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<string>} The CT0 cookie value
  */
-async function getCT0Cookie(authToken) {
+async function getCT0Cookie(authToken, account = null) {
   try {
     // Ensure auth token exists
     if (!authToken) {
-      const storedToken = await getStoredAuthToken();
+      const storedToken = await getStoredAuthToken(account);
       if (!storedToken) {
         throw new Error('No auth_token available. Please run /api/auth/token endpoint first.');
       }
@@ -37,7 +36,7 @@ async function getCT0Cookie(authToken) {
     
     // Check if we have a stored CT0 cookie first
     try {
-      const cookies = await getStoredCookies();
+      const cookies = await getStoredCookies(account);
       const ct0Cookie = cookies.find(cookie => cookie.name === 'ct0');
       if (ct0Cookie) {
         // Validate if stored CT0 cookie is still valid
@@ -67,17 +66,10 @@ async function getCT0Cookie(authToken) {
     await page.setUserAgent('Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36');
     
     // Set auth_token cookie before navigating
-    await page.setCookie({
-      name: 'auth_token',
-      value: authToken,
-      domain: '.x.com',
-      path: '/',
-      httpOnly: true,
-      secure: true
-    });
+    await page.setCookie(authTokenCookie(authToken));
     
     // Navigate to home page to trigger ct0 cookie generation
-    await page.goto('https://x.com/home', { waitUntil: 'networkidle2' });
+    await page.goto(xUrl('/home'), { waitUntil: 'networkidle2' });
     
     // Wait for cookies to be set
     await new Promise(resolve => setTimeout(resolve, 3000));
@@ -105,7 +97,7 @@ async function getCT0Cookie(authToken) {
     logger.info(`Successfully retrieved CT0 cookie: ${ct0Cookie.value.substring(0, 10)}...`);
     
     // Save all cookies for future use
-    await saveCookies(cookies);
+    await saveCookies(cookies, account);
     
     return ct0Cookie.value;
   } catch (error) {
@@ -116,11 +108,12 @@ async function getCT0Cookie(authToken) {
 
 /**
  * Gets stored auth token if available
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<string|null>} The stored auth token or null
  */
-async function getStoredAuthToken() {
+async function getStoredAuthToken(account = null) {
   try {
-    const token = await fs.readFile(AUTH_TOKEN_PATH, 'utf8');
+    const token = await readSecret(getAccountPaths(account).authToken);
     return token.trim();
   } catch (error) {
     logger.warn('No stored auth token found');
@@ -131,11 +124,13 @@ async function getStoredAuthToken() {
 /**
  * Saves cookies to file for future use
  * @param {Array<Object>} cookies - The cookies to save
+ * @param {string|null} account - Account handle, null for the default account
  */
-async function saveCookies(cookies) {
+async function saveCookies(cookies, account = null) {
   try {
-    await fs.mkdir(DATA_DIR, { recursive: true });
-    await fs.writeFile(COOKIES_PATH, JSON.stringify(cookies, null, 2));
+    const paths = getAccountPaths(account);
+    await fs.mkdir(paths.dir, { recursive: true });
+    await writeSecretJson(paths.cookies, cookies);
     logger.info('Cookies saved successfully');
   } catch (error) {
     logger.error(`Error saving cookies: ${error.message}`);
@@ -144,12 +139,12 @@ async function saveCookies(cookies) {
 
 /**
  * Gets stored cookies if available
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<Array<Object>|null>} The stored cookies or null
  */
-async function getStoredCookies() {
+async function getStoredCookies(account = null) {
   try {
-    const cookiesJson = await fs.readFile(COOKIES_PATH, 'utf8');
-    return JSON.parse(cookiesJson);
+    return await readSecretJson(getAccountPaths(account).cookies);
   } catch (error) {
     logger.debug('No stored cookies found');
     return null;
@@ -0,0 +1,193 @@
+/**
+ * Cron Expression Utility
+ * Parses standard 5-field cron expressions and computes the next run time (UTC)
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+
+// Field order: minute hour day-of-month month day-of-week
+const FIELD_RANGES = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 }
+];
+
+// Longest month length (February counts its leap day)
+const MAX_DAYS_IN_MONTH = [31, 29, 31, 30, 31, 30, 31, 31, 30, 31, 30, 31];
+
+// Upper bound on the time searched for the next match: February 29 can be
+// 8 years away (e.g. 2096 -> 2104)
+const MAX_SEARCH_MS = 9 * 366 * 24 * 60 * 60 * 1000;
+
+/**
+ * Parses one cron field into the set of values it allows
+ */
+function parseField(field, { name, min, max }) {
+  const values = new Set();
+
+  for (const part of field.split(',')) {
+    const [rangePart, stepPart] = part.split('/');
+    const step = stepPart === undefined ? 1 : parseInt(stepPart, 10);
+    if (!Number.isInteger(step) || step < 1 || (stepPart !== undefined && !/^\d+$/.test(stepPart))) {
+      throw new Error(`Invalid step in ${name} field: ${part}`);
+    }
+
+    let start;
+    let end;
+    if (rangePart === '*') {
+      start = min;
+      end = max;
+    } else if (/^\d+-\d+$/.test(rangePart)) {
+      [start, end] = rangePart.split('-').map(n => parseInt(n, 10));
+    } else if (/^\d+$/.test(rangePart)) {
+      start = parseInt(rangePart, 10);
+      end = stepPart === undefined ? start : max;
+    } else {
+      throw new Error(`Invalid ${name} field: ${part}`);
+    }
+
+    if (start < min || end > max || start > end) {
+      throw new Error(`Value out of range in ${name} field: ${part}`);
+    }
+
+    for (let value = start; value <= end; value += step) {
+      values.add(value);
+    }
+  }
+
+  return values;
+}
+
+/**
+ * Checks whether a field allows every value of its range, e.g. "*" or "*\/1"
+ */
+function coversRange(values, { min, max }) {
+  for (let value = min; value <= max; value++) {
+    if (!values.has(value)) {
+      return false;
+    }
+  }
+  return true;
+}
+
+/**
+ * Checks that a day-of-month restriction can ever fall in one of the months,
+ * e.g. "31 in February" never does
+ */
+function assertDaysExist(daysOfMonth, months) {
+  const reachable = Array.from(months).some(month =>
+    Array.from(daysOfMonth).some(day => day <= MAX_DAYS_IN_MONTH[month - 1])
+  );
+  if (!reachable) {
+    throw new Error('Cron expression never matches: the day of month does not occur in the selected months');
+  }
+}
+
+/**
+ * Parses a 5-field cron expression
+ * @param {string} expression - e.g. "0 9 * * 1-5"
+ * @returns {Object} Allowed values per field
+ */
+function parseCron(expression) {
+  const fields = String(expression || '').trim().split(/\s+/);
+  if (fields.length !== 5) {
+    throw new Error('Cron expression must have 5 fields: minute hour day-of-month month day-of-week');
+  }
+
+  const [minutes, hours, daysOfMonth, months, daysOfWeek] = fields.map((field, i) =>
+    parseField(field, FIELD_RANGES[i])
+  );
+
+  // Both 0 and 7 mean Sunday
+  if (daysOfWeek.has(7)) {
+    daysOfWeek.add(0);
+  }
+
+  const dayOfMonthRestricted = !coversRange(daysOfMonth, FIELD_RANGES[2]);
+  const dayOfWeekRestricted = !coversRange(daysOfWeek, { min: 0, max: 6 });
+
+  // With the day of week unrestricted only the day of month decides
+  if (dayOfMonthRestricted && !dayOfWeekRestricted) {
+    assertDaysExist(daysOfMonth, months);
+  }
+
+  return {
+    minutes,
+    hours,
+    daysOfMonth,
+    months,
+    daysOfWeek,
+    // Standard cron: when both day fields are restricted, either may match
+    dayOfMonthRestricted,
+    dayOfWeekRestricted
+  };
+}
+
+/**
+ * Checks whether a cron expression is valid
+ * @param {string} expression - Cron expression
+ * @returns {boolean} True when the expression parses and can ever match
+ */
+function isValidCron(expression) {
+  try {
+    parseCron(expression);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Checks whether a day matches the day-of-month and day-of-week fields
+ */
+function dayMatches(cron, date) {
+  const dayOfMonthMatch = cron.daysOfMonth.has(date.getUTCDate());
+  const dayOfWeekMatch = cron.daysOfWeek.has(date.getUTCDay());
+  return cron.dayOfMonthRestricted && cron.dayOfWeekRestricted
+    ? dayOfMonthMatch || dayOfWeekMatch
+    : dayOfMonthMatch && dayOfWeekMatch;
+}
+
+/**
+ * Computes the next time after `from` that matches the expression. Months,
+ * days and hours that cannot match are skipped whole, so the search takes a
+ * few thousand steps at most.
+ * @param {string} expression - Cron expression
+ * @param {Date} from - Start point (exclusive)
+ * @returns {Date} Next matching time, in UTC
+ */
+function getNextRun(expression, from = new Date()) {
+  const cron = parseCron(expression);
+  const candidate = new Date(from.getTime());
+  candidate.setUTCSeconds(0, 0);
+  candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+  const deadline = candidate.getTime() + MAX_SEARCH_MS;
+
+  while (candidate.getTime() <= deadline) {
+    const year = candidate.getUTCFullYear();
+    const month = candidate.getUTCMonth();
+    const day = candidate.getUTCDate();
+    const hour = candidate.getUTCHours();
+
+    if (!cron.months.has(month + 1)) {
+      candidate.setTime(Date.UTC(year, month + 1, 1));
+    } else if (!dayMatches(cron, candidate)) {
+      candidate.setTime(Date.UTC(year, month, day + 1));
+    } else if (!cron.hours.has(hour)) {
+      candidate.setTime(Date.UTC(year, month, day, hour + 1));
+    } else if (!cron.minutes.has(candidate.getUTCMinutes())) {
+      candidate.setUTCMinutes(candidate.getUTCMinutes() + 1);
+    } else {
+      return candidate;
+    }
+  }
+
+  throw new Error(`Cron expression never matches: ${expression}`);
+}
+
+module.exports = {
+  parseCron,
+  isValidCron,
+  getNextRun
+};
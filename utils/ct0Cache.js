@@ -0,0 +1,161 @@
+/**
+ * CT0 Cache
+ * Keeps one CT0 (CSRF) token per account so direct API calls do not launch
+ * a browser every time. Tokens are refreshed in the background before they
+ * expire and dropped as soon as X rejects them.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const logger = require('./logger');
+const { resolveHandle } = require('./accountRegistry');
+const { getCT0Cookie } = require('./goCt0Manager');
+const { withRetry } = require('./retryPolicy');
+const { publishEvent } = require('./eventBus');
+const { startTimer } = require('./metrics');
+
+// Constants
+const TTL_MS = parseFloat(process.env.CT0_CACHE_TTL_MINUTES || '60') * 60 * 1000;
+const REFRESH_AHEAD_RATIO = 0.8; // refresh in the background after 80% of the TTL
+
+// Module state: account key -> entry, account key -> in-flight fetch,
+// account key -> number of invalidations
+const entries = new Map();
+const refreshes = new Map();
+const generations = new Map();
+
+/**
+ * Cache key for an account ('' is the legacy single account)
+ */
+function cacheKey(account) {
+  return resolveHandle(account) || '';
+}
+
+/**
+ * Label for log lines
+ */
+function accountLabel(key) {
+  return key ? `@${key}` : 'default account';
+}
+
+/**
+ * Hashes the auth token so a changed token never reuses an old CT0
+ */
+function hashToken(authToken) {
+  return crypto.createHash('sha256').update(authToken).digest('hex');
+}
+
+/**
+ * Fetches a CT0 through the browser, sharing one fetch between concurrent
+ * callers. A fetch that started before the last invalidation is not cached;
+ * its callers get the result of a fetch started afterwards.
+ */
+function fetchCt0(key, authToken) {
+  if (!refreshes.has(key)) {
+    const generation = generations.get(key) || 0;
+    const startedAt = Date.now();
+    const endTimer = startTimer('xposts_ct0_fetch_duration_seconds');
+    const refresh = withRetry(() => getCT0Cookie(authToken), { label: `CT0 fetch for ${accountLabel(key)}` })
+      .then((ct0) => {
+        endTimer({ outcome: 'success' });
+        if ((generations.get(key) || 0) !== generation) {
+          logger.warn(`Discarding CT0 fetched for ${accountLabel(key)}: the cache was invalidated during the fetch`);
+          return fetchCt0(key, authToken);
+        }
+        const now = Date.now();
+        entries.set(key, {
+          ct0,
+          tokenHash: hashToken(authToken),
+          fetchedAt: now,
+          refreshAt: now + TTL_MS * REFRESH_AHEAD_RATIO,
+          expiresAt: now + TTL_MS
+        });
+        logger.info(`CT0 cached for ${accountLabel(key)} (fetched in ${now - startedAt}ms)`);
+        publishEvent('auth.refreshed', { account: key || null, tokens: ['ct0'], source: 'ct0_cache' });
+        return ct0;
+      }, (error) => {
+        endTimer({ outcome: 'failure' });
+        throw error;
+      })
+      .finally(() => {
+        if (refreshes.get(key) === refresh) {
+          refreshes.delete(key);
+        }
+      });
+    refreshes.set(key, refresh);
+  }
+  return refreshes.get(key);
+}
+
+/**
+ * Returns a CT0 token for an account, from the cache when it is still valid
+ * @param {string} authToken - The account's auth_token
+ * @param {string|null} account - Account handle, null for the default account
+ * @returns {Promise<string>} The CT0 cookie value
+ */
+async function getCt0(authToken, account = null) {
+  const key = cacheKey(account);
+  const entry = entries.get(key);
+  const now = Date.now();
+
+  if (entry && entry.tokenHash === hashToken(authToken) && now < entry.expiresAt) {
+    if (now >= entry.refreshAt && !refreshes.has(key)) {
+      logger.info(`Refreshing CT0 for ${accountLabel(key)} in the background`);
+      fetchCt0(key, authToken).catch((error) => {
+        logger.warn(`Background CT0 refresh failed for ${accountLabel(key)}: ${error.message}`);
+      });
+    }
+    return entry.ct0;
+  }
+
+  return fetchCt0(key, authToken);
+}
+
+/**
+ * Drops the cached CT0 of an account so the next call fetches a new one.
+ * Fetches already running are detached and their results discarded.
+ * @param {string|null} account - Account handle, null for the default account
+ * @param {string} reason - Why the token is no longer valid
+ */
+function invalidateCt0(account = null, reason = 'invalidated') {
+  const key = cacheKey(account);
+  generations.set(key, (generations.get(key) || 0) + 1);
+  refreshes.delete(key);
+  if (entries.delete(key)) {
+    logger.warn(`CT0 cache cleared for ${accountLabel(key)}: ${reason}`);
+  }
+}
+
+/**
+ * Checks whether a CreateTweet response means the CT0 was rejected
+ * (HTTP 403 or X error 353, CSRF token mismatch)
+ * @param {Object} response - Axios response
+ * @returns {boolean} True when the CT0 should be invalidated
+ */
+function isCt0Rejected(response) {
+  const errors = (response.data && response.data.errors) || [];
+  return response.status === 403 || errors.some(error => error.code === 353);
+}
+
+/**
+ * Describes the cache entry of an account for the status endpoint
+ * @param {string|null} account - Account handle, null for the default account
+ * @returns {Object} { cached, fetchedAt, expiresAt, refreshing }
+ */
+function getCt0CacheStatus(account = null) {
+  const key = cacheKey(account);
+  const entry = entries.get(key);
+  const cached = Boolean(entry && Date.now() < entry.expiresAt);
+  return {
+    cached,
+    fetchedAt: cached ? new Date(entry.fetchedAt).toISOString() : null,
+    expiresAt: cached ? new Date(entry.expiresAt).toISOString() : null,
+    refreshing: refreshes.has(key)
+  };
+}
+
+module.exports = {
+  getCt0,
+  invalidateCt0,
+  isCt0Rejected,
+  getCt0CacheStatus
+};
@@ -0,0 +1,67 @@
+/**
+ * Event Bus
+ * In-process publish / subscribe for service events: job lifecycle, browser
+ * steps, session changes, screenshots and refreshed credentials. Webhooks
+ * and the /api/v1/events stream listen here.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const EventEmitter = require('events');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+
+// Constants
+const EVENT_TYPES = [
+  'job.queued',
+  'job.started',
+  'job.succeeded',
+  'job.failed',
+  'job.retrying',
+  'browser.step',
+  'session.changed',
+  'session.expired',
+  'screenshot.captured',
+  'auth.refreshed'
+];
+
+// Module state
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+/**
+ * Publishes an event to every subscriber. A failing subscriber is logged
+ * and never breaks the code that published the event.
+ * @param {string} type - One of EVENT_TYPES
+ * @param {Object} data - Event details
+ * @returns {Object} The event: { id, type, created_at, data }
+ */
+function publishEvent(type, data = {}) {
+  if (!EVENT_TYPES.includes(type)) {
+    throw new Error(`Unknown event type: ${type}`);
+  }
+
+  const event = { id: uuidv4(), type, created_at: new Date().toISOString(), data };
+  for (const listener of emitter.listeners('event')) {
+    try {
+      listener(event);
+    } catch (error) {
+      logger.error(`Event subscriber failed on ${type}: ${error.message}`);
+    }
+  }
+  return event;
+}
+
+/**
+ * Subscribes to every published event
+ * @param {Function} listener - (event) => void
+ * @returns {Function} Unsubscribes the listener
+ */
+function subscribe(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+module.exports = {
+  EVENT_TYPES,
+  publishEvent,
+  subscribe
+};
@@ -8,6 +8,10 @@ const fs = require('fs').promises;
 // StealthPlugin temporarily removed for Docker compatibility test
 const path = require('path');
 const logger = require('./logger');
+const { getAccountPaths, resolveHandle } = require('./accountRegistry');
+const { readSecret, previewSecret } = require('./secretStore');
+const { X_BASE_URL, authTokenCookie } = require('./xEndpoints');
+const { incrementCounter } = require('./metrics');
 
 // Apply stealth plugin to avoid detection
 // puppeteer.use(StealthPlugin());
@@ -35,8 +39,10 @@ async function getCT0Cookie(authToken) {
       logger.error('Browser disconnected unexpectedly. This usually means Chrome crashed or exited early.');
     });
     logger.info('Browser launched successfully.');
+    incrementCounter('xposts_browser_launches_total', { purpose: 'ct0', outcome: 'success' });
   } catch (err) {
     logger.error('Error launching browser: ' + err.message);
+    incrementCounter('xposts_browser_launches_total', { purpose: 'ct0', outcome: 'failure' });
     throw err;
   }
 
@@ -55,20 +61,13 @@ async function getCT0Cookie(authToken) {
   }
 
   try {
-    logger.info('Step 1: Navigating to https://x.com');
-    const gotoResponse = await page.goto('https://x.com', { waitUntil: 'networkidle2' });
+    logger.info(`Step 1: Navigating to ${X_BASE_URL}`);
+    const gotoResponse = await page.goto(X_BASE_URL, { waitUntil: 'networkidle2' });
     logger.info(`Step 1: page.goto response: ${gotoResponse ? gotoResponse.status() : 'no response object'}`);
     await new Promise(r => setTimeout(r, 3000)); // 3 seconds wait, like Go
 
     logger.info('Step 2: Injecting auth_token cookie');
-    await page.setCookie({
-      name: 'auth_token',
-      value: authToken,
-      domain: '.x.com',
-      path: '/',
-      httpOnly: true,
-      secure: true,
-    });
+    await page.setCookie(authTokenCookie(authToken));
     logger.info('Step 2: Cookie injected');
 
     logger.info('Step 3: Reloading page to apply cookie');
@@ -88,7 +87,7 @@ async function getCT0Cookie(authToken) {
       throw new Error('ct0 cookie not found');
     }
 
-    logger.info(`Step 5: Successfully retrieved ct0 cookie: ${ct0Cookie.value}`);
+    logger.info(`Step 5: Successfully retrieved ct0 cookie: ${previewSecret(ct0Cookie.value)}`);
     return ct0Cookie.value;
 
   } catch (error) {
@@ -103,21 +102,26 @@ async function getCT0Cookie(authToken) {
 
 /**
  * Read auth token from file, checking both possible locations
+ * @param {string|null} account - Account handle, null for the default account
  * @returns {Promise<string>} The auth token
  */
-async function getAuthToken() {
+async function getAuthToken(account = null) {
+  const handle = resolveHandle(account);
   try {
-    // Try data directory first
+    // Try the account's data directory first
     try {
-      const token = await fs.readFile(path.join(process.cwd(), 'data', 'auth_token.txt'), 'utf8');
+      const token = await readSecret(getAccountPaths(handle).authToken);
       return token.trim();
     } catch (firstError) {
-      // Try root directory as fallback
-      const token = await fs.readFile(path.join(process.cwd(), 'auth_token.txt'), 'utf8');
+      // Try root directory as fallback (default account only)
+      if (handle) {
+        throw firstError;
+      }
+      const token = await readSecret(path.join(process.cwd(), 'auth_token.txt'));
       return token.trim();
     }
   } catch (error) {
-    throw new Error('Failed to read auth_token.txt');
+    throw new Error(handle ? `Failed to read auth_token.txt for @${handle}` : 'Failed to read auth_token.txt');
   }
 }
 
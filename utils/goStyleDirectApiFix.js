@@ -7,33 +7,230 @@ const fs = require('fs').promises;
 const path = require('path');
 const { generateXPFF } = require('./xpffGenerator');
 const logger = require('./logger');
-const { getCT0Cookie, getAuthToken } = require('./goCt0Manager');
+const { previewSecret } = require('./secretStore');
+const { X_BASE_URL, X_HOST, xUrl } = require('./xEndpoints');
+const { getAuthToken } = require('./goCt0Manager');
+const { getCt0, invalidateCt0, isCt0Rejected } = require('./ct0Cache');
 const { getStoredGuestId } = require('./authManager');
+const { buildMediaVariables } = require('./mediaUpload');
+const { startTimer } = require('./metrics');
+const { isPreSendError } = require('./xErrors');
 
 // Constant bearer token - exactly the same as in Go
 const BEARER_TOKEN = "AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs%3D1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA";
+const CREATE_TWEET_QUERY_ID = 'F7hteriqzdRzvMfXM6Ul4w';
+const CREATE_TWEET_PATH = `/i/api/graphql/${CREATE_TWEET_QUERY_ID}/CreateTweet`;
+const VIEWER_PATH = '/i/api/graphql/W62NnYgkgziw9bwyoVht0g/Viewer';
+// Status URLs are only accepted on X's own hosts (and X_HOST, e.g. the mock server)
+const STATUS_URL_HOSTS = ['x.com', 'twitter.com', 'www.x.com', 'www.twitter.com', 'mobile.x.com', 'mobile.twitter.com'];
+const STATUS_PATH_PATTERN = /^(?:\/i\/web|\/([A-Za-z0-9_]{1,15}))?\/status\/(\d+)(?:\/|$)/;
+
+// Feature flags the web client sends with every CreateTweet
+const CREATE_TWEET_FEATURES = {
+  premium_content_api_read_enabled: false,
+  communities_web_enable_tweet_community_results_fetch: true,
+  c9s_tweet_anatomy_moderator_badge_enabled: true,
+  responsive_web_grok_analyze_button_fetch_trends_enabled: false,
+  responsive_web_grok_analyze_post_followups_enabled: true,
+  responsive_web_jetfuel_frame: true,
+  responsive_web_grok_share_attachment_enabled: true,
+  responsive_web_edit_tweet_api_enabled: true,
+  graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
+  view_counts_everywhere_api_enabled: true,
+  longform_notetweets_consumption_enabled: true,
+  responsive_web_twitter_article_tweet_consumption_enabled: true,
+  tweet_awards_web_tipping_enabled: false,
+  responsive_web_grok_show_grok_translated_post: false,
+  responsive_web_grok_analysis_button_from_backend: true,
+  creator_subscriptions_quote_tweet_preview_enabled: false,
+  longform_notetweets_rich_text_read_enabled: true,
+  longform_notetweets_inline_media_enabled: true,
+  payments_enabled: false,
+  profile_label_improvements_pcf_label_in_post_enabled: true,
+  rweb_tipjar_consumption_enabled: true,
+  verified_phone_label_enabled: false,
+  articles_preview_enabled: true,
+  responsive_web_grok_community_note_auto_translation_is_enabled: false,
+  responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
+  freedom_of_speech_not_reach_fetch_enabled: true,
+  standardized_nudges_misinfo: true,
+  tweet_with_visibility_results_prefer_gql_limited_actions_policy_enabled: true,
+  responsive_web_grok_image_annotation_enabled: true,
+  responsive_web_graphql_timeline_navigation_enabled: true,
+  responsive_web_enhance_cards_enabled: false
+};
+
+// Mutations on an existing status: GraphQL operation, its variables and how success shows in the response
+const STATUS_MUTATIONS = {
+  repost: {
+    operation: 'CreateRetweet',
+    queryId: 'ojPdsZsimiJrUGLR1sjUtA',
+    variables: tweetId => ({ tweet_id: tweetId, dark_request: false }),
+    resultId: data => data?.create_retweet?.retweet_results?.result?.rest_id
+  },
+  unrepost: {
+    operation: 'DeleteRetweet',
+    queryId: 'iQtK4dl5hBmXewYZuEOKVw',
+    variables: tweetId => ({ source_tweet_id: tweetId, dark_request: false }),
+    resultId: data => data?.unretweet?.source_tweet_results?.result?.rest_id
+  },
+  like: {
+    operation: 'FavoriteTweet',
+    queryId: 'lI07N6Otwv1PhnEgXILM7A',
+    variables: tweetId => ({ tweet_id: tweetId }),
+    resultId: data => (data?.favorite_tweet === 'Done' ? 'Done' : null)
+  },
+  unlike: {
+    operation: 'UnfavoriteTweet',
+    queryId: 'ZYKSe-w7KEslx3JhSIk5LA',
+    variables: tweetId => ({ tweet_id: tweetId }),
+    resultId: data => (data?.unfavorite_tweet === 'Done' ? 'Done' : null)
+  },
+  delete: {
+    operation: 'DeleteTweet',
+    queryId: 'VaenaVgh5q5ih7kvyVjgtg',
+    variables: tweetId => ({ tweet_id: tweetId, dark_request: false }),
+    resultId: data => (data?.delete_tweet ? 'Done' : null)
+  }
+};
+
+/**
+ * Parses a status URL (https://x.com/user/status/123) into its tweet ID
+ * and author handle. Replies, quotes, reposts and likes all use it.
+ * @param {string} postUrl - Status URL
+ * @returns {Object|null} { tweetId, username }, or null when it is not a status URL on an X host
+ */
+function parseStatusUrl(postUrl) {
+  let url;
+  try {
+    url = new URL(String(postUrl || ''));
+  } catch (error) {
+    return null;
+  }
+  const isXHost = STATUS_URL_HOSTS.includes(url.hostname.toLowerCase()) || url.host === X_HOST;
+  const match = ['http:', 'https:'].includes(url.protocol) && isXHost && url.pathname.match(STATUS_PATH_PATTERN);
+  if (!match) {
+    return null;
+  }
+  const username = match[1] && match[1] !== 'i' ? match[1] : null;
+  return { tweetId: match[2], username };
+}
+
+/**
+ * Checks that a URL points at a post on X, with the parsing replies use
+ * @param {string} value - URL to check
+ * @returns {boolean} True for a status URL
+ */
+function isStatusUrl(value) {
+  return Boolean(parseStatusUrl(value));
+}
+
+/**
+ * Builds the CreateTweet body used by posts, replies, quotes and thread parts
+ * @param {string} content - Tweet text
+ * @param {Object} options - media variables, inReplyToTweetId and attachmentUrl (quoted status)
+ * @returns {Object} GraphQL request body
+ */
+function buildCreateTweetBody(content, { media, inReplyToTweetId = null, attachmentUrl = null }) {
+  return {
+    variables: {
+      tweet_text: `${content}\n`, // Notice the newline at the end (like Go)
+      ...(inReplyToTweetId ? {
+        reply: {
+          in_reply_to_tweet_id: inReplyToTweetId,
+          exclude_reply_user_ids: []
+        }
+      } : {}),
+      dark_request: false,
+      media,
+      ...(attachmentUrl ? { attachment_url: attachmentUrl } : {}),
+      semantic_annotation_ids: [],
+      disallowed_reply_options: null
+    },
+    features: CREATE_TWEET_FEATURES,
+    queryId: CREATE_TWEET_QUERY_ID
+  };
+}
+
+/**
+ * Builds request headers in the exact same order as Go
+ */
+function buildHeaders(authToken, ct0, xpff, bodyString) {
+  return {
+    'Host': X_HOST,
+    'Cookie': 'auth_token=' + authToken + '; ct0=' + ct0, // Exact Go format
+    'Content-Length': Buffer.byteLength(bodyString).toString(),
+    'Sec-Ch-Ua-Platform': '"Linux"',
+    'Authorization': 'Bearer ' + BEARER_TOKEN,
+    'X-Csrf-Token': ct0,
+    'Accept-Language': 'en-US,en;q=0.9',
+    'Sec-Ch-Ua': '"Not)A;Brand";v="8", "Chromium";v="138"',
+    'X-Twitter-Client-Language': 'en',
+    'Sec-Ch-Ua-Mobile': '?0',
+    'X-Twitter-Active-User': 'yes',
+    'X-Client-Transaction-Id': 'PAtpENtMwY12l+8Tw4bvAj6EKHv6EWdZ9GJXlitAHYrL1dhK7KzWEAc93fI8N+iEE0tDBTiVuRJJov+NSnpm5MopwP3UPw',
+    'X-Twitter-Auth-Type': 'OAuth2Session',
+    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
+    'Content-Type': 'application/json',
+    'X-Xp-Forwarded-For': xpff,
+    'Accept': '*/*',
+    'Origin': X_BASE_URL,
+    'Sec-Fetch-Site': 'same-origin',
+    'Sec-Fetch-Mode': 'cors',
+    'Sec-Fetch-Dest': 'empty',
+    'Referer': xUrl('/home'),
+    'Priority': 'u=1, i',
+  };
+}
+
+/**
+ * Sends a GraphQL request, records its duration by operation and status and
+ * logs the call (tagged with the current request ID by the logger). A failed
+ * request is tagged with `requestSent` unless it never reached X.
+ */
+async function timedGraphql(operation, config) {
+  const endTimer = startTimer('xposts_graphql_request_duration_seconds', { operation });
+  try {
+    const response = await axios(config);
+    const seconds = endTimer({ status: response.status });
+    logger.info(`GraphQL ${operation} returned ${response.status} in ${Math.round(seconds * 1000)}ms`, { operation, status: response.status });
+    return response;
+  } catch (error) {
+    endTimer({ status: 'error' });
+    error.requestSent = !isPreSendError(error);
+    logger.error(`GraphQL ${operation} failed: ${error.message}`, { operation });
+    throw error;
+  }
+}
 
 /**
  * Create a direct post exactly matching Go implementation
  * @param {string} content - Tweet content
  * @param {string} guestID - Optional Guest ID for XPFF (will use stored if not provided)
+ * @param {Object} options - Optional account handle, media attachments ({ path, mimetype, altText }), sensitive flag, quoteUrl (status URL to quote) and uploads (media IDs of earlier attempts)
  * @returns {Promise<Object>} Response object
  */
-async function createDirectPost(content, guestID = null) {
+async function createDirectPost(content, guestID = null, { account = null, media = [], sensitive = false, quoteUrl = null, uploads = null } = {}) {
   try {
-    logger.info(`Creating direct post with content: ${content}`);
+    logger.info(`Creating direct post (${content.length} characters)`);
+    
+    // A quote post attaches the quoted status URL
+    const quoted = quoteUrl ? parseStatusUrl(quoteUrl) : null;
+    if (quoteUrl && !quoted) {
+      throw new Error('Invalid post URL format');
+    }
     
     // Get auth token
-    const authToken = await getAuthToken();
+    const authToken = await getAuthToken(account);
     logger.info(`Auth token retrieved, length: ${authToken.length}`);
     
-    // Get CT0 cookie using Go-style implementation
-    const ct0 = await getCT0Cookie(authToken);
-    logger.info(`CT0 cookie retrieved: ${ct0}`);
+    // Get CT0 cookie, from the cache when a valid one is held
+    const ct0 = await getCt0(authToken, account);
+    logger.info(`CT0 cookie retrieved: ${previewSecret(ct0)}`);
     
     // Get guest ID from storage if not provided
     if (!guestID) {
-      guestID = await getStoredGuestId();
+      guestID = await getStoredGuestId(account);
       if (!guestID) {
         throw new Error('Guest ID not found. Please run authentication first.');
       }
@@ -43,97 +240,33 @@ async function createDirectPost(content, guestID = null) {
     const xpff = await generateXPFF(guestID);
     logger.info(`XPFF header generated for guestID: ${guestID}`);
     
+    // Upload attachments first so their IDs can go into the tweet variables
+    const mediaVariables = await buildMediaVariables(authToken, ct0, media, sensitive, uploads);
+    
     // Create exact same body as Go
-    const bodyObj = {
-      variables: {
-        tweet_text: `${content}\n`, // Notice the newline at the end (like Go)
-        dark_request: false,
-        media: {
-          media_entities: [],
-          possibly_sensitive: false
-        },
-        semantic_annotation_ids: [],
-        disallowed_reply_options: null
-      },
-      features: {
-        premium_content_api_read_enabled: false,
-        communities_web_enable_tweet_community_results_fetch: true,
-        c9s_tweet_anatomy_moderator_badge_enabled: true,
-        responsive_web_grok_analyze_button_fetch_trends_enabled: false,
-        responsive_web_grok_analyze_post_followups_enabled: true,
-        responsive_web_jetfuel_frame: true,
-        responsive_web_grok_share_attachment_enabled: true,
-        responsive_web_edit_tweet_api_enabled: true,
-        graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
-        view_counts_everywhere_api_enabled: true,
-        longform_notetweets_consumption_enabled: true,
-        responsive_web_twitter_article_tweet_consumption_enabled: true,
-        tweet_awards_web_tipping_enabled: false,
-        responsive_web_grok_show_grok_translated_post: false,
-        responsive_web_grok_analysis_button_from_backend: true,
-        creator_subscriptions_quote_tweet_preview_enabled: false,
-        longform_notetweets_rich_text_read_enabled: true,
-        longform_notetweets_inline_media_enabled: true,
-        payments_enabled: false,
-        profile_label_improvements_pcf_label_in_post_enabled: true,
-        rweb_tipjar_consumption_enabled: true,
-        verified_phone_label_enabled: false,
-        articles_preview_enabled: true,
-        responsive_web_grok_community_note_auto_translation_is_enabled: false,
-        responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
-        freedom_of_speech_not_reach_fetch_enabled: true,
-        standardized_nudges_misinfo: true,
-        tweet_with_visibility_results_prefer_gql_limited_actions_policy_enabled: true,
-        responsive_web_grok_image_annotation_enabled: true,
-        responsive_web_graphql_timeline_navigation_enabled: true,
-        responsive_web_enhance_cards_enabled: false
-      },
-      queryId: "F7hteriqzdRzvMfXM6Ul4w"
-    };
+    const bodyObj = buildCreateTweetBody(content, {
+      media: mediaVariables,
+      attachmentUrl: quoted ? xUrl(`/${quoted.username || 'i'}/status/${quoted.tweetId}`) : null
+    });
     
     // Convert to string *before* setting Content-Length
     const bodyString = JSON.stringify(bodyObj);
     
     // Create headers in exact same order as Go
-    const headers = {
-      'Host': 'x.com',
-      'Cookie': 'auth_token=' + authToken + '; ct0=' + ct0, // Exact Go format
-      'Content-Length': Buffer.byteLength(bodyString).toString(),
-      'Sec-Ch-Ua-Platform': '"Linux"',
-      'Authorization': 'Bearer ' + BEARER_TOKEN,
-      'X-Csrf-Token': ct0,
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Sec-Ch-Ua': '"Not)A;Brand";v="8", "Chromium";v="138"',
-      'X-Twitter-Client-Language': 'en',
-      'Sec-Ch-Ua-Mobile': '?0',
-      'X-Twitter-Active-User': 'yes',
-      'X-Client-Transaction-Id': 'PAtpENtMwY12l+8Tw4bvAj6EKHv6EWdZ9GJXlitAHYrL1dhK7KzWEAc93fI8N+iEE0tDBTiVuRJJov+NSnpm5MopwP3UPw',
-      'X-Twitter-Auth-Type': 'OAuth2Session',
-      'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
-      'Content-Type': 'application/json',
-      'X-Xp-Forwarded-For': xpff,
-      'Accept': '*/*',
-      'Origin': 'https://x.com',
-      'Sec-Fetch-Site': 'same-origin',
-      'Sec-Fetch-Mode': 'cors',
-      'Sec-Fetch-Dest': 'empty',
-      'Referer': 'https://x.com/home',
-      'Priority': 'u=1, i',
-    };
+    const headers = buildHeaders(authToken, ct0, xpff, bodyString);
     
     // Log important request details
     logger.info('=== GO-STYLE REQUEST DETAILS ===');
-    logger.info(`Cookie: ${headers.Cookie}`);
-    logger.info(`X-Csrf-Token: ${headers['X-Csrf-Token']}`);
+    logger.info(`X-Csrf-Token: ${previewSecret(headers['X-Csrf-Token'])}`);
     logger.info(`Content-Length: ${headers['Content-Length']}`);
     logger.info(`X-Xp-Forwarded-For: ${headers['X-Xp-Forwarded-For']}`);
     logger.info('=================================');
     
     // Make the API call with TLSClientConfig settings like Go
     // In Node.js, we use the rejectUnauthorized: false option
-    const response = await axios({
+    const response = await timedGraphql('CreateTweet', {
       method: 'POST',
-      url: 'https://x.com/i/api/graphql/F7hteriqzdRzvMfXM6Ul4w/CreateTweet',
+      url: xUrl(CREATE_TWEET_PATH),
       headers: headers,
       data: bodyString,
       httpsAgent: new (require('https').Agent)({ 
@@ -144,9 +277,10 @@ async function createDirectPost(content, guestID = null) {
     
     logger.info(`Response Status: ${response.status}`);
     
-    // Full response logging for debugging
-    logger.info('Full response data:');
-    logger.info(JSON.stringify(response.data, null, 2));
+    // A rejected CT0 must not be reused for the next request
+    if (isCt0Rejected(response)) {
+      invalidateCt0(account, `CreateTweet returned ${response.status}`);
+    }
     
     // Detailed success/failure analysis
     let success = false;
@@ -177,8 +311,12 @@ async function createDirectPost(content, guestID = null) {
     return {
       success: success,
       tweetId: tweetId,
+      quotedTweetId: quoted ? quoted.tweetId : null,
       message: success ? 'Post published successfully' : 'Failed to post',
       status: response.status,
+      rateLimitLimit: response.headers['x-rate-limit-limit'] || null,
+      rateLimitRemaining: response.headers['x-rate-limit-remaining'] || null,
+      rateLimitReset: response.headers['x-rate-limit-reset'] || null,
       data: response.data
     };
   } catch (error) {
@@ -192,34 +330,35 @@ async function createDirectPost(content, guestID = null) {
  * @param {string} content - Reply content
  * @param {string} postUrl - URL of the post to reply to
  * @param {string} guestID - Optional Guest ID for XPFF (will use stored if not provided)
+ * @param {Object} options - Optional account handle, media attachments ({ path, mimetype, altText }), sensitive flag and uploads (media IDs of earlier attempts)
  * @returns {Promise<Object>} Response object
  */
-async function replyDirectToPost(content, postUrl, guestID = null) {
+async function replyDirectToPost(content, postUrl, guestID = null, { account = null, media = [], sensitive = false, uploads = null } = {}) {
   try {
-    logger.info(`Creating direct reply to ${postUrl} with content: ${content}`);
+    logger.info(`Creating direct reply to ${postUrl} (${content.length} characters)`);
     
     // Extract tweet ID from URL
-    const tweetIdMatch = postUrl.match(/\/status\/(\d+)/);
-    if (!tweetIdMatch) {
+    const status = parseStatusUrl(postUrl);
+    if (!status) {
       throw new Error('Invalid post URL format');
     }
-    const tweetId = tweetIdMatch[1];
+    const tweetId = status.tweetId;
     
     // Ensure tweet ID is a string (X API requirement)
     const tweetIdString = tweetId.toString();
     logger.info(`Extracted tweet ID: ${tweetIdString}`);
     
     // Get auth token
-    const authToken = await getAuthToken();
+    const authToken = await getAuthToken(account);
     logger.info(`Auth token retrieved, length: ${authToken.length}`);
     
-    // Get CT0 cookie using Go-style implementation
-    const ct0 = await getCT0Cookie(authToken);
-    logger.info(`CT0 cookie retrieved: ${ct0}`);
+    // Get CT0 cookie, from the cache when a valid one is held
+    const ct0 = await getCt0(authToken, account);
+    logger.info(`CT0 cookie retrieved: ${previewSecret(ct0)}`);
     
     // Get guest ID from storage if not provided
     if (!guestID) {
-      guestID = await getStoredGuestId();
+      guestID = await getStoredGuestId(account);
       if (!guestID) {
         throw new Error('Guest ID not found. Please run authentication first.');
       }
@@ -229,108 +368,33 @@ async function replyDirectToPost(content, postUrl, guestID = null) {
     const xpff = await generateXPFF(guestID);
     logger.info(`XPFF header generated for guestID: ${guestID}`);
     
-    // Create exact same body structure as Go but with proper reply params
-    const bodyObj = {
-      variables: {
-        tweet_text: `${content}\n`, // Notice the newline at the end (like Go)
-        reply: {
-          in_reply_to_tweet_id: tweetIdString, // Make sure it's a string
-          exclude_reply_user_ids: []
-        },
-        dark_request: false,
-        media: {
-          media_entities: [],
-          possibly_sensitive: false
-        },
-        semantic_annotation_ids: [],
-        disallowed_reply_options: null
-      },
-      features: {
-        premium_content_api_read_enabled: false,
-        communities_web_enable_tweet_community_results_fetch: true,
-        c9s_tweet_anatomy_moderator_badge_enabled: true,
-        responsive_web_grok_analyze_button_fetch_trends_enabled: false,
-        responsive_web_grok_analyze_post_followups_enabled: true,
-        responsive_web_jetfuel_frame: true,
-        responsive_web_grok_share_attachment_enabled: true,
-        responsive_web_edit_tweet_api_enabled: true,
-        graphql_is_translatable_rweb_tweet_is_translatable_enabled: true,
-        view_counts_everywhere_api_enabled: true,
-        longform_notetweets_consumption_enabled: true,
-        responsive_web_twitter_article_tweet_consumption_enabled: true,
-        tweet_awards_web_tipping_enabled: false,
-        responsive_web_grok_show_grok_translated_post: false,
-        responsive_web_grok_analysis_button_from_backend: true,
-        creator_subscriptions_quote_tweet_preview_enabled: false,
-        longform_notetweets_rich_text_read_enabled: true,
-        longform_notetweets_inline_media_enabled: true,
-        payments_enabled: false,
-        profile_label_improvements_pcf_label_in_post_enabled: true,
-        rweb_tipjar_consumption_enabled: true,
-        verified_phone_label_enabled: false,
-        articles_preview_enabled: true,
-        responsive_web_grok_community_note_auto_translation_is_enabled: false,
-        responsive_web_graphql_skip_user_profile_image_extensions_enabled: false,
-        freedom_of_speech_not_reach_fetch_enabled: true,
-        standardized_nudges_misinfo: true,
-        tweet_with_visibility_results_prefer_gql_limited_actions_policy_enabled: true,
-        responsive_web_grok_image_annotation_enabled: true,
-        responsive_web_graphql_timeline_navigation_enabled: true,
-        responsive_web_enhance_cards_enabled: false
-      },
-      queryId: "F7hteriqzdRzvMfXM6Ul4w"
-    };
+    // Upload attachments first so their IDs can go into the tweet variables
+    const mediaVariables = await buildMediaVariables(authToken, ct0, media, sensitive, uploads);
     
-    // Log the reply structure for debugging
-    logger.info('Reply request body structure:');
-    logger.info(JSON.stringify({
-      tweet_text: bodyObj.variables.tweet_text,
-      reply_to_tweet_id: bodyObj.variables.reply.in_reply_to_tweet_id
-    }, null, 2));
+    // Create exact same body structure as Go but with proper reply params
+    const bodyObj = buildCreateTweetBody(content, {
+      media: mediaVariables,
+      inReplyToTweetId: tweetIdString // Make sure it's a string
+    });
     
     // Convert to string *before* setting Content-Length
     const bodyString = JSON.stringify(bodyObj);
     
     // Create headers in exact same order as Go
-    const headers = {
-      'Host': 'x.com',
-      'Cookie': 'auth_token=' + authToken + '; ct0=' + ct0, // Exact Go format
-      'Content-Length': Buffer.byteLength(bodyString).toString(),
-      'Sec-Ch-Ua-Platform': '"Linux"',
-      'Authorization': 'Bearer ' + BEARER_TOKEN,
-      'X-Csrf-Token': ct0,
-      'Accept-Language': 'en-US,en;q=0.9',
-      'Sec-Ch-Ua': '"Not)A;Brand";v="8", "Chromium";v="138"',
-      'X-Twitter-Client-Language': 'en',
-      'Sec-Ch-Ua-Mobile': '?0',
-      'X-Twitter-Active-User': 'yes',
-      'X-Client-Transaction-Id': 'PAtpENtMwY12l+8Tw4bvAj6EKHv6EWdZ9GJXlitAHYrL1dhK7KzWEAc93fI8N+iEE0tDBTiVuRJJov+NSnpm5MopwP3UPw',
-      'X-Twitter-Auth-Type': 'OAuth2Session',
-      'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
-      'Content-Type': 'application/json',
-      'X-Xp-Forwarded-For': xpff,
-      'Accept': '*/*',
-      'Origin': 'https://x.com',
-      'Sec-Fetch-Site': 'same-origin',
-      'Sec-Fetch-Mode': 'cors',
-      'Sec-Fetch-Dest': 'empty',
-      'Referer': 'https://x.com/home',
-      'Priority': 'u=1, i',
-    };
+    const headers = buildHeaders(authToken, ct0, xpff, bodyString);
     
     // Log important request details
     logger.info('=== GO-STYLE REPLY REQUEST DETAILS ===');
-    logger.info(`Cookie: ${headers.Cookie}`);
-    logger.info(`X-Csrf-Token: ${headers['X-Csrf-Token']}`);
+    logger.info(`X-Csrf-Token: ${previewSecret(headers['X-Csrf-Token'])}`);
     logger.info(`Content-Length: ${headers['Content-Length']}`);
     logger.info(`X-Xp-Forwarded-For: ${headers['X-Xp-Forwarded-For']}`);
     logger.info(`Reply to Tweet ID: ${tweetIdString}`);
     logger.info('========================================');
     
     // Make the API call with TLSClientConfig settings like Go
-    const response = await axios({
+    const response = await timedGraphql('CreateTweet', {
       method: 'POST',
-      url: 'https://x.com/i/api/graphql/F7hteriqzdRzvMfXM6Ul4w/CreateTweet',
+      url: xUrl(CREATE_TWEET_PATH),
       headers: headers,
       data: bodyString,
       httpsAgent: new (require('https').Agent)({ 
@@ -341,9 +405,10 @@ async function replyDirectToPost(content, postUrl, guestID = null) {
     
     logger.info(`Reply response status: ${response.status}`);
     
-    // Full response logging for debugging
-    logger.info('Full reply response data:');
-    logger.info(JSON.stringify(response.data, null, 2));
+    // A rejected CT0 must not be reused for the next request
+    if (isCt0Rejected(response)) {
+      invalidateCt0(account, `CreateTweet returned ${response.status}`);
+    }
     
     // Detailed success/failure analysis
     let success = false;
@@ -377,6 +442,9 @@ async function replyDirectToPost(content, postUrl, guestID = null) {
       originalTweetId: tweetIdString,
       message: success ? 'Reply published successfully' : 'Failed to reply',
       status: response.status,
+      rateLimitLimit: response.headers['x-rate-limit-limit'] || null,
+      rateLimitRemaining: response.headers['x-rate-limit-remaining'] || null,
+      rateLimitReset: response.headers['x-rate-limit-reset'] || null,
       data: response.data
     };
   } catch (error) {
@@ -385,7 +453,188 @@ async function replyDirectToPost(content, postUrl, guestID = null) {
   }
 }
 
+/**
+ * Quote a post using direct API: a new post with the quoted status attached
+ * @param {string} content - Quote content
+ * @param {string} postUrl - URL of the post to quote
+ * @param {string} guestID - Optional Guest ID for XPFF (will use stored if not provided)
+ * @param {Object} options - Optional account handle, media attachments and sensitive flag
+ * @returns {Promise<Object>} Response object
+ */
+async function quoteDirectPost(content, postUrl, guestID = null, options = {}) {
+  return createDirectPost(content, guestID, { ...options, quoteUrl: postUrl });
+}
+
+/**
+ * Runs a repost, like or delete mutation against a status
+ * @param {string} action - 'repost', 'unrepost', 'like', 'unlike' or 'delete'
+ * @param {string} postUrl - URL of the target post
+ * @param {string} guestID - Optional Guest ID for XPFF (will use stored if not provided)
+ * @param {Object} options - Optional account handle
+ * @returns {Promise<Object>} Response object
+ */
+async function runStatusMutation(action, postUrl, guestID = null, { account = null } = {}) {
+  const mutation = STATUS_MUTATIONS[action];
+  try {
+    const status = parseStatusUrl(postUrl);
+    if (!status) {
+      throw new Error('Invalid post URL format');
+    }
+    logger.info(`Direct ${action} of tweet ${status.tweetId}`);
+
+    const authToken = await getAuthToken(account);
+    const ct0 = await getCt0(authToken, account);
+
+    if (!guestID) {
+      guestID = await getStoredGuestId(account);
+      if (!guestID) {
+        throw new Error('Guest ID not found. Please run authentication first.');
+      }
+    }
+    const xpff = await generateXPFF(guestID);
+
+    const bodyString = JSON.stringify({
+      variables: mutation.variables(status.tweetId),
+      queryId: mutation.queryId
+    });
+    const headers = buildHeaders(authToken, ct0, xpff, bodyString);
+
+    const response = await timedGraphql(mutation.operation, {
+      method: 'POST',
+      url: xUrl(`/i/api/graphql/${mutation.queryId}/${mutation.operation}`),
+      headers: headers,
+      data: bodyString,
+      httpsAgent: new (require('https').Agent)({
+        rejectUnauthorized: false // Equivalent to InsecureSkipVerify: true in Go
+      }),
+      validateStatus: () => true, // Accept any status code like Go does
+    });
+
+    logger.info(`${mutation.operation} response status: ${response.status}`);
+
+    // A rejected CT0 must not be reused for the next request
+    if (isCt0Rejected(response)) {
+      invalidateCt0(account, `${mutation.operation} returned ${response.status}`);
+    }
+
+    const resultId = response.status === 200 ? mutation.resultId(response.data?.data) : null;
+    const success = Boolean(resultId) && !response.data?.errors;
+    if (!success) {
+      logger.error(`${mutation.operation} failed: ${JSON.stringify(response.data?.errors || response.data)}`);
+    }
+
+    return {
+      success: success,
+      tweetId: status.tweetId,
+      repostId: action === 'repost' && success ? resultId : null,
+      message: success ? `${mutation.operation} succeeded` : `Failed to ${action}`,
+      status: response.status,
+      rateLimitLimit: response.headers['x-rate-limit-limit'] || null,
+      rateLimitRemaining: response.headers['x-rate-limit-remaining'] || null,
+      rateLimitReset: response.headers['x-rate-limit-reset'] || null,
+      data: response.data
+    };
+  } catch (error) {
+    logger.error(`Exception in Go-style direct ${action}: ${error.message}`);
+    throw error;
+  }
+}
+
+/**
+ * Repost a post using direct API (CreateRetweet)
+ */
+async function createDirectRepost(postUrl, guestID = null, options = {}) {
+  return runStatusMutation('repost', postUrl, guestID, options);
+}
+
+/**
+ * Undo a repost using direct API (DeleteRetweet)
+ */
+async function deleteDirectRepost(postUrl, guestID = null, options = {}) {
+  return runStatusMutation('unrepost', postUrl, guestID, options);
+}
+
+/**
+ * Like a post using direct API (FavoriteTweet)
+ */
+async function likeDirectPost(postUrl, guestID = null, options = {}) {
+  return runStatusMutation('like', postUrl, guestID, options);
+}
+
+/**
+ * Remove a like using direct API (UnfavoriteTweet)
+ */
+async function unlikeDirectPost(postUrl, guestID = null, options = {}) {
+  return runStatusMutation('unlike', postUrl, guestID, options);
+}
+
+/**
+ * Delete one of the account's posts using direct API (DeleteTweet)
+ */
+async function deleteDirectPost(postUrl, guestID = null, options = {}) {
+  return runStatusMutation('delete', postUrl, guestID, options);
+}
+
+/**
+ * Checks that an account's credentials still work with a read-only GraphQL
+ * call (Viewer). Nothing is posted and the post budget is not used.
+ * @param {string} guestID - Optional Guest ID for XPFF (will use stored if not provided)
+ * @param {Object} options - Optional account handle and timeoutMs for the request
+ * @returns {Promise<Object>} { success, username, message, status, data }
+ */
+async function verifyDirectSession(guestID = null, { account = null, timeoutMs = 10000 } = {}) {
+  const authToken = await getAuthToken(account);
+  const ct0 = await getCt0(authToken, account);
+
+  if (!guestID) {
+    guestID = await getStoredGuestId(account);
+    if (!guestID) {
+      throw new Error('Guest ID not found. Please run authentication first.');
+    }
+  }
+  const xpff = await generateXPFF(guestID);
+  const variables = encodeURIComponent(JSON.stringify({ withCommunitiesMemberships: false }));
+
+  const response = await timedGraphql('Viewer', {
+    method: 'GET',
+    url: xUrl(`${VIEWER_PATH}?variables=${variables}`),
+    headers: buildHeaders(authToken, ct0, xpff, ''),
+    timeout: timeoutMs,
+    httpsAgent: new (require('https').Agent)({
+      rejectUnauthorized: false // Equivalent to InsecureSkipVerify: true in Go
+    }),
+    validateStatus: () => true, // Accept any status code like Go does
+  });
+
+  // A rejected CT0 must not be reused for the next request
+  if (isCt0Rejected(response)) {
+    invalidateCt0(account, `Viewer returned ${response.status}`);
+  }
+
+  const username = response.status === 200
+    ? response.data?.data?.viewer?.user_results?.result?.legacy?.screen_name || null
+    : null;
+  const success = Boolean(username) && !response.data?.errors;
+
+  return {
+    success: success,
+    username: username,
+    message: success ? `Authenticated as @${username}` : 'Credentials were rejected',
+    status: response.status,
+    data: response.data
+  };
+}
+
 module.exports = {
+  parseStatusUrl,
+  isStatusUrl,
+  verifyDirectSession,
   createDirectPost,
-  replyDirectToPost
+  replyDirectToPost,
+  quoteDirectPost,
+  createDirectRepost,
+  deleteDirectRepost,
+  likeDirectPost,
+  unlikeDirectPost,
+  deleteDirectPost
 };
@@ -0,0 +1,236 @@
+/**
+ * Health Checks
+ * Readiness checks behind /readyz: Chromium can launch, every account's
+ * credentials pass a read-only GraphQL call, the proxy accepts connections
+ * and data/ is writable. Each check reports its own result and timing.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs').promises;
+const net = require('net');
+const path = require('path');
+const logger = require('./logger');
+const { listAccounts, resolveHandle } = require('./accountRegistry');
+const { getAuthToken } = require('./goCt0Manager');
+const { verifyDirectSession } = require('./goStyleDirectApiFix');
+const { probeBrowser } = require('../services/browserPool');
+
+// Constants
+const DATA_DIR = path.join(process.cwd(), 'data');
+const CHECK_TIMEOUT_MS = parseInt(process.env.READINESS_CHECK_TIMEOUT_MS || '20000', 10);
+const CACHE_MS = parseInt(process.env.READINESS_CACHE_MS || '15000', 10);
+const DEFAULT_PROXY_PORTS = { 'http:': 80, 'https:': 443, 'socks4:': 1080, 'socks5:': 1080 };
+
+// Module state
+let lastReport = null;
+let running = null;
+const sessions = new Map(); // account key -> { result, completedAt }
+
+/**
+ * Rejects when a check takes longer than its time budget
+ */
+function withTimeout(promise, timeoutMs) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((_, reject) => {
+      timer = setTimeout(() => reject(new Error(`Timed out after ${timeoutMs}ms`)), timeoutMs);
+    })
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Runs one check within the time budget
+ * @returns {Promise<Object>} { ok, duration_ms, ...details } or { ok, duration_ms, error }
+ */
+async function timed(check) {
+  const startedAt = Date.now();
+  try {
+    const details = await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { ok: details.ok !== false, duration_ms: Date.now() - startedAt, ...details };
+  } catch (error) {
+    return { ok: false, duration_ms: Date.now() - startedAt, error: error.message };
+  }
+}
+
+/**
+ * Chromium answers: the browser pool's browser, launched by the pool when
+ * none is running
+ */
+async function checkChromium() {
+  const { version, launched } = await probeBrowser();
+  return { version, launched };
+}
+
+/**
+ * Accounts to verify: the registered ones, plus the default account when it
+ * has credentials of its own (or when nothing is registered at all)
+ */
+async function accountsToVerify() {
+  const handles = (await listAccounts()).map(account => account.handle);
+  const defaultHandle = resolveHandle(null);
+  if (defaultHandle && handles.includes(defaultHandle)) {
+    return handles;
+  }
+
+  const hasDefaultToken = await getAuthToken(null).then(() => true, () => false);
+  return hasDefaultToken || handles.length === 0 ? [null, ...handles] : handles;
+}
+
+/**
+ * Key under which an account's Viewer result is cached; the default
+ * account and its registered handle share one entry
+ */
+function sessionKey(account) {
+  return account || resolveHandle(null) || '';
+}
+
+/**
+ * Runs the Viewer query for one account and caches the result
+ */
+async function verifyAccount(account) {
+  const result = await timed(async () => {
+    const session = await verifyDirectSession(null, { account, timeoutMs: CHECK_TIMEOUT_MS });
+    return session.success
+      ? { username: session.username, http_status: session.status }
+      : { ok: false, http_status: session.status, error: session.message };
+  });
+  const checked = { account, ...result };
+  sessions.set(sessionKey(account), { result: checked, completedAt: Date.now() });
+  return checked;
+}
+
+/**
+ * Every account's credentials pass the Viewer query, checked in parallel
+ */
+async function checkCredentials() {
+  const accounts = await Promise.all((await accountsToVerify()).map(verifyAccount));
+
+  return { ok: accounts.every(account => account.ok), accounts };
+}
+
+/**
+ * Parses PROXY_SERVER (host:port or scheme://host:port) into host and port
+ */
+function parseProxyServer(server) {
+  const url = new URL(server.includes('://') ? server : `http://${server}`);
+  return {
+    host: url.hostname,
+    port: parseInt(url.port, 10) || DEFAULT_PROXY_PORTS[url.protocol] || 80
+  };
+}
+
+/**
+ * The proxy Chromium is launched with (PROXY_SERVER) accepts TCP connections
+ */
+async function checkProxy() {
+  if (!process.env.PROXY_SERVER) {
+    return { configured: false };
+  }
+
+  const { host, port } = parseProxyServer(process.env.PROXY_SERVER);
+  await new Promise((resolve, reject) => {
+    const socket = net.connect({ host, port });
+    socket.setTimeout(CHECK_TIMEOUT_MS);
+    socket.once('connect', () => {
+      socket.destroy();
+      resolve();
+    });
+    socket.once('timeout', () => {
+      socket.destroy();
+      reject(new Error(`Proxy ${host}:${port} did not accept a connection within ${CHECK_TIMEOUT_MS}ms`));
+    });
+    socket.once('error', (error) => {
+      socket.destroy();
+      reject(new Error(`Proxy ${host}:${port} unreachable: ${error.message}`));
+    });
+  });
+  return { configured: true, server: `${host}:${port}` };
+}
+
+/**
+ * data/ accepts writes: a probe file is written, read back and removed
+ */
+async function checkDataDir() {
+  const probePath = path.join(DATA_DIR, `.readyz-${process.pid}`);
+  const token = String(Date.now());
+  await fs.mkdir(DATA_DIR, { recursive: true });
+  await fs.writeFile(probePath, token);
+  try {
+    if (await fs.readFile(probePath, 'utf8') !== token) {
+      throw new Error('Probe file read back different contents');
+    }
+  } finally {
+    await fs.unlink(probePath).catch(() => {});
+  }
+  return { path: path.relative(process.cwd(), DATA_DIR) };
+}
+
+/**
+ * Runs every check in parallel
+ */
+async function runChecks() {
+  const startedAt = Date.now();
+  const [chromium, credentials, proxy, dataDir] = await Promise.all([
+    timed(checkChromium),
+    timed(checkCredentials),
+    timed(checkProxy),
+    timed(checkDataDir)
+  ]);
+  const checks = { chromium, credentials, proxy, data_dir: dataDir };
+  const failed = Object.keys(checks).filter(name => !checks[name].ok);
+
+  if (failed.length > 0) {
+    logger.warn(`Readiness checks failed: ${failed.join(', ')}`);
+  }
+  return {
+    ready: failed.length === 0,
+    checked_at: new Date(startedAt).toISOString(),
+    duration_ms: Date.now() - startedAt,
+    checks
+  };
+}
+
+/**
+ * Returns the readiness report. Results are reused for READINESS_CACHE_MS
+ * so frequent probes do not launch Chromium or call X every time, and
+ * concurrent callers share one run.
+ * @param {Object} options - fresh: ignore the cached report
+ * @returns {Promise<Object>} { ready, checked_at, duration_ms, cached, checks }
+ */
+async function getReadiness({ fresh = false } = {}) {
+  if (!fresh && lastReport && Date.now() - lastReport.completedAt < CACHE_MS) {
+    return { ...lastReport.report, cached: true };
+  }
+
+  if (!running) {
+    running = runChecks()
+      .then((report) => {
+        lastReport = { report, completedAt: Date.now() };
+        return report;
+      })
+      .finally(() => {
+        running = null;
+      });
+  }
+  return { ...(await running), cached: false };
+}
+
+/**
+ * Result of the Viewer query for one account, reused for READINESS_CACHE_MS
+ * whether it came from /readyz or an earlier call
+ * @param {string|null} account - Account handle, null for the default
+ * @returns {Promise<Object>} { account, ok, username, http_status, error, checked_at }
+ */
+async function getSessionStatus(account) {
+  let cached = sessions.get(sessionKey(account));
+  if (!cached || Date.now() - cached.completedAt >= CACHE_MS) {
+    await verifyAccount(account);
+    cached = sessions.get(sessionKey(account));
+  }
+  return { ...cached.result, checked_at: new Date(cached.completedAt).toISOString() };
+}
+
+module.exports = {
+  getReadiness,
+  getSessionStatus
+};
@@ -0,0 +1,146 @@
+/**
+ * Idempotency Store
+ * Remembers the outcome of requests sent with an Idempotency-Key so client
+ * retries are answered from the record instead of posting twice
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const path = require('path');
+const logger = require('./logger');
+const { readJson, writeJson } = require('./jsonFileStore');
+
+// Constants
+const IDEMPOTENCY_PATH = path.join(process.cwd(), 'data', 'idempotency.json');
+const RETENTION_MS = parseFloat(process.env.IDEMPOTENCY_TTL_HOURS || '24') * 60 * 60 * 1000;
+
+// Module state
+let records = null;
+let loading = null;
+
+/**
+ * Loads records from disk once. Requests that were still in progress when
+ * the process died are marked interrupted: they may already have posted,
+ * so they are never replayed as new.
+ */
+function loadRecords() {
+  if (records) {
+    return Promise.resolve(records);
+  }
+  if (!loading) {
+    loading = (async () => {
+      const map = new Map();
+      let interrupted = 0;
+
+      for (const record of await readJson(IDEMPOTENCY_PATH, [])) {
+        if (record.state === 'in_progress') {
+          record.state = 'interrupted';
+          interrupted++;
+        }
+        map.set(record.key, record);
+      }
+
+      records = map;
+      if (interrupted > 0) {
+        logger.warn(`Marked ${interrupted} interrupted idempotent request(s)`);
+        await persistRecords();
+      }
+      return records;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Drops expired records and writes the rest to disk
+ */
+function persistRecords() {
+  const now = Date.now();
+  for (const [key, record] of records) {
+    if (new Date(record.expiresAt).getTime() <= now) {
+      records.delete(key);
+    }
+  }
+  return writeJson(IDEMPOTENCY_PATH, Array.from(records.values()));
+}
+
+/**
+ * Claims a key for a new request, or reports what is already recorded for it
+ * @param {string} key - Scoped idempotency key
+ * @param {string} fingerprint - Hash of the request method, path and body
+ * @returns {Promise<Object>} { state: 'new' | 'replay' | 'mismatch' | 'in_progress' | 'interrupted', record }
+ */
+async function beginRequest(key, fingerprint) {
+  await loadRecords();
+
+  const existing = records.get(key);
+  if (existing && new Date(existing.expiresAt).getTime() > Date.now()) {
+    if (existing.fingerprint !== fingerprint) {
+      return { state: 'mismatch', record: existing };
+    }
+    if (existing.state === 'completed') {
+      return { state: 'replay', record: existing };
+    }
+    return { state: existing.state, record: existing };
+  }
+
+  const now = new Date();
+  const record = {
+    key,
+    fingerprint,
+    state: 'in_progress',
+    statusCode: null,
+    response: null,
+    tweetId: null,
+    jobId: null,
+    createdAt: now.toISOString(),
+    completedAt: null,
+    expiresAt: new Date(now.getTime() + RETENTION_MS).toISOString()
+  };
+  records.set(key, record);
+  await persistRecords();
+
+  return { state: 'new', record };
+}
+
+/**
+ * Stores the response sent for a claimed key
+ * @param {string} key - Scoped idempotency key
+ * @param {number} statusCode - HTTP status sent
+ * @param {Object} response - JSON body sent
+ */
+async function completeRequest(key, statusCode, response) {
+  await loadRecords();
+
+  const record = records.get(key);
+  if (!record) {
+    return;
+  }
+
+  const data = (response && response.data) || {};
+  record.state = 'completed';
+  record.statusCode = statusCode;
+  record.response = response;
+  record.tweetId = data.tweetId || data.replyTweetId || null;
+  record.jobId = data.job_id || data.schedule_id || null;
+  record.completedAt = new Date().toISOString();
+  await persistRecords();
+}
+
+/**
+ * Releases a claimed key so the request can be retried
+ * @param {string} key - Scoped idempotency key
+ */
+async function releaseRequest(key) {
+  await loadRecords();
+
+  if (records.delete(key)) {
+    await persistRecords();
+  }
+}
+
+module.exports = {
+  beginRequest,
+  completeRequest,
+  releaseRequest
+};
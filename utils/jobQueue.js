@@ -0,0 +1,381 @@
+/**
+ * Persistent Job Queue
+ * File-backed queue so posting requests return immediately and survive restarts
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { readJson, writeJson } = require('./jsonFileStore');
+const { ERROR_CODES, classifyError } = require('./xErrors');
+const { publishEvent } = require('./eventBus');
+const { incrementCounter } = require('./metrics');
+const { getRequestId, runWithRequestId } = require('./requestContext');
+const { removeMediaFiles } = require('./mediaUpload');
+
+// Constants
+const DATA_DIR = path.join(process.cwd(), 'data');
+const JOBS_PATH = path.join(DATA_DIR, 'jobs.json');
+const POLL_INTERVAL_MS = parseInt(process.env.JOB_POLL_INTERVAL_MS || '1000', 10);
+const MAX_FINISHED_JOBS = parseInt(process.env.JOB_RETENTION_COUNT || '1000', 10);
+// Jobs run side by side up to JOB_MAX_CONCURRENCY, by default the browser pool's page limit
+const MAX_RUNNING_JOBS = parseInt(process.env.JOB_MAX_CONCURRENCY || process.env.BROWSER_POOL_MAX_CONCURRENCY || '2', 10);
+
+// Module state
+let jobs = null;
+let loading = null;
+let workerTimer = null;
+let workerRunning = false;
+const inFlight = new Set(); // IDs of the jobs this worker is running
+const handlers = {};
+
+/**
+ * Loads jobs from disk once and recovers jobs interrupted by a restart.
+ * Jobs that were running when the process died are marked failed instead of
+ * re-run, because a half-finished browser flow may already have posted.
+ * Concurrent callers share one load, and a failed load is retried by the
+ * next caller.
+ */
+function loadJobs() {
+  if (jobs) {
+    return Promise.resolve(jobs);
+  }
+  if (!loading) {
+    loading = readJobs().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Reads the queue file and marks interrupted jobs failed
+ */
+async function readJobs() {
+  const map = new Map();
+  for (const job of await readJson(JOBS_PATH, [])) {
+    map.set(job.id, job);
+  }
+  jobs = map;
+
+  let interrupted = 0;
+  for (const job of jobs.values()) {
+    if (job.status === 'running') {
+      const now = new Date().toISOString();
+      job.status = 'failed';
+      job.error = { message: 'Job interrupted by service restart - verify on X before retrying' };
+      job.updatedAt = now;
+      job.finishedAt = now;
+      publishEvent('job.failed', jobEventData(job));
+      releaseMedia(job);
+      interrupted++;
+    }
+  }
+
+  if (interrupted > 0) {
+    logger.warn(`Marked ${interrupted} interrupted job(s) as failed`);
+    await persistJobs();
+  }
+
+  logger.info(`Job queue loaded with ${jobs.size} job(s)`);
+  return jobs;
+}
+
+/**
+ * Writes the queue to disk
+ */
+function persistJobs() {
+  return writeJson(JOBS_PATH, Array.from(jobs.values()));
+}
+
+/**
+ * Drops the oldest finished jobs beyond the retention count
+ */
+function pruneFinishedJobs() {
+  const finished = Array.from(jobs.values())
+    .filter(job => job.status === 'succeeded' || job.status === 'failed')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  const excess = finished.length - MAX_FINISHED_JOBS;
+  for (let i = 0; i < excess; i++) {
+    jobs.delete(finished[i].id);
+  }
+}
+
+/**
+ * Applies changes to a job and persists the queue
+ */
+async function updateJob(job, changes) {
+  Object.assign(job, changes, { updatedAt: new Date().toISOString() });
+  await persistJobs();
+  return job;
+}
+
+/**
+ * Builds the event data of a job: its state plus the tweet ID, error code
+ * and screenshot reference clients need without fetching the job
+ */
+function jobEventData(job) {
+  const result = job.result || {};
+  const error = job.error || {};
+  const firstPart = (result.parts && result.parts[0]) || {};
+  const screenshot = result.screenshot || error.screenshot || null;
+
+  return {
+    job_id: job.id,
+    job_type: job.type,
+    request_id: job.requestId || null,
+    status: job.status,
+    account: job.payload.account || null,
+    attempts: job.attempts,
+    tweet_id: result.tweetId || firstPart.tweetId || null,
+    url: result.url || result.threadUrl || null,
+    error_code: error.code || null,
+    error: error.message || null,
+    screenshot: screenshot ? path.basename(screenshot) : null,
+    screenshot_url: screenshot ? `/api/screenshots/${path.basename(screenshot)}` : null,
+    run_after: job.runAfter || null,
+    result: job.result
+  };
+}
+
+/**
+ * Deletes the uploaded attachments of a finished job. Jobs of recurring
+ * schedules share the files with the next runs and leave them in place.
+ */
+function releaseMedia(job) {
+  return job.keepMedia ? Promise.resolve() : removeMediaFiles(job.payload.media);
+}
+
+/**
+ * Checks whether a queued job may run now (deferred jobs wait for runAfter)
+ */
+function isDue(job, now = new Date().toISOString()) {
+  return job.status === 'queued' && (!job.runAfter || job.runAfter <= now);
+}
+
+/**
+ * Adds a job to the queue
+ * @param {string} type - Job type, must have a registered handler
+ * @param {Object} payload - Data passed to the handler
+ * @param {Object} options - keepMedia: leave payload.media files in place when the job finishes
+ * @returns {Promise<Object>} The queued job
+ */
+async function enqueueJob(type, payload, { keepMedia = false } = {}) {
+  await loadJobs();
+
+  if (!handlers[type]) {
+    throw new Error(`No handler registered for job type: ${type}`);
+  }
+
+  const now = new Date().toISOString();
+  const job = {
+    id: uuidv4(),
+    type,
+    status: 'queued',
+    payload,
+    keepMedia,
+    requestId: getRequestId(),
+    result: null,
+    error: null,
+    attempts: 0,
+    runAfter: null,
+    createdAt: now,
+    updatedAt: now,
+    startedAt: null,
+    finishedAt: null
+  };
+
+  jobs.set(job.id, job);
+  pruneFinishedJobs();
+  await persistJobs();
+  logger.info(`Job queued: ${job.id} (${type})`);
+  publishEvent('job.queued', jobEventData(job));
+
+  // Pick the job up right away instead of waiting for the next poll,
+  // outside the context of the request that queued it
+  if (workerRunning) {
+    setImmediate(() => runWithRequestId(null, processNext));
+  }
+
+  return job;
+}
+
+/**
+ * Gets a job by ID
+ * @param {string} id - Job ID
+ * @returns {Promise<Object|null>} The job or null
+ */
+async function getJob(id) {
+  await loadJobs();
+  return jobs.get(id) || null;
+}
+
+/**
+ * Lists jobs, newest first
+ * @param {Object} filters - Optional status, account (null for the default account) and limit
+ * @returns {Promise<Array<Object>>} Matching jobs
+ */
+async function listJobs({ status, account, limit = 50 } = {}) {
+  await loadJobs();
+  return Array.from(jobs.values())
+    .filter(job => !status || job.status === status)
+    .filter(job => account === undefined || (job.payload.account || null) === account)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Counts jobs by status
+ * @returns {Promise<Object>} status -> number of jobs
+ */
+async function countJobs() {
+  await loadJobs();
+  const counts = { queued: 0, running: 0, succeeded: 0, failed: 0 };
+  for (const job of jobs.values()) {
+    counts[job.status] = (counts[job.status] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Registers the function that runs jobs of a given type
+ * @param {string} type - Job type
+ * @param {Function} handler - async (payload, job) => result
+ */
+function registerHandler(type, handler) {
+  handlers[type] = handler;
+}
+
+/**
+ * Runs one job through its handler and records the outcome
+ */
+async function runJob(job) {
+  await updateJob(job, {
+    status: 'running',
+    attempts: job.attempts + 1,
+    startedAt: new Date().toISOString()
+  });
+  logger.info(`Job started: ${job.id} (${job.type})`);
+  publishEvent('job.started', jobEventData(job));
+
+  try {
+    const result = await handlers[job.type](job.payload, job);
+    const succeeded = !result || result.success !== false;
+
+    // Nothing was sent: wait in the queue until the account has budget again
+    if (!succeeded && result.errorCode === ERROR_CODES.POST_BUDGET_EXCEEDED && result.retryAfter) {
+      await updateJob(job, {
+        status: 'queued',
+        runAfter: new Date(Date.now() + result.retryAfter * 1000).toISOString(),
+        error: { message: result.message, code: result.errorCode }
+      });
+      logger.info(`Job deferred: ${job.id} until ${job.runAfter}`);
+      incrementCounter('xposts_retries_total', { source: 'queue', action: job.type, error_code: result.errorCode });
+      publishEvent('job.retrying', jobEventData(job));
+      return;
+    }
+
+    await updateJob(job, {
+      status: succeeded ? 'succeeded' : 'failed',
+      result: result || null,
+      error: succeeded ? null : { message: result.message, code: result.errorCode || null },
+      finishedAt: new Date().toISOString()
+    });
+    logger.info(`Job ${job.status}: ${job.id}`);
+    publishEvent(succeeded ? 'job.succeeded' : 'job.failed', jobEventData(job));
+    await releaseMedia(job);
+  } catch (error) {
+    logger.error(`Job failed: ${job.id} - ${error.message}`);
+    await updateJob(job, {
+      status: 'failed',
+      error: {
+        message: error.message,
+        code: classifyError(error).code,
+        screenshot: error.screenshot || null
+      },
+      finishedAt: new Date().toISOString()
+    });
+    publishEvent('job.failed', jobEventData(job));
+    await releaseMedia(job);
+  }
+}
+
+/**
+ * Starts the oldest due job when a slot is free, and keeps filling slots
+ * while jobs are due
+ */
+async function processNext() {
+  if (inFlight.size >= MAX_RUNNING_JOBS) {
+    return;
+  }
+
+  try {
+    await loadJobs();
+  } catch (error) {
+    logger.error(`Job worker error: ${error.message}`, { stack: error.stack });
+    return;
+  }
+
+  // Picked and claimed without awaiting, so concurrent calls never take the same job
+  const job = Array.from(jobs.values())
+    .filter(j => isDue(j) && !inFlight.has(j.id))
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt))[0];
+  if (!job || inFlight.size >= MAX_RUNNING_JOBS) {
+    return;
+  }
+  inFlight.add(job.id);
+  if (workerRunning) {
+    setImmediate(processNext);
+  }
+
+  try {
+    // Logs and screenshots of the job carry the ID of the request that queued it
+    await runWithRequestId(job.requestId || job.id, () => runJob(job));
+  } catch (error) {
+    logger.error(`Job worker error: ${error.message}`, { stack: error.stack });
+  } finally {
+    inFlight.delete(job.id);
+  }
+
+  // Keep draining while there is work due
+  const hasMore = Array.from(jobs.values()).some(j => isDue(j));
+  if (hasMore && workerRunning) {
+    setImmediate(processNext);
+  }
+}
+
+/**
+ * Starts the background worker loop
+ */
+async function startWorker() {
+  if (workerRunning) {
+    return;
+  }
+  await loadJobs();
+  workerRunning = true;
+  workerTimer = setInterval(processNext, POLL_INTERVAL_MS);
+  logger.info('Job worker started');
+  processNext();
+}
+
+/**
+ * Stops the background worker loop
+ */
+function stopWorker() {
+  workerRunning = false;
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  enqueueJob,
+  getJob,
+  listJobs,
+  countJobs,
+  registerHandler,
+  startWorker,
+  stopWorker
+};
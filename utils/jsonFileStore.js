@@ -0,0 +1,71 @@
+/**
+ * JSON File Store
+ * Shared read/write helpers for the JSON state files kept under data/
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+
+// One write chain per file so concurrent saves never interleave
+const writeChains = new Map();
+
+/**
+ * Reads and parses a JSON file. Only a missing file yields the fallback: a
+ * damaged or unreadable file throws, because callers save their state back
+ * and would overwrite it.
+ * @param {string} filePath - File to read
+ * @param {*} fallback - Value returned when the file does not exist
+ * @returns {Promise<*>} Parsed contents or the fallback
+ * @throws {Error} When the file cannot be read or parsed
+ */
+async function readJson(filePath, fallback) {
+  let json;
+  try {
+    json = await fs.readFile(filePath, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return fallback;
+    }
+    logger.error(`Failed to read ${path.basename(filePath)}: ${error.message}`);
+    throw error;
+  }
+
+  try {
+    return JSON.parse(json);
+  } catch (error) {
+    logger.error(`Failed to parse ${path.basename(filePath)}: ${error.message}`);
+    throw new Error(`${path.basename(filePath)} is not valid JSON: ${error.message}`);
+  }
+}
+
+/**
+ * Writes a JSON file through a temp file and rename, so a crash
+ * never leaves a truncated file behind
+ * @param {string} filePath - File to write
+ * @param {*} data - Serializable data
+ * @returns {Promise<void>}
+ */
+function writeJson(filePath, data) {
+  const json = JSON.stringify(data, null, 2);
+  const previous = writeChains.get(filePath) || Promise.resolve();
+
+  const next = previous.then(async () => {
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      const tmpPath = `${filePath}.tmp`;
+      await fs.writeFile(tmpPath, json);
+      await fs.rename(tmpPath, filePath);
+    } catch (error) {
+      logger.error(`Failed to write ${path.basename(filePath)}: ${error.message}`);
+    }
+  });
+
+  writeChains.set(filePath, next);
+  return next;
+}
+
+module.exports = {
+  readJson,
+  writeJson
+};
@@ -5,6 +5,7 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
+const { getRequestId } = require('./requestContext');
 
 // Ensure logs directory exists
 const logDir = path.join(process.cwd(), 'logs');
@@ -23,10 +24,20 @@ const getLogFileName = () => {
   return path.join(logDir, `app-${date}.log`);
 };
 
+// Tags every entry with the request ID of the current request or job
+const requestIdFormat = winston.format((info) => {
+  const requestId = getRequestId();
+  if (requestId && !info.requestId) {
+    info.requestId = requestId;
+  }
+  return info;
+});
+
 // Create Winston logger
 const logger = winston.createLogger({
   level: process.env.NODE_ENV === 'production' ? 'info' : 'debug',
   format: winston.format.combine(
+    requestIdFormat(),
     winston.format.timestamp({
       format: 'YYYY-MM-DD HH:mm:ss.SSS'
     }),
@@ -80,7 +91,8 @@ logger.captureErrorScreenshot = async (page, errorMessage) => {
   
   try {
     const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-    const screenshotPath = path.join(screenshotsDir, `error_${timestamp}.png`);
+    const requestId = getRequestId();
+    const screenshotPath = path.join(screenshotsDir, `error_${timestamp}${requestId ? `_${requestId}` : ''}.png`);
     await page.screenshot({ path: screenshotPath, fullPage: true });
     logger.info(`Error screenshot saved: ${screenshotPath}`, { errorMessage });
     return screenshotPath;
@@ -94,7 +106,7 @@ logger.captureErrorScreenshot = async (page, errorMessage) => {
 logger.logRequest = (req, message) => {
   const ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
   logger.info(message, {
-    requestId: req.id || 'unknown',
+    requestId: req.id || getRequestId() || 'unknown',
     ip,
     method: req.method,
     path: req.originalUrl || req.url,
@@ -107,7 +119,7 @@ logger.logError = (error, req = null) => {
   const metadata = { stack: error.stack };
   
   if (req) {
-    metadata.requestId = req.id || 'unknown';
+    metadata.requestId = req.id || getRequestId() || 'unknown';
     metadata.ip = req.headers['x-forwarded-for'] || req.connection.remoteAddress;
     metadata.method = req.method;
     metadata.path = req.originalUrl || req.url;
@@ -0,0 +1,262 @@
+/**
+ * Media Upload Utility
+ * Uploads images, GIFs and videos through X's chunked media upload flow
+ * (INIT / APPEND / FINALIZE / STATUS) and returns media IDs for CreateTweet
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const axios = require('axios');
+const fs = require('fs').promises;
+const path = require('path');
+const logger = require('./logger');
+const { X_BASE_URL, xUrl, uploadUrl } = require('./xEndpoints');
+
+// Constants
+const UPLOAD_URL = uploadUrl('/i/media/upload.json');
+const METADATA_URL = xUrl('/i/api/1.1/media/metadata/create.json');
+const BEARER_TOKEN = "AAAAAAAAAAAAAAAAAAAAANRILgAAAAAAnNwIzUejRCOuH5E6I8xnZz4puTs%3D1Zv7ttfk8LF81IUq16cHjhLTvJu4FA33AGWWjCpTnA";
+const CHUNK_SIZE = 1024 * 1024; // 1MB raw per APPEND (base64 stays well under X's 5MB limit)
+const MAX_STATUS_CHECKS = 60;
+const MAX_ALT_TEXT_LENGTH = 1000;
+
+// X's size limit per media category
+const MAX_BYTES = {
+  tweet_image: 5 * 1024 * 1024,
+  tweet_gif: 15 * 1024 * 1024,
+  tweet_video: 512 * 1024 * 1024
+};
+
+const SUPPORTED_TYPES = {
+  'image/jpeg': 'tweet_image',
+  'image/png': 'tweet_image',
+  'image/webp': 'tweet_image',
+  'image/gif': 'tweet_gif',
+  'video/mp4': 'tweet_video',
+  'video/quicktime': 'tweet_video'
+};
+
+/**
+ * Checks whether a MIME type can be uploaded
+ * @param {string} mimeType - MIME type of the file
+ * @returns {boolean} True when supported
+ */
+function isSupportedMediaType(mimeType) {
+  return Boolean(SUPPORTED_TYPES[mimeType]);
+}
+
+/**
+ * Largest file X accepts for a MIME type
+ * @param {string} mimeType - MIME type of the file
+ * @returns {number|null} Size limit in bytes, or null for unsupported types
+ */
+function getMaxMediaBytes(mimeType) {
+  return SUPPORTED_TYPES[mimeType] ? MAX_BYTES[SUPPORTED_TYPES[mimeType]] : null;
+}
+
+/**
+ * Builds the session headers the upload endpoints expect
+ */
+function buildHeaders(authToken, ct0, extraHeaders = {}) {
+  return {
+    'Cookie': `auth_token=${authToken}; ct0=${ct0}`,
+    'Authorization': `Bearer ${BEARER_TOKEN}`,
+    'X-Csrf-Token': ct0,
+    'X-Twitter-Auth-Type': 'OAuth2Session',
+    'X-Twitter-Active-User': 'yes',
+    'X-Twitter-Client-Language': 'en',
+    'User-Agent': 'Mozilla/5.0 (X11; Linux x86_64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/138.0.0.0 Safari/537.36',
+    'Origin': X_BASE_URL,
+    'Referer': xUrl('/'),
+    ...extraHeaders
+  };
+}
+
+/**
+ * Sends one form-encoded upload command and returns the parsed body
+ */
+async function uploadCommand(method, params, headers) {
+  const response = await axios({
+    method,
+    url: UPLOAD_URL,
+    headers: method === 'POST'
+      ? { ...headers, 'Content-Type': 'application/x-www-form-urlencoded' }
+      : headers,
+    params: method === 'GET' ? params : undefined,
+    data: method === 'POST' ? new URLSearchParams(params).toString() : undefined,
+    maxBodyLength: Infinity,
+    validateStatus: () => true
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    const error = new Error(`Media ${params.command} failed with status ${response.status}`);
+    error.status = response.status;
+    error.data = response.data;
+    throw error;
+  }
+
+  return response.data;
+}
+
+/**
+ * Polls STATUS until X has finished processing the media
+ */
+async function waitForProcessing(mediaId, processingInfo, headers) {
+  let info = processingInfo;
+
+  for (let i = 0; i < MAX_STATUS_CHECKS && info; i++) {
+    if (info.state === 'succeeded') {
+      return;
+    }
+    if (info.state === 'failed') {
+      throw new Error(`Media processing failed: ${info.error?.message || 'unknown error'}`);
+    }
+
+    const waitSeconds = info.check_after_secs || 1;
+    logger.info(`Media ${mediaId} ${info.state}, checking again in ${waitSeconds}s`);
+    await new Promise(resolve => setTimeout(resolve, waitSeconds * 1000));
+
+    const status = await uploadCommand('GET', { command: 'STATUS', media_id: mediaId }, headers);
+    info = status.processing_info;
+  }
+
+  if (info && info.state !== 'succeeded') {
+    throw new Error(`Media ${mediaId} still processing after ${MAX_STATUS_CHECKS} checks`);
+  }
+}
+
+/**
+ * Attaches alt text to an uploaded media item
+ */
+async function setAltText(mediaId, altText, authToken, ct0) {
+  const response = await axios({
+    method: 'POST',
+    url: METADATA_URL,
+    headers: buildHeaders(authToken, ct0, { 'Content-Type': 'application/json' }),
+    data: JSON.stringify({
+      media_id: mediaId,
+      alt_text: { text: altText.substring(0, MAX_ALT_TEXT_LENGTH) }
+    }),
+    validateStatus: () => true
+  });
+
+  if (response.status < 200 || response.status >= 300) {
+    throw new Error(`Failed to set alt text on media ${mediaId} (status ${response.status})`);
+  }
+}
+
+/**
+ * Uploads one file through the chunked upload flow. The file is read one
+ * chunk at a time, so large videos are never held in memory whole.
+ * @param {Object} media - { path, mimetype, altText }
+ * @param {string} authToken - auth_token cookie value
+ * @param {string} ct0 - ct0 cookie value
+ * @returns {Promise<string>} The media ID
+ */
+async function uploadMedia(media, authToken, ct0) {
+  const { path: filePath, mimetype, altText } = media;
+  const category = SUPPORTED_TYPES[mimetype];
+  if (!category) {
+    throw new Error(`Unsupported media type: ${mimetype}`);
+  }
+
+  const { size } = await fs.stat(filePath);
+  if (size > MAX_BYTES[category]) {
+    throw new Error(`${path.basename(filePath)} is ${size} bytes, X accepts up to ${MAX_BYTES[category]} bytes for ${mimetype}`);
+  }
+  const headers = buildHeaders(authToken, ct0);
+  logger.info(`Uploading ${path.basename(filePath)} (${mimetype}, ${size} bytes)`);
+
+  // INIT
+  const init = await uploadCommand('POST', {
+    command: 'INIT',
+    total_bytes: size,
+    media_type: mimetype,
+    media_category: category
+  }, headers);
+  const mediaId = init.media_id_string;
+  if (!mediaId) {
+    throw new Error('Media INIT did not return a media ID');
+  }
+
+  // APPEND, one chunk read from disk at a time
+  const file = await fs.open(filePath, 'r');
+  try {
+    const chunk = Buffer.alloc(Math.min(CHUNK_SIZE, size));
+    for (let offset = 0, segment = 0; offset < size; segment++) {
+      const { bytesRead } = await file.read(chunk, 0, chunk.length, offset);
+      if (bytesRead === 0) {
+        throw new Error(`${path.basename(filePath)} ended after ${offset} of ${size} bytes`);
+      }
+      await uploadCommand('POST', {
+        command: 'APPEND',
+        media_id: mediaId,
+        segment_index: segment,
+        media_data: chunk.subarray(0, bytesRead).toString('base64')
+      }, headers);
+      offset += bytesRead;
+    }
+  } finally {
+    await file.close();
+  }
+
+  // FINALIZE, then STATUS while X transcodes GIFs and videos
+  const finalize = await uploadCommand('POST', { command: 'FINALIZE', media_id: mediaId }, headers);
+  await waitForProcessing(mediaId, finalize.processing_info, headers);
+
+  if (altText) {
+    await setAltText(mediaId, altText, authToken, ct0);
+  }
+
+  logger.info(`Media uploaded: ${mediaId}`);
+  return mediaId;
+}
+
+/**
+ * Uploads every attachment and returns the CreateTweet media variables
+ * @param {string} authToken - auth_token cookie value
+ * @param {string} ct0 - ct0 cookie value
+ * @param {Array<Object>} mediaList - Attachments ({ path, mimetype, altText })
+ * @param {boolean} sensitive - Mark the media as possibly sensitive
+ * @param {Map|null} uploads - Attachment -> media ID of earlier attempts;
+ *   attachments found here are not uploaded again, new uploads are added
+ * @returns {Promise<Object>} { media_entities, possibly_sensitive }
+ */
+async function buildMediaVariables(authToken, ct0, mediaList = [], sensitive = false, uploads = null) {
+  const mediaEntities = [];
+  for (const media of mediaList) {
+    let mediaId = uploads && uploads.get(media);
+    if (mediaId) {
+      logger.info(`Reusing uploaded media ${mediaId}`);
+    } else {
+      mediaId = await uploadMedia(media, authToken, ct0);
+      if (uploads) {
+        uploads.set(media, mediaId);
+      }
+    }
+    mediaEntities.push({ media_id: mediaId, tagged_users: [] });
+  }
+
+  return {
+    media_entities: mediaEntities,
+    possibly_sensitive: Boolean(sensitive)
+  };
+}
+
+/**
+ * Deletes the stored files of attachments that will not be posted again
+ * @param {Array<Object>} mediaList - Attachments ({ path })
+ */
+async function removeMediaFiles(mediaList = []) {
+  await Promise.all((mediaList || []).map(media => fs.unlink(media.path).catch((error) => {
+    if (error.code !== 'ENOENT') {
+      logger.warn(`Failed to delete ${path.basename(media.path)}: ${error.message}`);
+    }
+  })));
+}
+
+module.exports = {
+  isSupportedMediaType,
+  getMaxMediaBytes,
+  uploadMedia,
+  buildMediaVariables,
+  removeMediaFiles
+};
@@ -0,0 +1,240 @@
+/**
+ * Metrics
+ * In-process counters, gauges and histograms rendered in the Prometheus
+ * text exposition format for GET /metrics. No client library or push
+ * gateway is needed: Prometheus scrapes the endpoint directly.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+
+// Constants
+const CT0_BUCKETS = [0.5, 1, 2.5, 5, 10, 20, 30, 60, 120];
+const GRAPHQL_BUCKETS = [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+const BROWSER_FLOW_BUCKETS = [1, 2.5, 5, 10, 20, 30, 60, 120, 300];
+const METRICS = {
+  xposts_actions_total: {
+    type: 'counter',
+    help: 'Posting engine actions by backend and outcome (success or error code)',
+    labels: ['action', 'backend', 'outcome']
+  },
+  xposts_retries_total: {
+    type: 'counter',
+    help: 'Retries of posting actions: in-engine retries and jobs deferred by the post budget',
+    labels: ['source', 'action', 'error_code']
+  },
+  xposts_ct0_fetch_duration_seconds: {
+    type: 'histogram',
+    help: 'Time to acquire a CT0 token through the browser, retries included',
+    labels: ['outcome'],
+    buckets: CT0_BUCKETS
+  },
+  xposts_graphql_request_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of GraphQL calls to X by operation and HTTP status',
+    labels: ['operation', 'status'],
+    buckets: GRAPHQL_BUCKETS
+  },
+  xposts_browser_flow_duration_seconds: {
+    type: 'histogram',
+    help: 'Duration of full Puppeteer posting flows by action and outcome',
+    labels: ['action', 'outcome'],
+    buckets: BROWSER_FLOW_BUCKETS
+  },
+  xposts_browser_launches_total: {
+    type: 'counter',
+    help: 'Chromium launches by purpose (pool or ct0) and outcome',
+    labels: ['purpose', 'outcome']
+  },
+  xposts_browser_crashes_total: {
+    type: 'counter',
+    help: 'Pooled browsers that disconnected or stopped answering health checks',
+    labels: ['reason']
+  },
+  xposts_browser_pool_leases: {
+    type: 'gauge',
+    help: 'Browser pages currently leased',
+    labels: []
+  },
+  xposts_browser_pool_waiting: {
+    type: 'gauge',
+    help: 'Callers waiting for a browser page',
+    labels: []
+  },
+  xposts_queue_jobs: {
+    type: 'gauge',
+    help: 'Jobs in the queue by status; status="queued" is the queue depth',
+    labels: ['status']
+  },
+  xposts_post_budget_remaining: {
+    type: 'gauge',
+    help: 'Posts left in the account budget by window (hourly, daily or x)',
+    labels: ['account', 'window']
+  },
+  xposts_post_budget_limit: {
+    type: 'gauge',
+    help: 'Size of the account budget by window (hourly, daily or x)',
+    labels: ['account', 'window']
+  },
+  process_resident_memory_bytes: {
+    type: 'gauge',
+    help: 'Resident memory size in bytes',
+    labels: []
+  },
+  process_start_time_seconds: {
+    type: 'gauge',
+    help: 'Start time of the process since the Unix epoch in seconds',
+    labels: []
+  }
+};
+
+// Module state: metric name -> Map(label key -> { values, value } or { values, counts, sum, count })
+const series = new Map(Object.keys(METRICS).map(name => [name, new Map()]));
+
+/**
+ * Returns the definition of a metric, throwing for unknown names
+ */
+function definitionOf(name, type) {
+  const definition = METRICS[name];
+  if (!definition || definition.type !== type) {
+    throw new Error(`Unknown ${type} metric: ${name}`);
+  }
+  return definition;
+}
+
+/**
+ * Returns the series of a metric for a set of labels, creating it when needed
+ */
+function seriesOf(name, definition, labels, create) {
+  const values = definition.labels.map(label => String(labels[label] === undefined || labels[label] === null ? '' : labels[label]));
+  const key = values.join('\u0000');
+  const metricSeries = series.get(name);
+  if (!metricSeries.has(key)) {
+    metricSeries.set(key, { values, ...create() });
+  }
+  return metricSeries.get(key);
+}
+
+/**
+ * Increments a counter
+ * @param {string} name - Counter name
+ * @param {Object} labels - Label values
+ * @param {number} value - Amount to add
+ */
+function incrementCounter(name, labels = {}, value = 1) {
+  const definition = definitionOf(name, 'counter');
+  seriesOf(name, definition, labels, () => ({ value: 0 })).value += value;
+}
+
+/**
+ * Sets a gauge
+ * @param {string} name - Gauge name
+ * @param {Object} labels - Label values
+ * @param {number} value - Current value
+ */
+function setGauge(name, labels = {}, value = 0) {
+  const definition = definitionOf(name, 'gauge');
+  seriesOf(name, definition, labels, () => ({ value: 0 })).value = value;
+}
+
+/**
+ * Drops every series of a gauge, so label sets that no longer exist
+ * (e.g. removed accounts) stop being reported
+ * @param {string} name - Gauge name
+ */
+function resetGauge(name) {
+  definitionOf(name, 'gauge');
+  series.get(name).clear();
+}
+
+/**
+ * Records an observation in a histogram
+ * @param {string} name - Histogram name
+ * @param {Object} labels - Label values
+ * @param {number} value - Observed value (seconds for durations)
+ */
+function observeHistogram(name, labels = {}, value) {
+  const definition = definitionOf(name, 'histogram');
+  const histogram = seriesOf(name, definition, labels, () => ({
+    counts: definition.buckets.map(() => 0),
+    sum: 0,
+    count: 0
+  }));
+  definition.buckets.forEach((bound, index) => {
+    if (value <= bound) {
+      histogram.counts[index]++;
+    }
+  });
+  histogram.sum += value;
+  histogram.count++;
+}
+
+/**
+ * Starts timing an operation for a duration histogram
+ * @param {string} name - Histogram name
+ * @param {Object} labels - Labels known at the start
+ * @returns {Function} (labels) => seconds: records the duration with the
+ *   labels known at the end (e.g. the outcome)
+ */
+function startTimer(name, labels = {}) {
+  definitionOf(name, 'histogram');
+  const startedAt = process.hrtime.bigint();
+  return (endLabels = {}) => {
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    observeHistogram(name, { ...labels, ...endLabels }, seconds);
+    return seconds;
+  };
+}
+
+/**
+ * Escapes a label value for the text format
+ */
+function escapeLabel(value) {
+  return value.replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * Formats a label set, with extra pairs such as the histogram bucket
+ */
+function formatLabels(names, values, extra = []) {
+  const pairs = names.map((label, index) => [label, values[index]]).concat(extra);
+  return pairs.length === 0
+    ? ''
+    : `{${pairs.map(([label, value]) => `${label}="${escapeLabel(value)}"`).join(',')}}`;
+}
+
+/**
+ * Renders every metric in the Prometheus text exposition format (0.0.4)
+ * @returns {string} The metrics page
+ */
+function renderMetrics() {
+  setGauge('process_resident_memory_bytes', {}, process.memoryUsage().rss);
+  setGauge('process_start_time_seconds', {}, Math.floor(Date.now() / 1000 - process.uptime()));
+
+  const lines = [];
+  for (const [name, definition] of Object.entries(METRICS)) {
+    lines.push(`# HELP ${name} ${definition.help}`);
+    lines.push(`# TYPE ${name} ${definition.type}`);
+
+    for (const entry of series.get(name).values()) {
+      if (definition.type !== 'histogram') {
+        lines.push(`${name}${formatLabels(definition.labels, entry.values)} ${entry.value}`);
+        continue;
+      }
+      definition.buckets.forEach((bound, index) => {
+        lines.push(`${name}_bucket${formatLabels(definition.labels, entry.values, [['le', String(bound)]])} ${entry.counts[index]}`);
+      });
+      lines.push(`${name}_bucket${formatLabels(definition.labels, entry.values, [['le', '+Inf']])} ${entry.count}`);
+      lines.push(`${name}_sum${formatLabels(definition.labels, entry.values)} ${entry.sum}`);
+      lines.push(`${name}_count${formatLabels(definition.labels, entry.values)} ${entry.count}`);
+    }
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+module.exports = {
+  incrementCounter,
+  setGauge,
+  resetGauge,
+  observeHistogram,
+  startTimer,
+  renderMetrics
+};
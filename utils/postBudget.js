@@ -0,0 +1,187 @@
+/**
+ * Post Budget
+ * Per-account token buckets that keep the service under X's posting limits:
+ * one bucket per hour and one per day, plus the budget X itself reports in
+ * the `x-rate-limit-*` headers of CreateTweet responses.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const logger = require('./logger');
+const { resolveHandle } = require('./accountRegistry');
+
+// Constants
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+const LIMITS = [
+  { name: 'hourly', windowMs: HOUR_MS, capacity: parseInt(process.env.POST_LIMIT_PER_HOUR || '100', 10) },
+  { name: 'daily', windowMs: DAY_MS, capacity: parseInt(process.env.POST_LIMIT_PER_DAY || '2400', 10) }
+].filter(limit => limit.capacity > 0);
+const MAX_WAIT_MS = parseInt(process.env.POST_LIMIT_MAX_WAIT_SECONDS || '0', 10) * 1000;
+
+// Module state: account key -> { buckets, x }
+const budgets = new Map();
+
+/**
+ * Budget key for an account ('' is the legacy single account)
+ */
+function budgetKey(account) {
+  return resolveHandle(account) || '';
+}
+
+/**
+ * Label for log lines
+ */
+function accountLabel(key) {
+  return key ? `@${key}` : 'default account';
+}
+
+/**
+ * Returns the budget of an account with its buckets refilled up to now
+ */
+function getBudget(key, now = Date.now()) {
+  let budget = budgets.get(key);
+  if (!budget) {
+    budget = {
+      buckets: LIMITS.map(limit => ({ ...limit, tokens: limit.capacity, updatedAt: now })),
+      x: null
+    };
+    budgets.set(key, budget);
+  }
+
+  for (const bucket of budget.buckets) {
+    const refill = (now - bucket.updatedAt) * bucket.capacity / bucket.windowMs;
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + refill);
+    bucket.updatedAt = now;
+  }
+
+  // X's window is over: its budget is unknown until the next response
+  if (budget.x && now >= budget.x.resetAt) {
+    budget.x = null;
+  }
+  return budget;
+}
+
+/**
+ * Milliseconds until every bucket holds `count` tokens and X's budget allows
+ * `count` posts. A bucket is never asked for more than its capacity.
+ */
+function waitFor(budget, now, count = 1) {
+  let waitMs = 0;
+  for (const bucket of budget.buckets) {
+    const needed = Math.min(count, bucket.capacity);
+    if (bucket.tokens < needed) {
+      waitMs = Math.max(waitMs, Math.ceil((needed - bucket.tokens) * bucket.windowMs / bucket.capacity));
+    }
+  }
+  if (budget.x && budget.x.remaining < count) {
+    waitMs = Math.max(waitMs, budget.x.resetAt - now);
+  }
+  return waitMs;
+}
+
+/**
+ * Takes posts from an account's budget, all or none. When the budget is too
+ * low the posts are either reserved for when tokens free up (if that is
+ * within maxWaitMs) or refused; reserved posts are served in order of arrival.
+ * @param {string|null} account - Account handle, null for the default account
+ * @param {Object} options - maxWaitMs, longest acceptable wait (POST_LIMIT_MAX_WAIT_SECONDS),
+ *   and count, number of posts to take (default 1, e.g. every part of a thread)
+ * @returns {Object} { granted, waitMs, retryAfter } - retryAfter in seconds when refused
+ */
+function takePost(account = null, { maxWaitMs = MAX_WAIT_MS, count = 1 } = {}) {
+  const key = budgetKey(account);
+  const now = Date.now();
+  const budget = getBudget(key, now);
+  const waitMs = waitFor(budget, now, count);
+
+  if (waitMs > maxWaitMs) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    logger.warn(`Post budget exhausted for ${accountLabel(key)}, retry after ${retryAfter}s`);
+    return { granted: false, waitMs, retryAfter };
+  }
+
+  // Buckets may go negative: later callers then wait behind this reservation
+  for (const bucket of budget.buckets) {
+    bucket.tokens -= count;
+  }
+  if (budget.x) {
+    budget.x.remaining -= count;
+  }
+  return { granted: true, waitMs, retryAfter: null };
+}
+
+/**
+ * Gives back posts taken with takePost when their requests never reached X
+ * @param {string|null} account - Account handle, null for the default account
+ * @param {number} count - Number of posts to give back
+ */
+function returnPost(account = null, count = 1) {
+  const budget = getBudget(budgetKey(account));
+  for (const bucket of budget.buckets) {
+    bucket.tokens = Math.min(bucket.capacity, bucket.tokens + count);
+  }
+}
+
+/**
+ * Records the budget X reported for an account
+ * @param {string|null} account - Account handle, null for the default account
+ * @param {Object} rateLimit - { limit, remaining, reset } from the x-rate-limit-* headers (reset in epoch seconds)
+ */
+function recordXRateLimit(account, { limit = null, remaining = null, reset = null } = {}) {
+  const resetAt = Number(reset) * 1000;
+  if (remaining === null || remaining === undefined || !resetAt || resetAt <= Date.now()) {
+    return;
+  }
+
+  const key = budgetKey(account);
+  const budget = getBudget(key);
+  const knownLimit = budget.x ? budget.x.limit : null;
+  budget.x = {
+    limit: limit !== null && limit !== undefined ? Number(limit) : knownLimit,
+    remaining: Number(remaining),
+    resetAt
+  };
+  if (budget.x.remaining <= 0) {
+    logger.warn(`X reports no posts left for ${accountLabel(key)} until ${new Date(resetAt).toISOString()}`);
+  }
+}
+
+/**
+ * Describes an account's budget for the status endpoint
+ * @param {string|null} account - Account handle, null for the default account
+ * @returns {Object} { hourly, daily, x, retry_after }
+ */
+function getBudgetStatus(account = null) {
+  const now = Date.now();
+  const budget = getBudget(budgetKey(account), now);
+  const status = {};
+
+  for (const bucket of budget.buckets) {
+    status[bucket.name] = {
+      limit: bucket.capacity,
+      remaining: Math.max(0, Math.floor(bucket.tokens))
+    };
+  }
+  status.x = budget.x
+    ? { limit: budget.x.limit, remaining: Math.max(0, budget.x.remaining), reset_at: new Date(budget.x.resetAt).toISOString() }
+    : null;
+
+  const waitMs = waitFor(budget, now);
+  status.retry_after = waitMs > 0 ? Math.ceil(waitMs / 1000) : null;
+  return status;
+}
+
+/**
+ * Describes the budget of every account that has used it since startup
+ * @returns {Array<Object>} { account, hourly, daily, x, retry_after }, account null for the default account
+ */
+function listBudgetStatuses() {
+  return Array.from(budgets.keys()).map(key => ({ account: key || null, ...getBudgetStatus(key || null) }));
+}
+
+module.exports = {
+  takePost,
+  returnPost,
+  recordXRateLimit,
+  getBudgetStatus,
+  listBudgetStatuses
+};
@@ -0,0 +1,136 @@
+/**
+ * Post Ledger
+ * Local record of every post the service created (posts, replies, quotes
+ * and thread parts) with its account, content hash, tweet ID, time and job,
+ * kept in data/posts.json so posts can be looked up and deleted later
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const path = require('path');
+const { readJson, writeJson } = require('./jsonFileStore');
+
+// Constants
+const LEDGER_PATH = path.join(process.cwd(), 'data', 'posts.json');
+const MAX_ENTRIES = parseInt(process.env.POST_LEDGER_RETENTION_COUNT || '10000', 10);
+
+// Module state: tweet ID -> entry
+let entries = null;
+let loading = null;
+
+/**
+ * Loads the ledger from disk once
+ */
+function loadEntries() {
+  if (entries) {
+    return Promise.resolve(entries);
+  }
+  if (!loading) {
+    loading = (async () => {
+      const map = new Map();
+      for (const entry of await readJson(LEDGER_PATH, [])) {
+        map.set(entry.tweetId, entry);
+      }
+      entries = map;
+      return entries;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Drops the oldest entries beyond the retention count and writes the rest to disk
+ */
+function persistEntries() {
+  const sorted = Array.from(entries.values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+  for (const entry of sorted.slice(0, Math.max(0, sorted.length - MAX_ENTRIES))) {
+    entries.delete(entry.tweetId);
+  }
+  return writeJson(LEDGER_PATH, Array.from(entries.values()));
+}
+
+/**
+ * SHA-256 of the post text, so the ledger can match content without storing it
+ */
+function hashContent(content) {
+  return crypto.createHash('sha256').update(String(content || '')).digest('hex');
+}
+
+/**
+ * Records a post created by the service
+ * @param {Object} post - tweetId, account, action, content, mode, targetTweetId and jobId
+ * @returns {Promise<Object>} The ledger entry
+ */
+async function recordPost({ tweetId, account = null, action, content, mode = null, targetTweetId = null, jobId = null }) {
+  await loadEntries();
+
+  const entry = {
+    tweetId,
+    account,
+    action,
+    contentHash: hashContent(content),
+    mode,
+    targetTweetId,
+    jobId,
+    status: 'live',
+    createdAt: new Date().toISOString(),
+    deletedAt: null
+  };
+  entries.set(tweetId, entry);
+  await persistEntries();
+  return entry;
+}
+
+/**
+ * Marks a post as deleted
+ * @param {string} tweetId - Tweet ID
+ * @returns {Promise<Object|null>} The updated entry, or null when the post is not in the ledger
+ */
+async function markDeleted(tweetId) {
+  await loadEntries();
+
+  const entry = entries.get(tweetId);
+  if (!entry || entry.status === 'deleted') {
+    return entry || null;
+  }
+  entry.status = 'deleted';
+  entry.deletedAt = new Date().toISOString();
+  await persistEntries();
+  return entry;
+}
+
+/**
+ * Gets a ledger entry by tweet ID
+ * @param {string} tweetId - Tweet ID
+ * @returns {Promise<Object|null>} The entry or null
+ */
+async function getPost(tweetId) {
+  await loadEntries();
+  return entries.get(tweetId) || null;
+}
+
+/**
+ * Lists ledger entries, newest first
+ * @param {Object} filters - Optional account, status ('live' or 'deleted'), action, jobId, contentHash and limit
+ * @returns {Promise<Array<Object>>} Matching entries
+ */
+async function listPosts({ account, status, action, jobId, contentHash, limit = 50 } = {}) {
+  await loadEntries();
+  return Array.from(entries.values())
+    .filter(entry => account === undefined || entry.account === account)
+    .filter(entry => !status || entry.status === status)
+    .filter(entry => !action || entry.action === action)
+    .filter(entry => !jobId || entry.jobId === jobId)
+    .filter(entry => !contentHash || entry.contentHash === contentHash)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+module.exports = {
+  hashContent,
+  recordPost,
+  markDeleted,
+  getPost,
+  listPosts
+};
@@ -0,0 +1,49 @@
+/**
+ * Request Context
+ * Carries the request ID of the current HTTP request or job through async
+ * calls (AsyncLocalStorage), so log lines, screenshots and GraphQL call logs
+ * can be correlated without passing the ID around
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const { AsyncLocalStorage } = require('async_hooks');
+
+// Constants
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+// Module state
+const storage = new AsyncLocalStorage();
+
+/**
+ * Checks whether a client-supplied request ID is safe to reuse in log lines
+ * and file names
+ * @param {string} requestId - Candidate ID
+ * @returns {boolean} True when it can be used as is
+ */
+function isValidRequestId(requestId) {
+  return typeof requestId === 'string' && REQUEST_ID_PATTERN.test(requestId);
+}
+
+/**
+ * Runs a function with a request ID bound to everything it awaits
+ * @param {string|null} requestId - Request ID
+ * @param {Function} fn - Function to run
+ * @returns {*} The function's return value
+ */
+function runWithRequestId(requestId, fn) {
+  return storage.run({ requestId }, fn);
+}
+
+/**
+ * Returns the request ID of the current async context
+ * @returns {string|null} Request ID, or null outside a request or job
+ */
+function getRequestId() {
+  const context = storage.getStore();
+  return (context && context.requestId) || null;
+}
+
+module.exports = {
+  isValidRequestId,
+  runWithRequestId,
+  getRequestId
+};
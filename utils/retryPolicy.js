@@ -0,0 +1,110 @@
+/**
+ * Retry Policy
+ * Decides whether and when a failed X call is retried: exponential backoff
+ * with jitter, waiting for `x-rate-limit-reset` when X sent one. Only
+ * failures where nothing was posted are retried - never duplicates: network
+ * errors only when the request never reached X.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const logger = require('./logger');
+const { ERROR_CODES, classifyError } = require('./xErrors');
+
+// Constants
+const MAX_ATTEMPTS = parseInt(process.env.RETRY_MAX_ATTEMPTS || '3', 10);
+const BASE_DELAY_MS = parseInt(process.env.RETRY_BASE_DELAY_MS || '1000', 10);
+const MAX_DELAY_MS = parseInt(process.env.RETRY_MAX_DELAY_MS || '60000', 10);
+const RETRYABLE_CODES = [
+  ERROR_CODES.RATE_LIMITED,
+  ERROR_CODES.CSRF_MISMATCH,
+  ERROR_CODES.NETWORK_ERROR
+];
+
+/**
+ * Checks whether a classified failure may be retried. A network error after
+ * the request was sent (e.g. a read timeout) may already have posted.
+ * @param {string} code - Stable error code
+ * @param {boolean} requestSent - Whether the request may have reached X
+ * @returns {boolean} True when retrying cannot post twice
+ */
+function isRetryable(code, requestSent = false) {
+  if (code === ERROR_CODES.NETWORK_ERROR && requestSent) {
+    return false;
+  }
+  return RETRYABLE_CODES.includes(code);
+}
+
+/**
+ * Exponential backoff with equal jitter: half the step is fixed, half random
+ */
+function backoffDelay(attempt) {
+  const step = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+/**
+ * Milliseconds until an `x-rate-limit-reset` epoch (seconds), plus jitter
+ */
+function rateLimitDelay(rateLimitReset) {
+  const waitMs = Number(rateLimitReset) * 1000 - Date.now();
+  return waitMs > 0 ? waitMs + Math.round(Math.random() * 1000) : 0;
+}
+
+/**
+ * Returns how long to wait before the next attempt
+ * @param {number} attempt - Number of the attempt that just failed (1-based)
+ * @param {Object} failure - { errorCode, rateLimitReset, requestSent }
+ * @param {number} maxAttempts - Attempts allowed in total
+ * @returns {number|null} Delay in ms, or null when the failure must not be retried
+ */
+function getRetryDelay(attempt, { errorCode, rateLimitReset = null, requestSent = false }, maxAttempts = MAX_ATTEMPTS) {
+  if (!isRetryable(errorCode, requestSent) || attempt >= maxAttempts) {
+    return null;
+  }
+
+  let delay = backoffDelay(attempt);
+  if (errorCode === ERROR_CODES.RATE_LIMITED && rateLimitReset) {
+    delay = Math.max(delay, rateLimitDelay(rateLimitReset));
+  }
+
+  // A reset further away than the cap is reported instead of waited for
+  return delay <= MAX_DELAY_MS ? delay : null;
+}
+
+/**
+ * Runs an operation that throws on failure, retrying retryable errors.
+ * Network errors are retried unless the error is tagged with requestSent.
+ * @param {Function} operation - Async function receiving the attempt number
+ * @param {Object} options - label for logs, maxAttempts
+ * @returns {Promise<*>} The operation's result
+ */
+async function withRetry(operation, { label = 'operation', maxAttempts = MAX_ATTEMPTS } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await operation(attempt);
+    } catch (error) {
+      const delay = getRetryDelay(attempt, {
+        errorCode: classifyError(error).code,
+        requestSent: Boolean(error.requestSent)
+      }, maxAttempts);
+      if (delay === null) {
+        throw error;
+      }
+      logger.warn(`${label} failed (attempt ${attempt}/${maxAttempts}): ${error.message} - retrying in ${delay}ms`);
+      await sleep(delay);
+    }
+  }
+}
+
+/**
+ * Waits for a number of milliseconds
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+module.exports = {
+  isRetryable,
+  getRetryDelay,
+  withRetry,
+  sleep
+};
@@ -0,0 +1,277 @@
+/**
+ * Post Scheduler
+ * Persists one-off (scheduled_at) and recurring (cron) posts under data/
+ * and hands due items to the job queue
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const path = require('path');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const jobQueue = require('./jobQueue');
+const { readJson, writeJson } = require('./jsonFileStore');
+const { getNextRun } = require('./cronExpression');
+const { removeMediaFiles } = require('./mediaUpload');
+
+// Constants
+const DATA_DIR = path.join(process.cwd(), 'data');
+const SCHEDULES_PATH = path.join(DATA_DIR, 'schedules.json');
+const TICK_INTERVAL_MS = parseInt(process.env.SCHEDULER_INTERVAL_MS || '15000', 10);
+
+// Module state
+let schedules = null;
+let loading = null;
+let tickTimer = null;
+let ticking = false;
+
+/**
+ * Loads schedules from disk once. Concurrent callers share one load, and a
+ * failed load is retried by the next caller.
+ */
+function loadSchedules() {
+  if (schedules) {
+    return Promise.resolve(schedules);
+  }
+  if (!loading) {
+    loading = (async () => {
+      const map = new Map();
+      for (const schedule of await readJson(SCHEDULES_PATH, [])) {
+        map.set(schedule.id, schedule);
+      }
+      schedules = map;
+      logger.info(`Scheduler loaded ${schedules.size} schedule(s)`);
+      return schedules;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Writes schedules to disk
+ */
+function persistSchedules() {
+  return writeJson(SCHEDULES_PATH, Array.from(schedules.values()));
+}
+
+/**
+ * Works out when a schedule should next fire
+ * @returns {string|null} ISO time, or null when nothing is left to run
+ */
+function computeNextRun({ scheduledAt, cron }, from = new Date()) {
+  if (cron) {
+    // A recurring schedule can have a start time; runs begin on or after it
+    const start = scheduledAt && new Date(scheduledAt) > from
+      ? new Date(new Date(scheduledAt).getTime() - 60000)
+      : from;
+    return getNextRun(cron, start).toISOString();
+  }
+  return scheduledAt ? new Date(scheduledAt).toISOString() : null;
+}
+
+/**
+ * Creates a schedule
+ * @param {Object} options - jobType, payload, scheduledAt and/or cron
+ * @returns {Promise<Object>} The created schedule
+ */
+async function createSchedule({ jobType, payload, scheduledAt = null, cron = null }) {
+  await loadSchedules();
+
+  if (!scheduledAt && !cron) {
+    throw new Error('Either scheduled_at or cron is required');
+  }
+
+  const now = new Date().toISOString();
+  const schedule = {
+    id: uuidv4(),
+    jobType,
+    payload,
+    scheduledAt: scheduledAt ? new Date(scheduledAt).toISOString() : null,
+    cron,
+    status: 'pending',
+    nextRunAt: null,
+    lastRunAt: null,
+    lastJobId: null,
+    runCount: 0,
+    createdAt: now,
+    updatedAt: now
+  };
+  schedule.nextRunAt = computeNextRun(schedule);
+
+  schedules.set(schedule.id, schedule);
+  await persistSchedules();
+  logger.info(`Schedule created: ${schedule.id} (${jobType}) next run ${schedule.nextRunAt}`);
+
+  return schedule;
+}
+
+/**
+ * Gets a schedule by ID
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object|null>} The schedule or null
+ */
+async function getSchedule(id) {
+  await loadSchedules();
+  return schedules.get(id) || null;
+}
+
+/**
+ * Lists schedules ordered by next run time
+ * @param {Object} filters - Optional status filter
+ * @returns {Promise<Array<Object>>} Matching schedules
+ */
+async function listSchedules({ status } = {}) {
+  await loadSchedules();
+  let result = Array.from(schedules.values());
+  if (status) {
+    result = result.filter(schedule => schedule.status === status);
+  }
+  return result.sort((a, b) => (a.nextRunAt || '').localeCompare(b.nextRunAt || ''));
+}
+
+/**
+ * Edits a pending schedule
+ * @param {string} id - Schedule ID
+ * @param {Object} changes - payload fields, scheduledAt and/or cron
+ * @returns {Promise<Object|null>} The updated schedule or null if not found
+ */
+async function updateSchedule(id, { payload, scheduledAt, cron }) {
+  await loadSchedules();
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    return null;
+  }
+  if (schedule.status !== 'pending') {
+    throw new Error(`Only pending schedules can be edited (status: ${schedule.status})`);
+  }
+
+  if (payload) {
+    schedule.payload = { ...schedule.payload, ...payload };
+  }
+  if (scheduledAt !== undefined) {
+    schedule.scheduledAt = scheduledAt ? new Date(scheduledAt).toISOString() : null;
+  }
+  if (cron !== undefined) {
+    schedule.cron = cron || null;
+  }
+  if (!schedule.scheduledAt && !schedule.cron) {
+    throw new Error('Either scheduled_at or cron is required');
+  }
+
+  schedule.nextRunAt = computeNextRun(schedule);
+  schedule.updatedAt = new Date().toISOString();
+  await persistSchedules();
+  logger.info(`Schedule updated: ${id} next run ${schedule.nextRunAt}`);
+
+  return schedule;
+}
+
+/**
+ * Cancels a pending schedule and deletes its uploaded attachments
+ * @param {string} id - Schedule ID
+ * @returns {Promise<Object|null>} The cancelled schedule or null if not found
+ */
+async function cancelSchedule(id) {
+  await loadSchedules();
+  const schedule = schedules.get(id);
+  if (!schedule) {
+    return null;
+  }
+  if (schedule.status !== 'pending') {
+    throw new Error(`Only pending schedules can be cancelled (status: ${schedule.status})`);
+  }
+
+  schedule.status = 'cancelled';
+  schedule.nextRunAt = null;
+  schedule.updatedAt = new Date().toISOString();
+  await persistSchedules();
+  await removeMediaFiles(schedule.payload.media);
+  logger.info(`Schedule cancelled: ${id}`);
+
+  return schedule;
+}
+
+/**
+ * Hands every due schedule to the job queue. The schedule is advanced and
+ * saved before the job is queued, so a crash can skip a run but never
+ * dispatch the same run twice.
+ */
+async function tick() {
+  if (ticking) {
+    return;
+  }
+  ticking = true;
+
+  try {
+    await loadSchedules();
+    const now = new Date();
+    const due = Array.from(schedules.values())
+      .filter(s => s.status === 'pending' && s.nextRunAt && new Date(s.nextRunAt) <= now);
+
+    for (const schedule of due) {
+      schedule.lastRunAt = now.toISOString();
+      schedule.runCount += 1;
+      if (schedule.cron) {
+        // Missed runs during downtime are not replayed; fire once and move on
+        schedule.nextRunAt = getNextRun(schedule.cron, now).toISOString();
+      } else {
+        schedule.status = 'dispatched';
+        schedule.nextRunAt = null;
+      }
+      schedule.updatedAt = now.toISOString();
+      await persistSchedules();
+
+      try {
+        // Recurring schedules post the same attachments on every run
+        const job = await jobQueue.enqueueJob(schedule.jobType, schedule.payload, { keepMedia: Boolean(schedule.cron) });
+        schedule.lastJobId = job.id;
+        await persistSchedules();
+        logger.info(`Schedule ${schedule.id} dispatched as job ${job.id}`);
+      } catch (error) {
+        logger.error(`Failed to dispatch schedule ${schedule.id}: ${error.message}`);
+        if (!schedule.cron) {
+          schedule.status = 'failed';
+          await persistSchedules();
+          await removeMediaFiles(schedule.payload.media);
+        }
+      }
+    }
+  } catch (error) {
+    logger.error(`Scheduler tick failed: ${error.message}`, { stack: error.stack });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Starts the scheduler loop
+ */
+async function startScheduler() {
+  if (tickTimer) {
+    return;
+  }
+  await loadSchedules();
+  tickTimer = setInterval(tick, TICK_INTERVAL_MS);
+  logger.info(`Scheduler started (interval ${TICK_INTERVAL_MS}ms)`);
+  tick();
+}
+
+/**
+ * Stops the scheduler loop
+ */
+function stopScheduler() {
+  if (tickTimer) {
+    clearInterval(tickTimer);
+    tickTimer = null;
+  }
+}
+
+module.exports = {
+  createSchedule,
+  getSchedule,
+  listSchedules,
+  updateSchedule,
+  cancelSchedule,
+  startScheduler,
+  stopScheduler
+};
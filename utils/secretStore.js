@@ -0,0 +1,210 @@
+/**
+ * Secret Store
+ * Encrypts auth tokens, CT0 values, cookie jars and account passwords at rest
+ * with AES-256-GCM, using keys from the environment
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const logger = require('./logger');
+
+// Constants
+const PREFIX = 'enc:v1';
+const ALGORITHM = 'aes-256-gcm';
+const FILE_MODE = 0o600;
+
+let warnedNoKey = false;
+
+/**
+ * Derives a 32-byte key from a SECRETS_KEY value.
+ * Keys are identified by a short fingerprint stored next to each ciphertext,
+ * so values written with an older key can still be read after rotation.
+ */
+function deriveKey(secret) {
+  const key = crypto.createHash('sha256').update(secret).digest();
+  const id = crypto.createHash('sha256').update(key).digest('hex').substring(0, 8);
+  return { id, key };
+}
+
+/**
+ * Returns the current key (used for writing) or null when none is configured
+ */
+function getCurrentKey() {
+  const secret = process.env.SECRETS_KEY;
+  return secret ? deriveKey(secret) : null;
+}
+
+/**
+ * Returns every key that may decrypt stored values: the current key
+ * followed by SECRETS_PREVIOUS_KEYS (comma separated)
+ */
+function getReadKeys() {
+  const secrets = [process.env.SECRETS_KEY]
+    .concat((process.env.SECRETS_PREVIOUS_KEYS || '').split(','))
+    .map(secret => (secret || '').trim())
+    .filter(Boolean);
+  return secrets.map(deriveKey);
+}
+
+/**
+ * Checks whether encryption at rest is enabled
+ * @returns {boolean} True when SECRETS_KEY is set
+ */
+function isEncryptionEnabled() {
+  return Boolean(process.env.SECRETS_KEY);
+}
+
+/**
+ * Checks whether a stored value is in the encrypted format
+ * @param {string} value - Stored value
+ * @returns {boolean} True when encrypted
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypts a value with the current key. Without SECRETS_KEY the value is
+ * returned unchanged so single-machine setups keep working.
+ * @param {string} plaintext - Value to protect
+ * @returns {string} `enc:v1:<keyId>:<iv>:<tag>:<ciphertext>` or the plaintext
+ */
+function encryptValue(plaintext) {
+  const current = getCurrentKey();
+  if (!current) {
+    if (!warnedNoKey) {
+      logger.warn('SECRETS_KEY is not set: credentials and cookies are stored unencrypted');
+      warnedNoKey = true;
+    }
+    return plaintext;
+  }
+
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const encrypted = Buffer.concat([cipher.update(String(plaintext), 'utf8'), cipher.final()]);
+  const tag = cipher.getAuthTag();
+
+  return [PREFIX, current.id, iv.toString('base64'), tag.toString('base64'), encrypted.toString('base64')].join(':');
+}
+
+/**
+ * Decrypts a stored value. Plaintext values written before encryption was
+ * enabled are returned as-is.
+ * @param {string} stored - Stored value
+ * @returns {string} The plaintext
+ */
+function decryptValue(stored) {
+  if (!isEncrypted(stored)) {
+    return stored;
+  }
+
+  const [, , keyId, iv, tag, data] = stored.trim().split(':');
+  const match = getReadKeys().find(candidate => candidate.id === keyId);
+  if (!match) {
+    throw new Error(`No secrets key available for stored value (key id ${keyId}). Set SECRETS_KEY or SECRETS_PREVIOUS_KEYS.`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, match.key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Writes a stored value and restricts the file to its owner
+ * (the mode option alone only applies when the file is created)
+ */
+async function writeStored(filePath, stored) {
+  await fs.writeFile(filePath, stored, { mode: FILE_MODE });
+  await fs.chmod(filePath, FILE_MODE);
+}
+
+/**
+ * Reads and decrypts a secret file. Errors (including ENOENT) are thrown
+ * like fs.readFile so callers keep their existing fallbacks.
+ * @param {string} filePath - File to read
+ * @returns {Promise<string>} The plaintext
+ */
+async function readSecret(filePath) {
+  const stored = await fs.readFile(filePath, 'utf8');
+  return decryptValue(stored.trim());
+}
+
+/**
+ * Encrypts and writes a secret file, readable by the owner only
+ * @param {string} filePath - File to write
+ * @param {string} value - Plaintext value
+ */
+async function writeSecret(filePath, value) {
+  await writeStored(filePath, encryptValue(value));
+}
+
+/**
+ * Reads and decrypts a JSON secret file (e.g. a cookie jar)
+ * @param {string} filePath - File to read
+ * @returns {Promise<*>} Parsed JSON
+ */
+async function readSecretJson(filePath) {
+  return JSON.parse(await readSecret(filePath));
+}
+
+/**
+ * Encrypts and writes a JSON secret file
+ * @param {string} filePath - File to write
+ * @param {*} data - JSON-serializable data
+ */
+async function writeSecretJson(filePath, data) {
+  await writeSecret(filePath, JSON.stringify(data, null, 2));
+}
+
+/**
+ * Re-encrypts a single value with the current key
+ * @param {string} stored - Stored value (encrypted or legacy plaintext)
+ * @returns {string} Value encrypted with the current key
+ */
+function rotateValue(stored) {
+  return encryptValue(decryptValue(stored));
+}
+
+/**
+ * Re-encrypts a secret file with the current key. Missing files are skipped.
+ * @param {string} filePath - File to rotate
+ * @returns {Promise<boolean>} True when the file was rewritten
+ */
+async function rotateSecretFile(filePath) {
+  let stored;
+  try {
+    stored = (await fs.readFile(filePath, 'utf8')).trim();
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return false;
+    }
+    throw error;
+  }
+
+  await writeStored(filePath, rotateValue(stored));
+  return true;
+}
+
+/**
+ * Shortens a secret for display, e.g. in API responses and logs
+ * @param {string} value - Secret value
+ * @param {number} length - Number of leading characters to keep
+ * @returns {string|null} Preview or null
+ */
+function previewSecret(value, length = 10) {
+  return value ? `${value.substring(0, length)}...` : null;
+}
+
+module.exports = {
+  isEncryptionEnabled,
+  isEncrypted,
+  encryptValue,
+  decryptValue,
+  readSecret,
+  writeSecret,
+  readSecretJson,
+  writeSecretJson,
+  rotateValue,
+  rotateSecretFile,
+  previewSecret
+};
@@ -0,0 +1,104 @@
+/**
+ * Thread Splitter
+ * Breaks long content into numbered thread parts that each fit X's weighted
+ * length, cutting at paragraph, line, sentence and word boundaries in that
+ * order of preference. Outside CJK text, cuts only happen at whitespace,
+ * so URLs and mentions are never split.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const { weightedLength, DEFAULT_MAX_LENGTH } = require('./tweetText');
+
+// Constants
+const MAX_THREAD_PARTS = 25; // longest thread the service posts
+// Each pattern matches one piece together with the separator after it
+const BOUNDARIES = [
+  /[\s\S]*?(?:\n\s*\n|$)/g, // paragraphs
+  /[^\n]*(?:\n|$)/g, // lines
+  /[\s\S]*?(?:[.!?…]+\s+|[。！？]+\s*|$)/g, // sentences (Latin ones end at whitespace, so URLs stay whole)
+  /\S+\s*/g // words
+];
+const segmenter = new Intl.Segmenter(undefined, { granularity: 'grapheme' });
+
+/**
+ * Cuts a single word that is longer than a part by characters, keeping
+ * emoji and other grapheme clusters whole
+ */
+function splitWord(word, budget) {
+  const chunks = [];
+  let current = '';
+  for (const { segment } of segmenter.segment(word)) {
+    if (current && weightedLength(current + segment) > budget) {
+      chunks.push(current);
+      current = '';
+    }
+    current += segment;
+  }
+  if (current) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Splits text into chunks that fit the budget, preferring the coarsest boundary
+ */
+function splitToFit(text, budget, level = 0) {
+  if (weightedLength(text.trim()) <= budget) {
+    return [text];
+  }
+  if (level >= BOUNDARIES.length) {
+    return splitWord(text, budget);
+  }
+
+  const pieces = text.match(BOUNDARIES[level]).filter(piece => piece.trim());
+  if (pieces.length <= 1) {
+    return splitToFit(text, budget, level + 1);
+  }
+
+  // Greedily pack the pieces, splitting any that are too long on their own
+  const chunks = [];
+  let current = '';
+  for (const piece of pieces) {
+    for (const sub of splitToFit(piece, budget, level + 1)) {
+      const candidate = current + sub;
+      if (weightedLength(candidate.trim()) <= budget) {
+        current = candidate;
+      } else {
+        chunks.push(current);
+        current = sub;
+      }
+    }
+  }
+  if (current.trim()) {
+    chunks.push(current);
+  }
+  return chunks;
+}
+
+/**
+ * Splits content into thread parts numbered " 1/N". Content that already
+ * fits is returned as a single, unnumbered part.
+ * @param {string} content - Long-form text
+ * @param {number} maxLength - Weighted length limit of the account
+ * @returns {Array<string>} Thread parts, in posting order
+ */
+function splitIntoThread(content, maxLength = DEFAULT_MAX_LENGTH) {
+  const text = String(content || '').trim();
+  if (weightedLength(text) <= maxLength) {
+    return [text];
+  }
+
+  // The " i/N" suffix depends on the part count, so retry with more digits
+  // until the count fits the room that was reserved for it
+  for (let digits = 1; ; digits++) {
+    const chunks = splitToFit(text, maxLength - (2 + 2 * digits));
+    if (String(chunks.length).length <= digits) {
+      return chunks.map((chunk, index) => `${chunk.trim()} ${index + 1}/${chunks.length}`);
+    }
+  }
+}
+
+module.exports = {
+  MAX_THREAD_PARTS,
+  splitIntoThread
+};
@@ -5,6 +5,7 @@
  */
 const axios = require('axios');
 const logger = require('./logger');
+const { X_BASE_URL } = require('./xEndpoints');
 
 /**
  * Extracts the bearer token from X (Twitter) main.js file
@@ -13,7 +14,7 @@ const logger = require('./logger');
 async function getBearerToken() {
   try {
     // First, get the HTML page to find the main.js file URL
-    const response = await axios.get('https://x.com', {
+    const response = await axios.get(X_BASE_URL, {
       headers: {
         'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/124.0.0.0 Safari/537.36'
       }
@@ -0,0 +1,139 @@
+/**
+ * Tweet Text
+ * Counts post length the way X does (weighted characters) and extracts
+ * mentions, hashtags and URLs, so over-length posts are refused before
+ * they reach the browser or GraphQL
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+
+// Constants
+const DEFAULT_MAX_LENGTH = parseInt(process.env.TWEET_MAX_LENGTH || '280', 10);
+const URL_LENGTH = 23; // every link is shortened to a t.co URL
+const DEFAULT_WEIGHT = 2; // CJK, emoji and most non-Latin scripts
+const LIGHT_RANGES = [ // code points that count once: Latin, Greek, Cyrillic, ... and common punctuation
+  [0x0000, 0x10FF],
+  [0x2000, 0x200D],
+  [0x2010, 0x201F],
+  [0x2032, 0x2037]
+];
+const URL_PATTERN = /(?:https?:\/\/|www\.)[^\s<>"]+|(?:[a-z0-9](?:[a-z0-9-]*[a-z0-9])?\.)+(?:com|net|org|io|co|dev|app|me|ai|info|biz|xyz|gov|edu|tv|ly|gg|us|uk|de|fr|ca)\b(?:\/[^\s<>"]*)?/giu;
+const URL_TRAILING_PUNCTUATION = /[.,!?:;'")\]]+$/;
+const EMOJI_PATTERN = /\p{Regional_Indicator}{2}|[#*0-9]\uFE0F?\u20E3|(?:\p{Emoji_Presentation}|\p{Extended_Pictographic}\uFE0F)\p{Emoji_Modifier}?(?:\u200D\p{Extended_Pictographic}\uFE0F?\p{Emoji_Modifier}?)*/gu;
+const MENTION_PATTERN = /(?<![\p{L}\p{N}_@])[@\uFF20]([A-Za-z0-9_]{1,15})(?![A-Za-z0-9_@])/gu;
+const HASHTAG_PATTERN = /(?<![\p{L}\p{N}_&#])[#\uFF03]([\p{L}\p{M}\p{N}_]*[\p{L}\p{M}][\p{L}\p{M}\p{N}_]*)/gu;
+
+/**
+ * Finds the URLs X would link, with their position in the text
+ */
+function findUrls(text) {
+  const urls = [];
+  for (const match of text.matchAll(URL_PATTERN)) {
+    // Domains inside e-mail addresses or longer words are not links
+    const before = text[match.index - 1];
+    if (before && /[\p{L}\p{N}@._-]/u.test(before)) {
+      continue;
+    }
+    const url = match[0].replace(URL_TRAILING_PUNCTUATION, '');
+    urls.push({ url, start: match.index, end: match.index + url.length });
+  }
+  return urls;
+}
+
+/**
+ * Collects the captured values of a pattern, skipping matches inside URLs
+ */
+function extractOutsideUrls(text, pattern, urls) {
+  const values = [];
+  for (const match of text.matchAll(pattern)) {
+    if (!urls.some(url => match.index >= url.start && match.index < url.end)) {
+      values.push(match[1]);
+    }
+  }
+  return [...new Set(values)];
+}
+
+/**
+ * Weight of a single code point
+ */
+function weightOf(codePoint) {
+  return LIGHT_RANGES.some(([start, end]) => codePoint >= start && codePoint <= end) ? 1 : DEFAULT_WEIGHT;
+}
+
+/**
+ * Counts the weighted length of a text: URLs count as 23, emoji sequences
+ * as 2, CJK and other heavy scripts as 2 per character, the rest as 1
+ * @param {string} text - Post text
+ * @returns {number} Weighted length
+ */
+function weightedLength(text) {
+  const normalized = String(text || '').normalize('NFC');
+  const spans = new Map();
+
+  for (const { start, end } of findUrls(normalized)) {
+    spans.set(start, { end, weight: URL_LENGTH });
+  }
+  for (const match of normalized.matchAll(EMOJI_PATTERN)) {
+    if (!spans.has(match.index)) {
+      spans.set(match.index, { end: match.index + match[0].length, weight: DEFAULT_WEIGHT });
+    }
+  }
+
+  let length = 0;
+  let index = 0;
+  while (index < normalized.length) {
+    const span = spans.get(index);
+    if (span) {
+      length += span.weight;
+      index = span.end;
+      continue;
+    }
+    const codePoint = normalized.codePointAt(index);
+    length += weightOf(codePoint);
+    index += codePoint > 0xFFFF ? 2 : 1;
+  }
+  return length;
+}
+
+/**
+ * Parses a post: weighted length against the limit plus its entities
+ * @param {string} text - Post text
+ * @param {number} maxLength - Limit for the account (TWEET_MAX_LENGTH by default)
+ * @returns {Object} { weightedLength, maxLength, remaining, valid, mentions, hashtags, urls }
+ */
+function parseTweet(text, maxLength = DEFAULT_MAX_LENGTH) {
+  const normalized = String(text || '').normalize('NFC');
+  const urls = findUrls(normalized);
+  const length = weightedLength(normalized);
+
+  return {
+    weightedLength: length,
+    maxLength,
+    remaining: maxLength - length,
+    valid: normalized.trim().length > 0 && length <= maxLength,
+    mentions: extractOutsideUrls(normalized, MENTION_PATTERN, urls),
+    hashtags: extractOutsideUrls(normalized, HASHTAG_PATTERN, urls),
+    urls: [...new Set(urls.map(({ url }) => url))]
+  };
+}
+
+/**
+ * express-validator friendly check of a text against a length limit
+ * @param {string} text - Post text
+ * @param {number} maxLength - Weighted length limit
+ * @returns {boolean} True when the text fits
+ * @throws {Error} Describing the weighted length when it does not
+ */
+function assertTweetLength(text, maxLength = DEFAULT_MAX_LENGTH) {
+  const length = weightedLength(text);
+  if (length > maxLength) {
+    throw new Error(`Text is ${length} characters as counted by X, the limit is ${maxLength}`);
+  }
+  return true;
+}
+
+module.exports = {
+  DEFAULT_MAX_LENGTH,
+  weightedLength,
+  parseTweet,
+  assertTweetLength
+};
@@ -0,0 +1,430 @@
+/**
+ * Webhooks
+ * Outbound webhook subscriptions (URL, events, secret) and their deliveries.
+ * Every delivery is signed with HMAC-SHA256, retried with exponential
+ * backoff and kept in data/webhook_deliveries.json so failures can be replayed.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const crypto = require('crypto');
+const path = require('path');
+const axios = require('axios');
+const { v4: uuidv4 } = require('uuid');
+const logger = require('./logger');
+const { readJson, writeJson } = require('./jsonFileStore');
+const { encryptValue, decryptValue, rotateValue, previewSecret } = require('./secretStore');
+const { subscribe } = require('./eventBus');
+
+// Constants
+const WEBHOOKS_PATH = path.join(process.cwd(), 'data', 'webhooks.json');
+const DELIVERIES_PATH = path.join(process.cwd(), 'data', 'webhook_deliveries.json');
+const SECRET_PREFIX = 'whsec_';
+const ALL_EVENTS = '*';
+// Fine-grained progress events (browser steps, screenshots) are only streamed by /api/v1/events
+const WEBHOOK_EVENTS = [
+  'job.queued',
+  'job.succeeded',
+  'job.failed',
+  'job.retrying',
+  'session.expired',
+  'auth.refreshed'
+];
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS || '6', 10);
+const BASE_DELAY_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS || '10000', 10);
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS || '10000', 10);
+const POLL_INTERVAL_MS = parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS || '1000', 10);
+const MAX_FINISHED_DELIVERIES = parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_COUNT || '1000', 10);
+
+// Module state
+let deliveries = null;
+let loading = null;
+let workerTimer = null;
+let unsubscribe = null;
+let processing = false;
+
+/**
+ * Checks whether every entry is a known event type (or "*" for all)
+ * @param {Array<string>} events - Event names
+ * @returns {boolean} True when valid
+ */
+function isValidEvents(events) {
+  return Array.isArray(events) && events.length > 0
+    && events.every(event => event === ALL_EVENTS || WEBHOOK_EVENTS.includes(event));
+}
+
+/**
+ * Strips the secret before a webhook record leaves the service
+ */
+function toPublicWebhook(record) {
+  const { secret, ...rest } = record;
+  return rest;
+}
+
+/**
+ * Loads all webhook records
+ */
+async function loadWebhooks() {
+  return readJson(WEBHOOKS_PATH, []);
+}
+
+/**
+ * Signs a payload: HMAC-SHA256 of "<timestamp>.<body>" with the webhook secret
+ * @param {string} secret - Webhook secret
+ * @param {number} timestamp - Unix time in seconds, sent as X-Webhook-Timestamp
+ * @param {string} body - Raw request body
+ * @returns {string} Hex digest, sent as `X-Webhook-Signature: sha256=<digest>`
+ */
+function signPayload(secret, timestamp, body) {
+  return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Registers a webhook. The secret is only returned here.
+ * @param {Object} options - url, events, secret (generated when omitted) and account (optional filter)
+ * @returns {Promise<Object>} { secret, record }
+ */
+async function createWebhook({ url, events, secret = null, account = null }) {
+  if (!isValidEvents(events)) {
+    throw new Error(`Invalid events: use one or more of ${WEBHOOK_EVENTS.join(', ')} or ${ALL_EVENTS}`);
+  }
+
+  const value = secret || `${SECRET_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+  const record = {
+    id: uuidv4(),
+    url,
+    events: [...new Set(events)],
+    account: account || null,
+    secret: encryptValue(value),
+    secretPreview: previewSecret(value, SECRET_PREFIX.length + 4),
+    createdAt: new Date().toISOString()
+  };
+
+  const webhooks = await loadWebhooks();
+  webhooks.push(record);
+  await writeJson(WEBHOOKS_PATH, webhooks);
+  logger.info(`Webhook registered: ${record.id} for ${record.events.join(', ')}`);
+
+  return { secret: value, record: toPublicWebhook(record) };
+}
+
+/**
+ * Lists webhooks without their secrets
+ * @returns {Promise<Array<Object>>} Webhook records
+ */
+async function listWebhooks() {
+  return (await loadWebhooks()).map(toPublicWebhook);
+}
+
+/**
+ * Gets a webhook by ID, without its secret
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object|null>} The webhook or null
+ */
+async function getWebhook(id) {
+  const record = (await loadWebhooks()).find(webhook => webhook.id === id);
+  return record ? toPublicWebhook(record) : null;
+}
+
+/**
+ * Deletes a webhook. Its pending deliveries fail on their next attempt.
+ * @param {string} id - Webhook ID
+ * @returns {Promise<Object|null>} The deleted webhook, or null when not found
+ */
+async function deleteWebhook(id) {
+  const webhooks = await loadWebhooks();
+  const index = webhooks.findIndex(webhook => webhook.id === id);
+  if (index === -1) {
+    return null;
+  }
+
+  const [record] = webhooks.splice(index, 1);
+  await writeJson(WEBHOOKS_PATH, webhooks);
+  logger.info(`Webhook deleted: ${record.id}`);
+  return toPublicWebhook(record);
+}
+
+/**
+ * Re-encrypts webhook secrets with the current SECRETS_KEY
+ * @returns {Promise<number>} Number of rewritten secrets
+ */
+async function rotateWebhookSecrets() {
+  const webhooks = await loadWebhooks();
+  for (const webhook of webhooks) {
+    webhook.secret = rotateValue(webhook.secret);
+  }
+  if (webhooks.length > 0) {
+    await writeJson(WEBHOOKS_PATH, webhooks);
+  }
+  return webhooks.length;
+}
+
+/**
+ * Loads deliveries from disk once. Concurrent callers share one load, and a
+ * failed load is retried by the next caller.
+ */
+function loadDeliveries() {
+  if (deliveries) {
+    return Promise.resolve(deliveries);
+  }
+  if (!loading) {
+    loading = (async () => {
+      const map = new Map();
+      for (const delivery of await readJson(DELIVERIES_PATH, [])) {
+        map.set(delivery.id, delivery);
+      }
+      deliveries = map;
+      return deliveries;
+    })().finally(() => {
+      loading = null;
+    });
+  }
+  return loading;
+}
+
+/**
+ * Drops the oldest finished deliveries beyond the retention count and
+ * writes the rest to disk
+ */
+function persistDeliveries() {
+  const finished = Array.from(deliveries.values())
+    .filter(delivery => delivery.status !== 'pending')
+    .sort((a, b) => a.createdAt.localeCompare(b.createdAt));
+
+  for (const delivery of finished.slice(0, Math.max(0, finished.length - MAX_FINISHED_DELIVERIES))) {
+    deliveries.delete(delivery.id);
+  }
+  return writeJson(DELIVERIES_PATH, Array.from(deliveries.values()));
+}
+
+/**
+ * Creates a pending delivery of an event to a webhook
+ */
+function addDelivery(webhookId, url, event, replayOf = null) {
+  const now = new Date().toISOString();
+  const delivery = {
+    id: uuidv4(),
+    webhookId,
+    url,
+    event,
+    status: 'pending',
+    attempts: [],
+    nextAttemptAt: now,
+    replayOf,
+    createdAt: now,
+    updatedAt: now,
+    finishedAt: null
+  };
+  deliveries.set(delivery.id, delivery);
+  return delivery;
+}
+
+/**
+ * Queues one delivery per webhook subscribed to the event. Webhooks with an
+ * account only receive events of that account.
+ */
+async function handleEvent(event) {
+  if (!WEBHOOK_EVENTS.includes(event.type)) {
+    return;
+  }
+  await loadDeliveries();
+
+  const webhooks = (await loadWebhooks()).filter(webhook =>
+    (webhook.events.includes(ALL_EVENTS) || webhook.events.includes(event.type))
+    && (!webhook.account || webhook.account === (event.data.account || null)));
+  if (webhooks.length === 0) {
+    return;
+  }
+
+  for (const webhook of webhooks) {
+    addDelivery(webhook.id, webhook.url, event);
+  }
+  await persistDeliveries();
+  setImmediate(processDeliveries);
+}
+
+/**
+ * Exponential backoff with equal jitter, capped at one hour
+ */
+function backoffDelay(attempt) {
+  const step = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.round(step / 2 + Math.random() * (step / 2));
+}
+
+/**
+ * Sends a delivery once and records the attempt
+ */
+async function attemptDelivery(delivery) {
+  const webhook = (await loadWebhooks()).find(record => record.id === delivery.webhookId);
+  const attempt = { attempt: delivery.attempts.length + 1, at: new Date().toISOString(), statusCode: null, error: null, durationMs: 0 };
+  const startedAt = Date.now();
+
+  if (!webhook) {
+    attempt.error = 'Webhook deleted';
+  } else {
+    const body = JSON.stringify(delivery.event);
+    const timestamp = Math.floor(Date.now() / 1000);
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'X-Posts-Bot-Webhooks/1.0',
+          'X-Webhook-Id': webhook.id,
+          'X-Webhook-Event': delivery.event.type,
+          'X-Webhook-Delivery': delivery.id,
+          'X-Webhook-Timestamp': String(timestamp),
+          'X-Webhook-Signature': `sha256=${signPayload(decryptValue(webhook.secret), timestamp, body)}`
+        },
+        timeout: TIMEOUT_MS,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      attempt.statusCode = response.status;
+      if (response.status < 200 || response.status >= 300) {
+        attempt.error = `HTTP ${response.status}`;
+      }
+    } catch (error) {
+      attempt.error = error.code || error.message;
+    }
+  }
+  attempt.durationMs = Date.now() - startedAt;
+
+  const now = new Date().toISOString();
+  delivery.attempts.push(attempt);
+  delivery.updatedAt = now;
+
+  if (!attempt.error) {
+    delivery.status = 'succeeded';
+    delivery.nextAttemptAt = null;
+    delivery.finishedAt = now;
+    logger.info(`Webhook delivery ${delivery.id} (${delivery.event.type}) succeeded with ${attempt.statusCode}`);
+  } else if (webhook && attempt.attempt < MAX_ATTEMPTS) {
+    const delay = backoffDelay(attempt.attempt);
+    delivery.nextAttemptAt = new Date(Date.now() + delay).toISOString();
+    logger.warn(`Webhook delivery ${delivery.id} (${delivery.event.type}) failed: ${attempt.error}, retrying in ${delay}ms`);
+  } else {
+    delivery.status = 'failed';
+    delivery.nextAttemptAt = null;
+    delivery.finishedAt = now;
+    logger.error(`Webhook delivery ${delivery.id} (${delivery.event.type}) failed after ${attempt.attempt} attempt(s): ${attempt.error}`);
+  }
+}
+
+/**
+ * Sends every delivery that is due, one at a time
+ */
+async function processDeliveries() {
+  if (processing) {
+    return;
+  }
+  processing = true;
+
+  try {
+    await loadDeliveries();
+    const now = new Date().toISOString();
+    const due = Array.from(deliveries.values())
+      .filter(delivery => delivery.status === 'pending' && delivery.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt.localeCompare(b.nextAttemptAt));
+
+    for (const delivery of due) {
+      await attemptDelivery(delivery);
+      await persistDeliveries();
+    }
+  } catch (error) {
+    logger.error(`Webhook worker error: ${error.message}`, { stack: error.stack });
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Lists deliveries, newest first
+ * @param {Object} filters - Optional webhookId, status ('pending', 'succeeded' or 'failed') and limit
+ * @returns {Promise<Array<Object>>} Matching deliveries
+ */
+async function listDeliveries({ webhookId, status, limit = 50 } = {}) {
+  await loadDeliveries();
+  return Array.from(deliveries.values())
+    .filter(delivery => !webhookId || delivery.webhookId === webhookId)
+    .filter(delivery => !status || delivery.status === status)
+    .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+    .slice(0, limit);
+}
+
+/**
+ * Gets a delivery by ID
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>} The delivery or null
+ */
+async function getDelivery(id) {
+  await loadDeliveries();
+  return deliveries.get(id) || null;
+}
+
+/**
+ * Sends the event of a past delivery again as a new delivery, to the
+ * webhook's current URL
+ * @param {string} id - Delivery ID
+ * @returns {Promise<Object|null>} The new delivery, or null when the delivery or its webhook is gone
+ */
+async function replayDelivery(id) {
+  await loadDeliveries();
+
+  const original = deliveries.get(id);
+  const webhook = original && (await loadWebhooks()).find(record => record.id === original.webhookId);
+  if (!webhook) {
+    return null;
+  }
+
+  const delivery = addDelivery(webhook.id, webhook.url, original.event, original.id);
+  await persistDeliveries();
+  logger.info(`Webhook delivery ${original.id} replayed as ${delivery.id}`);
+  setImmediate(processDeliveries);
+  return delivery;
+}
+
+/**
+ * Subscribes to service events and starts the delivery loop. Deliveries
+ * still pending from before a restart are resumed.
+ */
+async function startWebhookWorker() {
+  if (workerTimer) {
+    return;
+  }
+  await loadDeliveries();
+  unsubscribe = subscribe((event) => {
+    handleEvent(event).catch(error => logger.error(`Failed to queue webhook deliveries for ${event.type}: ${error.message}`));
+  });
+  workerTimer = setInterval(processDeliveries, POLL_INTERVAL_MS);
+  logger.info('Webhook worker started');
+}
+
+/**
+ * Stops the delivery loop
+ */
+function stopWebhookWorker() {
+  if (unsubscribe) {
+    unsubscribe();
+    unsubscribe = null;
+  }
+  if (workerTimer) {
+    clearInterval(workerTimer);
+    workerTimer = null;
+  }
+}
+
+module.exports = {
+  ALL_EVENTS,
+  WEBHOOK_EVENTS,
+  isValidEvents,
+  signPayload,
+  createWebhook,
+  listWebhooks,
+  getWebhook,
+  deleteWebhook,
+  rotateWebhookSecrets,
+  listDeliveries,
+  getDelivery,
+  replayDelivery,
+  startWebhookWorker,
+  stopWebhookWorker
+};
@@ -0,0 +1,64 @@
+/**
+ * X Endpoints
+ * Base URLs for the X web app, GraphQL API and media uploads. Point
+ * X_BASE_URL at the local mock server (mock/mockXServer.js) to run the
+ * whole route -> service -> HTTP flow offline.
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+const net = require('net');
+
+// Constants
+const X_BASE_URL = (process.env.X_BASE_URL || 'https://x.com').replace(/\/+$/, '');
+const X_UPLOAD_BASE_URL = (process.env.X_UPLOAD_BASE_URL || (process.env.X_BASE_URL ? X_BASE_URL : 'https://upload.x.com')).replace(/\/+$/, '');
+
+const baseUrl = new URL(X_BASE_URL);
+const X_HOST = baseUrl.host;
+const IS_SECURE = baseUrl.protocol === 'https:';
+
+// Hosts like localhost or 127.0.0.1 cannot take a leading-dot domain cookie
+const COOKIE_DOMAIN = net.isIP(baseUrl.hostname) || !baseUrl.hostname.includes('.')
+  ? baseUrl.hostname
+  : `.${baseUrl.hostname}`;
+
+/**
+ * Builds a URL on the X web app
+ * @param {string} pathname - Path starting with a slash
+ * @returns {string} Absolute URL
+ */
+function xUrl(pathname = '/') {
+  return `${X_BASE_URL}${pathname}`;
+}
+
+/**
+ * Builds a URL on the media upload host
+ * @param {string} pathname - Path starting with a slash
+ * @returns {string} Absolute URL
+ */
+function uploadUrl(pathname) {
+  return `${X_UPLOAD_BASE_URL}${pathname}`;
+}
+
+/**
+ * Builds the auth_token cookie Puppeteer injects into a page
+ * @param {string} authToken - auth_token value
+ * @returns {Object} Puppeteer cookie
+ */
+function authTokenCookie(authToken) {
+  return {
+    name: 'auth_token',
+    value: authToken,
+    domain: COOKIE_DOMAIN,
+    path: '/',
+    httpOnly: true,
+    secure: IS_SECURE
+  };
+}
+
+module.exports = {
+  X_BASE_URL,
+  X_UPLOAD_BASE_URL,
+  X_HOST,
+  xUrl,
+  uploadUrl,
+  authTokenCookie
+};
@@ -0,0 +1,178 @@
+/**
+ * X Error Classification
+ * Maps X responses and posting failures to stable error codes that API
+ * clients can branch on
+ * Developed By NihedBenAbdennour (website: nihedbenabdennour.me)
+ */
+
+// Constants
+const ERROR_CODES = {
+  DUPLICATE_CONTENT: 'DUPLICATE_CONTENT',
+  RATE_LIMITED: 'RATE_LIMITED',
+  AUTH_EXPIRED: 'AUTH_EXPIRED',
+  CSRF_MISMATCH: 'CSRF_MISMATCH',
+  TWEET_NOT_FOUND: 'TWEET_NOT_FOUND',
+  REPLY_RESTRICTED: 'REPLY_RESTRICTED',
+  TEXT_TOO_LONG: 'TEXT_TOO_LONG',
+  ACCOUNT_LOCKED: 'ACCOUNT_LOCKED',
+  ALREADY_DONE: 'ALREADY_DONE',
+  X_REJECTED: 'X_REJECTED',
+  NETWORK_ERROR: 'NETWORK_ERROR',
+  POST_BUDGET_EXCEEDED: 'POST_BUDGET_EXCEEDED',
+  UNKNOWN_ERROR: 'UNKNOWN_ERROR'
+};
+
+// Node / Chromium errors for requests that never got an answer from X
+const NETWORK_ERROR_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EAI_AGAIN', 'ENOTFOUND', 'EPIPE'];
+const NETWORK_ERROR_PATTERN = /net::ERR_|socket hang up|Navigation timeout|timeout of \d+ms exceeded/i;
+
+// Network errors raised before a request was delivered to X: refused
+// connections, DNS failures and resets before any response
+const PRE_SEND_ERROR_CODES = ['ECONNREFUSED', 'ENOTFOUND', 'EAI_AGAIN', 'ECONNRESET'];
+const PRE_SEND_ERROR_PATTERN = /net::ERR_(NAME_NOT_RESOLVED|CONNECTION_REFUSED|INTERNET_DISCONNECTED|PROXY_CONNECTION_FAILED|ADDRESS_UNREACHABLE)/;
+
+// X API error code -> stable code
+const X_ERROR_CODES = {
+  187: ERROR_CODES.DUPLICATE_CONTENT,
+  88: ERROR_CODES.RATE_LIMITED,
+  185: ERROR_CODES.RATE_LIMITED,
+  32: ERROR_CODES.AUTH_EXPIRED,
+  89: ERROR_CODES.AUTH_EXPIRED,
+  215: ERROR_CODES.AUTH_EXPIRED,
+  353: ERROR_CODES.CSRF_MISMATCH,
+  144: ERROR_CODES.TWEET_NOT_FOUND,
+  385: ERROR_CODES.TWEET_NOT_FOUND,
+  433: ERROR_CODES.REPLY_RESTRICTED,
+  186: ERROR_CODES.TEXT_TOO_LONG,
+  64: ERROR_CODES.ACCOUNT_LOCKED,
+  326: ERROR_CODES.ACCOUNT_LOCKED,
+  327: ERROR_CODES.ALREADY_DONE, // already reposted
+  139: ERROR_CODES.ALREADY_DONE // already liked
+};
+
+// Stable code -> HTTP status returned by this API. Problems with the X
+// account itself are upstream failures (502), not client errors.
+const HTTP_STATUSES = {
+  DUPLICATE_CONTENT: 409,
+  RATE_LIMITED: 429,
+  AUTH_EXPIRED: 502,
+  CSRF_MISMATCH: 502,
+  TWEET_NOT_FOUND: 404,
+  REPLY_RESTRICTED: 403,
+  TEXT_TOO_LONG: 400,
+  ACCOUNT_LOCKED: 502,
+  ALREADY_DONE: 409,
+  X_REJECTED: 502,
+  NETWORK_ERROR: 502,
+  POST_BUDGET_EXCEEDED: 429,
+  UNKNOWN_ERROR: 502
+};
+
+/**
+ * Builds a classification
+ */
+function classification(code, xCode = null) {
+  return {
+    code,
+    xCode,
+    httpStatus: httpStatusFor(code)
+  };
+}
+
+/**
+ * HTTP status this API answers with for a stable code
+ * @param {string} code - Stable error code
+ * @returns {number} HTTP status (500 for unknown codes)
+ */
+function httpStatusFor(code) {
+  return HTTP_STATUSES[code] || 500;
+}
+
+/**
+ * Classifies an X response from its HTTP status and GraphQL error list
+ * @param {Object} response - { status, errors }
+ * @returns {Object|null} { code, xCode, httpStatus }, or null when nothing points to an error
+ */
+function classifyXResponse({ status = null, errors = null } = {}) {
+  const list = Array.isArray(errors) ? errors : [];
+
+  for (const error of list) {
+    const code = X_ERROR_CODES[error.code];
+    if (code) {
+      return classification(code, error.code);
+    }
+  }
+
+  if (status === 429) {
+    return classification(ERROR_CODES.RATE_LIMITED);
+  }
+  if (status === 401) {
+    return classification(ERROR_CODES.AUTH_EXPIRED);
+  }
+  if (list.length > 0 || (status && status >= 400)) {
+    return classification(ERROR_CODES.X_REJECTED, list[0] ? list[0].code : null);
+  }
+  return null;
+}
+
+/**
+ * Classifies a failed posting result ({ success, status, errors })
+ * @param {Object} result - Backend or posting engine result
+ * @returns {Object|null} Classification, or null for a successful result
+ */
+function classifyResult(result) {
+  if (!result || result.success) {
+    return null;
+  }
+  return classifyXResponse(result) || classification(ERROR_CODES.UNKNOWN_ERROR);
+}
+
+/**
+ * Classifies a thrown error. Errors carrying an X response (status and
+ * data) are classified from it; anything else is an internal failure.
+ * @param {Error} error - Thrown error
+ * @returns {Object} { code, xCode, httpStatus }
+ */
+function classifyError(error) {
+  if (error.errorCode && HTTP_STATUSES[error.errorCode]) {
+    return classification(error.errorCode, error.xCode || null);
+  }
+
+  const fromResponse = error.status
+    ? classifyXResponse({ status: error.status, errors: error.data && error.data.errors })
+    : null;
+  if (fromResponse) {
+    return fromResponse;
+  }
+
+  if (NETWORK_ERROR_CODES.includes(error.code) || NETWORK_ERROR_PATTERN.test(error.message || '')) {
+    return classification(ERROR_CODES.NETWORK_ERROR);
+  }
+  if (/authentication required|auth_token/i.test(error.message || '')) {
+    return classification(ERROR_CODES.AUTH_EXPIRED);
+  }
+  return { code: 'INTERNAL_ERROR', xCode: null, httpStatus: 500 };
+}
+
+/**
+ * Checks whether a network error happened before the request was delivered
+ * to X, so X cannot have acted on it. Timeouts are not: X may have received
+ * the request and only the answer was lost.
+ * @param {Error} error - Thrown error (axios or Puppeteer)
+ * @returns {boolean} True when nothing was sent
+ */
+function isPreSendError(error) {
+  if (error.response) {
+    return false;
+  }
+  return PRE_SEND_ERROR_CODES.includes(error.code) || PRE_SEND_ERROR_PATTERN.test(error.message || '');
+}
+
+module.exports = {
+  ERROR_CODES,
+  httpStatusFor,
+  isPreSendError,
+  classifyXResponse,
+  classifyResult,
+  classifyError
+};